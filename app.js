@@ -3,7 +3,6 @@ require("dotenv").config();
 const express = require("express");
 const cookieParser = require("cookie-parser");
 const cors = require("cors");
-const jwt = require("jsonwebtoken");
 const swaggerJSDoc = require("swagger-jsdoc");
 const swaggerUi = require("swagger-ui-express");
 const mongoose = require("mongoose");
@@ -13,11 +12,20 @@ const authRoutes = require("./routes/auth");
 const userRoutes = require("./routes/users");
 const productRoutes = require("./routes/products");
 const calibrationRoutes = require("./routes/calibrations");
+const instrumentRoutes = require("./routes/instruments");
+const standardRoutes = require("./routes/standards");
+const companyRoutes = require("./routes/companies");
+const permissionRoutes = require("./routes/permissions");
+const apiKeyRoutes = require("./routes/apiKeys");
+const auditRoutes = require("./routes/audit");
+const fileRoutes = require("./routes/files");
+const { requireAuth } = require("./middleware/auth");
 const ensureDefaultCompany = require("./seed/defaultCompany");
+const ensureSuperAdmin = require("./seed/superAdmin");
+const ensureProductCompanies = require("./seed/productCompanies");
 
 const app = express();
 const PORT = process.env.PORT || 4000;
-const SESSION_SECRET = process.env.SESSION_SECRET || "dev_secret";
 const COOKIE_NAME = process.env.COOKIE_NAME || "session";
 const FRONTEND_ORIGINS =
   process.env.FRONTEND_ORIGINS || `http://localhost:${PORT}`;
@@ -29,9 +37,6 @@ const allowedOrigins = (process.env.FRONTEND_ORIGINS || "")
   .map((o) => o.trim())
   .filter(Boolean);
 
-// serve uploaded files statically (optional)
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
-
 app.use(express.json());
 app.use(cookieParser());
 
@@ -51,25 +56,6 @@ app.use(
   })
 );
 
-// logout clears cookie
-app.post("/auth/logout", (req, res) => {
-  res.clearCookie(COOKIE_NAME, { path: "/" });
-  res.json({ ok: true });
-});
-
-// middleware to check cookie (used to protect selected routes)
-function requireAuth(req, res, next) {
-  try {
-    const token = req.cookies[COOKIE_NAME];
-    if (!token) return res.status(401).json({ error: "Not authenticated" });
-    const payload = jwt.verify(token, SESSION_SECRET);
-    req.user = payload;
-    next();
-  } catch (err) {
-    return res.status(401).json({ error: "Invalid or expired session" });
-  }
-}
-
 // protected test endpoint
 app.get("/protected", requireAuth, (req, res) => {
   res.json({ message: `Hello ${req.user.username}`, user: req.user });
@@ -77,9 +63,16 @@ app.get("/protected", requireAuth, (req, res) => {
 
 // ---------- Route mounting: keep auth public, protect users/products ----------
 app.use("/auth", authRoutes); // signup, login, me — public endpoints in auth.js handle cookies
-app.use("/users", requireAuth, userRoutes); // admin-only create user route inside users.js also checks role
+app.use("/users", requireAuth, userRoutes); // every route inside users.js requires user:manage
 app.use("/products", productRoutes); // create product protected; you might allow GET product routes to be public inside file
 app.use("/calibrations", requireAuth, calibrationRoutes); // all routes protected
+app.use("/instruments", requireAuth, instrumentRoutes);
+app.use("/standards", requireAuth, standardRoutes);
+app.use("/companies", requireAuth, companyRoutes); // superadmin and company admin checks inside
+app.use("/permissions", requireAuth, permissionRoutes);
+app.use("/api-keys", requireAuth, apiKeyRoutes); // managed from a cookie login only
+app.use("/audit", requireAuth, auditRoutes); // audit:read
+app.use("/files", fileRoutes); // signed URLs; the token is the authorization
 
 /* --------------- Swagger config (OpenAPI 3 + cookieAuth) --------------- */
 const swaggerDefinition = {
@@ -96,6 +89,12 @@ const swaggerDefinition = {
         in: "cookie",
         name: COOKIE_NAME,
       },
+      // API keys from POST /api-keys, accepted wherever cookieAuth is
+      bearerAuth: {
+        type: "http",
+        scheme: "bearer",
+        description: "API key (cal_...) sent as Authorization: Bearer <key>",
+      },
     },
   },
 };
@@ -142,7 +141,10 @@ async function startServer() {
     console.log("MongoDB connected");
 
     // ensure default company exists
-    await ensureDefaultCompany();
+    const defaultCompany = await ensureDefaultCompany();
+    await ensureSuperAdmin();
+    // products from before company scoping
+    await ensureProductCompanies(defaultCompany);
 
     app.listen(PORT, () => {
       console.log(`Server running on http://localhost:${PORT}`);
@@ -0,0 +1,51 @@
+// lib/accountEmails.js
+const { sendMail } = require("./mailer");
+const { issueToken } = require("./userTokens");
+
+const RESET_PASSWORD_URL_BASE = process.env.RESET_PASSWORD_URL_BASE || "";
+const VERIFY_EMAIL_URL_BASE = process.env.VERIFY_EMAIL_URL_BASE || "";
+
+// a link carrying the token when the frontend URL is configured, else the bare token
+function tokenInstructions(base, token, action) {
+  if (!base) return `Use this code to ${action}:\n\n${token}`;
+  const url = new URL(base);
+  url.searchParams.set("token", token);
+  return `Open this link to ${action}:\n\n${url}`;
+}
+
+/** Mail a password reset token to the user. */
+async function sendPasswordReset(user) {
+  const token = await issueToken(user, "password_reset");
+  return sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: [
+      `Hello ${user.username},`,
+      "",
+      "We received a request to reset your password.",
+      tokenInstructions(
+        RESET_PASSWORD_URL_BASE,
+        token,
+        "choose a new password"
+      ),
+      "",
+      "If you did not ask for this, you can ignore this email.",
+    ].join("\n"),
+  });
+}
+
+/** Mail an email verification token to the user's current address. */
+async function sendEmailVerification(user) {
+  const token = await issueToken(user, "email_verification");
+  return sendMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    text: [
+      `Hello ${user.username},`,
+      "",
+      tokenInstructions(VERIFY_EMAIL_URL_BASE, token, "confirm this address"),
+    ].join("\n"),
+  });
+}
+
+module.exports = { sendPasswordReset, sendEmailVerification };
@@ -0,0 +1,93 @@
+// lib/apiKeys.js
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const ApiKey = require("../models/ApiKey");
+
+const API_KEY_TTL_DAYS = Number(process.env.API_KEY_TTL_DAYS || 90);
+const API_KEY_MAX_TTL_DAYS = Number(process.env.API_KEY_MAX_TTL_DAYS || 365);
+const TOKEN_PREFIX = "cal_";
+// lastUsedAt is only written this often, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+
+// tokens are "cal_<keyId>_<secret>"
+function parseToken(token) {
+  const str = String(token || "");
+  if (!str.startsWith(TOKEN_PREFIX)) return null;
+  const [id, secret] = str.slice(TOKEN_PREFIX.length).split("_");
+  if (!secret || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return { id, secret };
+}
+
+/**
+ * Create a key for `user` and return it with its token. The token is not
+ * stored and cannot be retrieved later.
+ * @returns {Promise<{ apiKey, token }>}
+ */
+async function issueApiKey({ user, name, scopes, ttlDays }) {
+  const secret = crypto.randomBytes(32).toString("hex");
+  const days = Number(ttlDays) || API_KEY_TTL_DAYS;
+  const apiKey = await ApiKey.create({
+    companyId: user.company,
+    userId: user._id,
+    name,
+    secretHash: hashSecret(secret),
+    scopes,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+  });
+  return { apiKey, token: `${TOKEN_PREFIX}${apiKey._id}_${secret}` };
+}
+
+/**
+ * The active key a bearer token belongs to, or null. Runs before any
+ * tenant is known, so the lookup is by id alone.
+ */
+async function findActiveApiKey(token, ip) {
+  const parsed = parseToken(token);
+  if (!parsed) return null;
+
+  const apiKey = await ApiKey.findOne({
+    _id: parsed.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .setOptions({ skipTenant: true })
+    .lean();
+  if (!apiKey) return null;
+
+  const given = Buffer.from(hashSecret(parsed.secret));
+  if (!crypto.timingSafeEqual(given, Buffer.from(apiKey.secretHash))) {
+    return null;
+  }
+
+  const now = new Date();
+  if (
+    !apiKey.lastUsedAt ||
+    now - apiKey.lastUsedAt >= LAST_USED_RESOLUTION_MS
+  ) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: now, lastUsedIp: ip } },
+      { skipTenant: true }
+    );
+  }
+  return apiKey;
+}
+
+function revokeApiKey(id, filter = {}) {
+  return ApiKey.updateOne(
+    { _id: id, revokedAt: null, ...filter },
+    { $set: { revokedAt: new Date() } }
+  );
+}
+
+module.exports = {
+  API_KEY_TTL_DAYS,
+  API_KEY_MAX_TTL_DAYS,
+  issueApiKey,
+  findActiveApiKey,
+  revokeApiKey,
+};
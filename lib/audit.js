@@ -0,0 +1,180 @@
+// lib/audit.js
+const crypto = require("crypto");
+const AuditEvent = require("../models/AuditEvent");
+const { currentTenant } = require("./tenantContext");
+const { canonicalJson, toPlainJson } = require("./canonicalJson");
+
+// keys the event hashes, so someone with write access to the database
+// cannot rewrite the trail and recompute the chain; rotating it makes
+// every existing chain fail verification
+const AUDIT_SECRET =
+  process.env.AUDIT_SECRET || process.env.SESSION_SECRET || "dev_secret";
+
+const PLATFORM_CHAIN = "platform";
+const GENESIS_HASH = "0".repeat(64);
+const APPEND_RETRIES = 5;
+
+// never copied into snapshots
+const SECRET_KEYS = new Set([
+  "passwordHash",
+  "twoFactor",
+  "secretHash",
+  "refreshHash",
+  "tokenHash",
+  "codeHash",
+  "__v",
+]);
+
+const HASHED_FIELDS = [
+  "chain",
+  "seq",
+  "companyId",
+  "actor",
+  "action",
+  "entity",
+  "before",
+  "after",
+  "ip",
+  "userAgent",
+  "createdAt",
+  "prevHash",
+];
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (!SECRET_KEYS.has(k)) out[k] = redact(v);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Plain-JSON copy of a document (or object) for an audit snapshot, with
+ * password hashes, token hashes and 2FA secrets removed.
+ */
+function auditSnapshot(doc) {
+  if (doc === undefined || doc === null) return undefined;
+  const plain = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  return redact(toPlainJson(plain));
+}
+
+function hashEvent(event) {
+  const fields = {};
+  for (const field of HASHED_FIELDS) fields[field] = event[field];
+  const json = canonicalJson(toPlainJson(fields));
+  return crypto.createHmac("sha256", AUDIT_SECRET).update(json).digest("hex");
+}
+
+function actorFrom(req) {
+  if (!req || !req.user) return undefined;
+  return {
+    id: req.user._id,
+    username: req.user.username,
+    role: req.user.role,
+    apiKeyId: req.apiKey ? req.apiKey._id : undefined,
+  };
+}
+
+async function appendEvent(fields) {
+  const chain = fields.companyId ? String(fields.companyId) : PLATFORM_CHAIN;
+  // a unique (chain, seq) index serialises concurrent writers: the loser
+  // of a race re-reads the head and tries again
+  for (let attempt = 0; attempt < APPEND_RETRIES; attempt++) {
+    const head = await AuditEvent.findOne({ chain })
+      .sort({ seq: -1 })
+      .select("seq hash")
+      .setOptions({ skipTenant: true })
+      .lean();
+    const event = {
+      ...fields,
+      chain,
+      seq: head ? head.seq + 1 : 1,
+      prevHash: head ? head.hash : GENESIS_HASH,
+    };
+    event.hash = hashEvent(event);
+    const doc = new AuditEvent(event);
+    // platform events (failed logins for unknown accounts) have no company
+    doc.$locals.skipTenant = !event.companyId;
+    try {
+      return await doc.save();
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+  throw new Error("Could not append audit event");
+}
+
+/**
+ * Append an event to the audit trail. Actor, company, IP and user agent
+ * come from `req` unless given; `req` may be null for background work.
+ * Failures are logged, never thrown: the audited action has already
+ * happened by the time it is recorded.
+ * @param {object} event { action, entity: { type, id }, before?, after?,
+ *   companyId?, actor? }
+ */
+async function recordAudit(
+  req,
+  { action, entity, before, after, companyId, actor }
+) {
+  try {
+    const company =
+      companyId ||
+      (req && req.user && req.user.companyId) ||
+      currentTenant() ||
+      undefined;
+    await appendEvent({
+      companyId: company,
+      actor: actor || actorFrom(req),
+      action,
+      entity: entity && {
+        type: entity.type,
+        id: entity.id ? String(entity.id) : undefined,
+      },
+      before: auditSnapshot(before),
+      after: auditSnapshot(after),
+      ip: req ? req.ip : undefined,
+      userAgent: req ? req.get("user-agent") : undefined,
+      createdAt: new Date(),
+    });
+  } catch (err) {
+    console.error("audit err", action, err);
+  }
+}
+
+/**
+ * Recompute a company's hash chain from the first event.
+ * @returns {Promise<{ ok, events, headHash?, brokenAt?: { seq, reason } }>}
+ */
+async function verifyAuditChain(companyId) {
+  const chain = companyId ? String(companyId) : PLATFORM_CHAIN;
+  const cursor = AuditEvent.find({ chain })
+    .sort({ seq: 1 })
+    .setOptions({ skipTenant: true })
+    .lean()
+    .cursor({ batchSize: 500 });
+
+  let expectedSeq = 1;
+  let prevHash = GENESIS_HASH;
+  let events = 0;
+  for await (const event of cursor) {
+    let reason = null;
+    if (event.seq !== expectedSeq) reason = "missing event";
+    else if (event.prevHash !== prevHash) reason = "chain link mismatch";
+    else if (hashEvent(event) !== event.hash) reason = "event was modified";
+    if (reason) {
+      await cursor.close();
+      return { ok: false, events, brokenAt: { seq: expectedSeq, reason } };
+    }
+    events += 1;
+    expectedSeq += 1;
+    prevHash = event.hash;
+  }
+  // the head hash can be noted elsewhere to detect later truncation
+  return { ok: true, events, headHash: prevHash };
+}
+
+module.exports = { recordAudit, auditSnapshot, verifyAuditChain };
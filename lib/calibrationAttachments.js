@@ -0,0 +1,20 @@
+// lib/calibrationAttachments.js
+const CalibrationAttachment = require("../models/CalibrationAttachment");
+const { releaseFiles } = require("./storage");
+
+/**
+ * Delete a calibration's attachments and release their files. Called when
+ * the record itself is deleted; approved records keep theirs for as long
+ * as they exist.
+ * @returns {Promise<number>} how many attachments were removed
+ */
+async function removeAttachments(calibrationId) {
+  const attachments = await CalibrationAttachment.find({ calibrationId })
+    .select("file")
+    .lean();
+  await CalibrationAttachment.deleteMany({ calibrationId });
+  await releaseFiles(attachments.map((a) => a.file));
+  return attachments.length;
+}
+
+module.exports = { removeAttachments };
@@ -0,0 +1,221 @@
+// lib/calibrationExport.js
+const { PassThrough } = require("stream");
+const ExcelJS = require("exceljs");
+
+const PRESETS = {
+  default: [
+    "_id",
+    "certificateNumber",
+    "status",
+    "outcome",
+    "instrument.description",
+    "instrument.type",
+    "instrument.manufacturer",
+    "instrument.model",
+    "instrument.serialNumber",
+    "instrument.assetTag",
+    "customer.name",
+    "technician.name",
+    "calibrationDate",
+    "dueDate",
+    "approvedAt",
+    "createdAt",
+  ],
+  measurements: [
+    "measurements.parameter",
+    "measurements.nominal",
+    "measurements.reading",
+    "measurements.unit",
+    "measurements.error",
+    "measurements.tolerance.minus",
+    "measurements.tolerance.plus",
+    "measurements.result",
+    "measurements.uncertainty.expandedUncertainty",
+    "measurements.uncertainty.coverageFactor",
+  ],
+  environment: [
+    "environment.temperature",
+    "environment.humidity",
+    "environment.pressure",
+  ],
+};
+
+const COLUMN_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z0-9_]+)*$/;
+const MEASUREMENT_PREFIX = "measurements.";
+// how much xlsx output may wait for a slow client before rows stop
+const XLSX_BUFFER_BYTES = 64 * 1024;
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+/**
+ * "default,measurements,formData.batchNo" -> column paths.
+ * Preset names expand in place; any other entry must be a dotted path.
+ * Measurement columns switch the export to one row per measurement point.
+ */
+function resolveColumns(value) {
+  const columns = [];
+  const invalid = [];
+  const entries = String(value || "default")
+    .split(",")
+    .map((c) => c.trim())
+    .filter(Boolean);
+
+  for (const entry of entries) {
+    const expanded = PRESETS[entry] || [entry];
+    for (const column of expanded) {
+      if (!COLUMN_PATTERN.test(column)) invalid.push(column);
+      else if (!columns.includes(column)) columns.push(column);
+    }
+  }
+  return { columns, invalid };
+}
+
+function getPath(obj, path) {
+  return path.split(".").reduce((v, k) => (v == null ? v : v[k]), obj);
+}
+
+function normalise(v) {
+  if (v === undefined || v === null) return null;
+  if (v instanceof Date) return v;
+  if (typeof v === "object") {
+    // ObjectIds, or nested objects named directly as a column
+    return typeof v.toHexString === "function"
+      ? v.toHexString()
+      : JSON.stringify(v);
+  }
+  return v;
+}
+
+/** Flatten one calibration into one or more rows of column values. */
+function* flatten(doc, columns) {
+  const perPoint = columns.some((c) => c.startsWith(MEASUREMENT_PREFIX));
+  const points =
+    perPoint && doc.measurements && doc.measurements.length
+      ? doc.measurements
+      : [null];
+
+  for (const point of points) {
+    yield columns.map((column) => {
+      if (column.startsWith(MEASUREMENT_PREFIX)) {
+        return point
+          ? normalise(getPath(point, column.slice(MEASUREMENT_PREFIX.length)))
+          : null;
+      }
+      return normalise(getPath(doc, column));
+    });
+  }
+}
+
+function csvCell(v) {
+  if (v === null) return "";
+  if (v instanceof Date) return v.toISOString();
+  let s = String(v);
+  // keep spreadsheet apps from evaluating text as a formula
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Resolve once `stream` has drained. Rejects if the response closes
+ * first, so callers stop reading instead of waiting for a drain that
+ * never comes.
+ */
+function waitForDrain(stream, res) {
+  return new Promise((resolve, reject) => {
+    const settle = (err) => {
+      stream.off("drain", settle);
+      res.off("close", onClose);
+      res.off("error", settle);
+      if (err) reject(err);
+      else resolve();
+    };
+    const onClose = () => settle(new Error("Client disconnected"));
+    stream.on("drain", settle);
+    res.on("close", onClose);
+    res.on("error", settle);
+  });
+}
+
+/** Write to the response, waiting for it to drain when its buffer is full. */
+async function writeChunk(res, chunk) {
+  if (res.destroyed) throw new Error("Client disconnected");
+  if (!res.write(chunk)) await waitForDrain(res, res);
+}
+
+/**
+ * Stream every document from a Mongo cursor to the response in the
+ * requested format, one row at a time.
+ */
+async function streamExport({
+  cursor,
+  columns,
+  format,
+  res,
+  sheetName = "Calibrations",
+}) {
+  if (format === "csv") {
+    await writeChunk(res, "\uFEFF" + columns.map(csvCell).join(",") + "\r\n");
+    for await (const doc of cursor) {
+      for (const row of flatten(doc, columns)) {
+        await writeChunk(res, row.map(csvCell).join(",") + "\r\n");
+      }
+    }
+    res.end();
+    return;
+  }
+
+  if (format === "ndjson") {
+    for await (const doc of cursor) {
+      for (const row of flatten(doc, columns)) {
+        const obj = {};
+        columns.forEach((c, i) => {
+          obj[c] = row[i];
+        });
+        await writeChunk(res, JSON.stringify(obj) + "\n");
+      }
+    }
+    res.end();
+    return;
+  }
+
+  // the workbook writer ignores backpressure, so it writes into a buffer
+  // of its own and rows wait whenever that buffer is full
+  const out = new PassThrough({ highWaterMark: XLSX_BUFFER_BYTES });
+  out.pipe(res);
+  try {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: out,
+      useStyles: false,
+      useSharedStrings: false,
+    });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.addRow(columns).commit();
+    for await (const doc of cursor) {
+      if (res.destroyed) throw new Error("Client disconnected");
+      for (const row of flatten(doc, columns)) {
+        sheet.addRow(row).commit();
+      }
+      // the zip writer only passes rows on between event loop turns
+      await new Promise((resolve) => setImmediate(resolve));
+      if (out.writableNeedDrain) await waitForDrain(out, res);
+    }
+    sheet.commit();
+    await workbook.commit();
+  } catch (err) {
+    out.destroy();
+    throw err;
+  }
+}
+
+module.exports = {
+  PRESETS,
+  CONTENT_TYPES,
+  resolveColumns,
+  flatten,
+  writeChunk,
+  streamExport,
+};
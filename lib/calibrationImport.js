@@ -0,0 +1,331 @@
+// lib/calibrationImport.js
+const fs = require("fs");
+const { parse } = require("csv-parse");
+const ExcelJS = require("exceljs");
+const Calibration = require("../models/Calibration");
+const CalibrationRevision = require("../models/CalibrationRevision");
+const ImportJob = require("../models/ImportJob");
+const { snapshot } = require("./calibrationRevisions");
+const { linkRegistry } = require("./calibrationRegistry");
+const { findStandardIssues } = require("./traceability");
+const { validationErrorBody, isValidationError } = require("./validation");
+const { runWithTenant } = require("./tenantContext");
+const { recordAudit } = require("./audit");
+
+const BATCH_SIZE = 500;
+const MAX_REPORTED_ERRORS = 1000;
+
+const SEGMENT = /^(?:[A-Za-z_][A-Za-z0-9_]*|\d+)$/;
+// would write through to Object.prototype in setPath
+const UNSAFE_SEGMENTS = new Set(["__proto__", "constructor", "prototype"]);
+const EDITABLE_ROOTS = new Set(Calibration.EDITABLE_FIELDS);
+
+/**
+ * A mapping is { columns: { "<header>": "<path>" }, defaults?: { "<path>": value } }
+ * where a path is a calibration field such as "instrument.serialNumber" or
+ * "measurements.0.reading". Returns field errors, empty when valid.
+ */
+function validateMapping(mapping) {
+  const errors = {};
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    return { mapping: "mapping must be an object" };
+  }
+
+  const checkPath = (key, path) => {
+    const segments = String(path).split(".");
+    if (!segments.every((s) => SEGMENT.test(s) && !UNSAFE_SEGMENTS.has(s))) {
+      errors[key] = `${path} is not a valid field path`;
+    } else if (!EDITABLE_ROOTS.has(segments[0])) {
+      errors[key] = `${segments[0]} cannot be imported`;
+    }
+  };
+
+  const { columns, defaults } = mapping;
+  if (!columns || typeof columns !== "object" || !Object.keys(columns).length) {
+    errors["mapping.columns"] = "mapping.columns must map at least one column";
+  } else {
+    for (const [header, path] of Object.entries(columns)) {
+      checkPath(`mapping.columns.${header}`, path);
+    }
+  }
+  if (defaults !== undefined) {
+    if (!defaults || typeof defaults !== "object") {
+      errors["mapping.defaults"] = "mapping.defaults must be an object";
+    } else {
+      for (const path of Object.keys(defaults)) {
+        checkPath(`mapping.defaults.${path}`, path);
+      }
+    }
+  }
+  return errors;
+}
+
+// only walks own properties, so a path can never reach a prototype
+function setPath(obj, path, value) {
+  const segments = path.split(".");
+  if (segments.some((s) => UNSAFE_SEGMENTS.has(s)))
+    throw new Error(`${path} is not a valid field path`);
+  let node = obj;
+  segments.forEach((key, i) => {
+    if (i === segments.length - 1) {
+      node[key] = value;
+      return;
+    }
+    const own = Object.prototype.hasOwnProperty.call(node, key);
+    if (!own || node[key] === undefined || node[key] === null) {
+      node[key] = /^\d+$/.test(segments[i + 1]) ? [] : {};
+    }
+    node = node[key];
+  });
+}
+
+// ExcelJS hands back rich text, formulas and hyperlinks as objects
+function cellValue(v) {
+  if (v === null || v === undefined) return undefined;
+  if (v instanceof Date) return v;
+  if (typeof v === "object") {
+    if (v.richText) return v.richText.map((t) => t.text).join("");
+    if (v.result !== undefined) return cellValue(v.result);
+    if (v.text !== undefined) return cellValue(v.text);
+    if (v.error) return undefined;
+  }
+  return v;
+}
+
+/** Yields { row, record } with record keyed by header, one row at a time. */
+async function* readRows(filePath, format) {
+  if (format === "csv") {
+    const parser = fs.createReadStream(filePath).pipe(
+      parse({
+        columns: true,
+        bom: true,
+        trim: true,
+        skip_empty_lines: true,
+        relax_column_count: true,
+        info: true,
+      })
+    );
+    for await (const { record, info } of parser) {
+      yield { row: info.lines, record };
+    }
+    return;
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+    sharedStrings: "cache",
+    hyperlinks: "ignore",
+    styles: "cache", // needed to recognise date cells
+    worksheets: "emit",
+  });
+  for await (const worksheet of workbook) {
+    let headers = null;
+    for await (const row of worksheet) {
+      const values = row.values.map(cellValue);
+      if (!headers) {
+        headers = values.map((v) => (v === undefined ? v : String(v).trim()));
+        continue;
+      }
+      // headers are user data: "__proto__" must stay an ordinary key
+      const record = Object.create(null);
+      headers.forEach((h, i) => {
+        if (h) record[h] = values[i];
+      });
+      yield { row: row.number, record };
+    }
+    break; // first worksheet only
+  }
+}
+
+function rowToObject(record, mapping) {
+  const obj = {};
+  for (const [path, value] of Object.entries(mapping.defaults || {})) {
+    setPath(obj, path, value);
+  }
+  for (const [header, path] of Object.entries(mapping.columns)) {
+    if (!Object.prototype.hasOwnProperty.call(record, header)) continue;
+    const value = record[header];
+    if (value === undefined || value === null || value === "") continue;
+    setPath(obj, path, value);
+  }
+  return obj;
+}
+
+/**
+ * Field errors for one imported record: the registry links and schema
+ * validation POST /calibrations applies, plus standards that were out of
+ * calibration on the calibration date. Empty when the row is valid.
+ */
+async function checkRow(doc) {
+  const fields = await linkRegistry(doc);
+  if (!Object.keys(fields).length && doc.calibrationDate) {
+    for (const issue of await findStandardIssues(doc)) {
+      fields[issue.path] = issue.message;
+    }
+  }
+  try {
+    await doc.validate();
+  } catch (err) {
+    if (!isValidationError(err)) throw err;
+    return { ...validationErrorBody(err).fields, ...fields };
+  }
+  return fields;
+}
+
+/**
+ * Validate every row of an uploaded file and, in commit mode, insert the
+ * valid rows in batches. Progress is written to the ImportJob as it goes.
+ * The uploaded file is removed when the job ends. Runs scoped to the
+ * job's company, whichever context it is started from.
+ */
+async function runImport(jobId, filePath) {
+  const job = await ImportJob.findById(jobId).setOptions({ skipTenant: true });
+  if (!job) return;
+  await runWithTenant(job.companyId, () => processImport(job, filePath));
+}
+
+/**
+ * Record a job as failed when runImport itself rejects (the database was
+ * unreachable before or while the job's own failure was written).
+ * Never rejects.
+ */
+async function failImport(jobId, err) {
+  console.error("import job err", err);
+  try {
+    await ImportJob.updateOne(
+      { _id: jobId, status: { $in: ["queued", "running"] } },
+      {
+        $set: {
+          status: "failed",
+          error: err.message || "Import failed",
+          finishedAt: new Date(),
+        },
+      },
+      { skipTenant: true }
+    );
+  } catch (updateErr) {
+    console.error("import job status err", updateErr);
+  }
+}
+
+async function processImport(job, filePath) {
+  const totals = { rows: 0, valid: 0, invalid: 0, inserted: 0 };
+  const rowErrors = [];
+  let truncated = false;
+  let batch = [];
+
+  const flush = async () => {
+    if (!batch.length) return;
+    const docs = batch;
+    batch = [];
+    if (job.mode !== "commit") return;
+
+    await Calibration.insertMany(docs);
+    await CalibrationRevision.insertMany(
+      docs.map((doc) => ({
+        calibrationId: doc._id,
+        companyId: doc.companyId,
+        rev: 1,
+        action: "import",
+        reason: `Imported from ${job.filename || "file"} (job ${job._id})`,
+        author: job.createdBy,
+        content: snapshot(doc),
+      }))
+    );
+    totals.inserted += docs.length;
+  };
+
+  // committed imports create records, so they go to the audit trail
+  const auditImport = (status) =>
+    job.mode === "commit" &&
+    recordAudit(null, {
+      action: "calibration.import",
+      entity: { type: "importJob", id: job._id },
+      companyId: job.companyId,
+      actor: job.createdBy && {
+        id: job.createdBy.id,
+        username: job.createdBy.username,
+      },
+      after: { status, filename: job.filename, totals },
+    });
+
+  const saveProgress = () =>
+    ImportJob.updateOne(
+      { _id: job._id },
+      {
+        $set: { totals, rowErrors, errorsTruncated: truncated },
+      }
+    );
+
+  try {
+    await ImportJob.updateOne(
+      { _id: job._id },
+      { $set: { status: "running", startedAt: new Date() } }
+    );
+
+    for await (const { row, record } of readRows(filePath, job.format)) {
+      totals.rows += 1;
+      const doc = new Calibration({
+        ...Calibration.pickEditable(rowToObject(record, job.mapping)),
+        companyId: job.companyId,
+        revision: 1,
+      });
+
+      const fields = await checkRow(doc);
+      if (!Object.keys(fields).length) {
+        totals.valid += 1;
+        batch.push(doc);
+      } else {
+        totals.invalid += 1;
+        if (rowErrors.length < MAX_REPORTED_ERRORS) {
+          rowErrors.push({ row, fields });
+        } else {
+          truncated = true;
+        }
+      }
+
+      if (batch.length >= BATCH_SIZE) await flush();
+      if (totals.rows % BATCH_SIZE === 0) await saveProgress();
+    }
+    await flush();
+
+    await ImportJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: "completed",
+          totals,
+          rowErrors,
+          errorsTruncated: truncated,
+          finishedAt: new Date(),
+        },
+      }
+    );
+    await auditImport("completed");
+  } catch (err) {
+    console.error("import job err", err);
+    await ImportJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: "failed",
+          error: err.message || "Import failed",
+          totals,
+          rowErrors,
+          errorsTruncated: truncated,
+          finishedAt: new Date(),
+        },
+      }
+    );
+    await auditImport("failed");
+  } finally {
+    fs.promises.unlink(filePath).catch(() => {});
+  }
+}
+
+module.exports = {
+  validateMapping,
+  readRows,
+  rowToObject,
+  runImport,
+  failImport,
+};
@@ -0,0 +1,249 @@
+// lib/calibrationQuery.js
+const mongoose = require("mongoose");
+
+const { ObjectId } = mongoose.Types;
+
+// sortable fields and how their cursor values are decoded
+const SORT_FIELDS = {
+  calibrationDate: "date",
+  dueDate: "date",
+  createdAt: "date",
+  updatedAt: "date",
+  approvedAt: "date",
+  certificateNumber: "string",
+  status: "string",
+  outcome: "string",
+  "instrument.serialNumber": "string",
+  "instrument.description": "string",
+  "customer.name": "string",
+  "technician.name": "string",
+};
+
+const DEFAULT_SORT = "-createdAt";
+const TEXT_FIELDS = [
+  "certificateNumber",
+  "instrument.description",
+  "instrument.serialNumber",
+  "instrument.assetTag",
+  "customer.name",
+  "technician.name",
+  "remarks",
+];
+
+class QueryError extends Error {
+  constructor(fields) {
+    super("Invalid query");
+    this.name = "QueryError";
+    this.fields = fields;
+  }
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function toId(value) {
+  return value instanceof ObjectId ? value : new ObjectId(String(value));
+}
+
+/**
+ * Build a Mongo filter from list query parameters. Values are cast
+ * explicitly so the same filter works in find() and aggregate().
+ *
+ * Supported: status (comma list), instrumentId, serialNumber,
+ * customer, technician (user id or name), outcome, q (free text),
+ * calibrationFrom/To, dueFrom/To, createdFrom/To.
+ *
+ * @param {object} query  req.query
+ * @param {object} [opts] { omitStatus: true } to build the facet filter
+ */
+function buildFilter(query, { omitStatus = false } = {}) {
+  const filter = {};
+  const and = [];
+  const errors = {};
+
+  const idParam = (name, path) => {
+    const v = query[name];
+    if (!v) return;
+    if (!mongoose.Types.ObjectId.isValid(v)) {
+      errors[name] = `${name} must be a valid id`;
+      return;
+    }
+    filter[path] = toId(v);
+  };
+
+  if (!omitStatus && query.status && query.status !== "ALL") {
+    const statuses = String(query.status)
+      .split(",")
+      .map((s) => s.trim());
+    // records predating the workflow have no status and count as drafts
+    if (statuses.includes("draft")) statuses.push(null);
+    filter.status = statuses.length > 1 ? { $in: statuses } : statuses[0];
+  }
+
+  idParam("instrumentId", "instrumentId");
+
+  if (query.serialNumber) {
+    filter["instrument.serialNumber"] = String(query.serialNumber);
+  }
+  if (query.outcome) {
+    if (!["pass", "fail"].includes(query.outcome)) {
+      errors.outcome = "outcome must be pass or fail";
+    } else {
+      filter.outcome = query.outcome;
+    }
+  }
+  if (query.customer) {
+    filter["customer.name"] = new RegExp(
+      escapeRegex(String(query.customer)),
+      "i"
+    );
+  }
+  if (query.technician) {
+    const t = String(query.technician);
+    if (/^[a-f0-9]{24}$/i.test(t)) filter["technician.userId"] = toId(t);
+    else filter["technician.name"] = new RegExp(escapeRegex(t), "i");
+  }
+
+  for (const [prefix, path] of [
+    ["calibration", "calibrationDate"],
+    ["due", "dueDate"],
+    ["created", "createdAt"],
+  ]) {
+    const range = {};
+    for (const [suffix, op] of [
+      ["From", "$gte"],
+      ["To", "$lte"],
+    ]) {
+      const name = `${prefix}${suffix}`;
+      if (!query[name]) continue;
+      const d = new Date(query[name]);
+      if (Number.isNaN(d.getTime())) {
+        errors[name] = `${name} must be a date`;
+        continue;
+      }
+      range[op] = d;
+    }
+    if (Object.keys(range).length) filter[path] = range;
+  }
+
+  const q = (query.q || "").trim();
+  if (q) {
+    const re = new RegExp(escapeRegex(q), "i");
+    and.push({ $or: TEXT_FIELDS.map((f) => ({ [f]: re })) });
+  }
+
+  if (Object.keys(errors).length) throw new QueryError(errors);
+  if (and.length) filter.$and = and;
+  return filter;
+}
+
+/**
+ * "-calibrationDate,certificateNumber" -> [["calibrationDate", -1], ...]
+ * _id is always appended as the final tie-breaker.
+ */
+function parseSort(value) {
+  const spec = [];
+  for (const part of String(value || DEFAULT_SORT).split(",")) {
+    const token = part.trim();
+    if (!token) continue;
+    const dir = token.startsWith("-") ? -1 : 1;
+    const field = token.replace(/^[-+]/, "");
+    if (!SORT_FIELDS[field]) {
+      throw new QueryError({ sort: `Cannot sort by ${field}` });
+    }
+    if (!spec.some(([f]) => f === field)) spec.push([field, dir]);
+  }
+  if (!spec.length) spec.push(["createdAt", -1]);
+  spec.push(["_id", spec[spec.length - 1][1]]);
+  return spec;
+}
+
+function sortObject(spec) {
+  return Object.fromEntries(spec);
+}
+
+function sortKey(spec) {
+  return spec.map(([f, d]) => (d < 0 ? `-${f}` : f)).join(",");
+}
+
+function getPath(doc, path) {
+  return path.split(".").reduce((v, k) => (v == null ? v : v[k]), doc);
+}
+
+/** Opaque cursor pointing just after `doc` in the given sort order. */
+function encodeCursor(doc, spec) {
+  const values = spec.map(([f]) => {
+    const v = getPath(doc, f);
+    return v === undefined ? null : v;
+  });
+  return Buffer.from(JSON.stringify({ s: sortKey(spec), v: values })).toString(
+    "base64url"
+  );
+}
+
+function decodeCursor(cursor, spec) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch (err) {
+    throw new QueryError({ cursor: "cursor is invalid" });
+  }
+  if (
+    !parsed ||
+    parsed.s !== sortKey(spec) ||
+    !Array.isArray(parsed.v) ||
+    parsed.v.length !== spec.length
+  ) {
+    throw new QueryError({ cursor: "cursor does not match this sort order" });
+  }
+  return spec.map(([f], i) => {
+    const v = parsed.v[i];
+    if (v === null) return null;
+    if (f === "_id") {
+      if (!mongoose.Types.ObjectId.isValid(v))
+        throw new QueryError({ cursor: "cursor is invalid" });
+      return toId(v);
+    }
+    return SORT_FIELDS[f] === "date" ? new Date(v) : v;
+  });
+}
+
+/**
+ * Keyset condition for "documents after these sort values". Missing values
+ * sort first ascending and last descending, as MongoDB orders them.
+ */
+function cursorFilter(spec, values) {
+  const or = [];
+  for (let i = 0; i < spec.length; i++) {
+    const [field, dir] = spec[i];
+    const v = values[i];
+
+    let after;
+    if (v === null) {
+      if (dir < 0) continue; // nothing sorts after null when descending
+      after = { [field]: { $ne: null } };
+    } else if (dir > 0) {
+      after = { [field]: { $gt: v } };
+    } else {
+      after = { $or: [{ [field]: { $lt: v } }, { [field]: null }] };
+    }
+
+    const equal = spec
+      .slice(0, i)
+      .map(([f], j) => ({ [f]: values[j] === null ? null : values[j] }));
+    or.push(equal.length ? { $and: [...equal, after] } : after);
+  }
+  return or.length ? { $or: or } : { _id: null };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  QueryError,
+  buildFilter,
+  parseSort,
+  sortObject,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+};
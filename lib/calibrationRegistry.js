@@ -0,0 +1,89 @@
+// lib/calibrationRegistry.js
+const Instrument = require("../models/Instrument");
+const ReferenceStandard = require("../models/ReferenceStandard");
+
+const INSTRUMENT_SNAPSHOT_FIELDS = [
+  "description",
+  "type",
+  "manufacturer",
+  "model",
+  "serialNumber",
+  "assetTag",
+  "range",
+  "resolution",
+];
+
+/**
+ * When a record is linked to a registered instrument, fill in any instrument
+ * details the client left out from the registry entry.
+ * Returns false when the instrument does not exist in the record's company.
+ */
+async function linkInstrument(doc) {
+  if (!doc.instrumentId || !(doc.isNew || doc.isModified("instrumentId")))
+    return true;
+
+  const instrument = await Instrument.findOne({
+    _id: doc.instrumentId,
+    companyId: doc.companyId,
+  }).lean();
+  if (!instrument) return false;
+
+  const snapshot = doc.instrument ? doc.instrument.toObject() : {};
+  for (const field of INSTRUMENT_SNAPSHOT_FIELDS) {
+    if (snapshot[field] === undefined && instrument[field] !== undefined)
+      snapshot[field] = instrument[field];
+  }
+  doc.instrument = snapshot;
+  return true;
+}
+
+/**
+ * Fill registry-linked standards with their name, serial number and the
+ * certificate that covers the calibration date.
+ * Returns field errors for ids that are not registered in the company.
+ */
+async function linkStandards(doc) {
+  const fields = {};
+  if (
+    !(
+      doc.isNew ||
+      doc.isModified("standards") ||
+      doc.isModified("calibrationDate")
+    )
+  )
+    return fields;
+
+  for (const [i, entry] of (doc.standards || []).entries()) {
+    if (!entry.standardId) continue;
+    const standard = await ReferenceStandard.findOne({
+      _id: entry.standardId,
+      companyId: doc.companyId,
+    }).lean();
+    if (!standard) {
+      fields[
+        `standards.${i}.standardId`
+      ] = `standards.${i}.standardId is not a registered standard`;
+      continue;
+    }
+    const cert = doc.calibrationDate
+      ? ReferenceStandard.certificateValidOn(standard, doc.calibrationDate)
+      : null;
+    entry.name = standard.name;
+    entry.serialNumber = standard.serialNumber;
+    entry.certificateNumber = cert ? cert.certificateNumber : undefined;
+    entry.dueDate = cert ? cert.expiresAt : undefined;
+  }
+  return fields;
+}
+
+/**
+ * Resolve a record's instrument and standard links (see above).
+ * Returns field errors, empty when every link resolves.
+ */
+async function linkRegistry(doc) {
+  if (!(await linkInstrument(doc)))
+    return { instrumentId: "instrumentId is not a registered instrument" };
+  return linkStandards(doc);
+}
+
+module.exports = { linkRegistry };
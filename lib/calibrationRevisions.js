@@ -0,0 +1,56 @@
+// lib/calibrationRevisions.js
+const Calibration = require("../models/Calibration");
+const CalibrationRevision = require("../models/CalibrationRevision");
+
+// volatile keys that would make every revision look different
+const VOLATILE_KEYS = new Set(["_id", "computedAt"]);
+
+function strip(value) {
+  if (Array.isArray(value)) return value.map(strip);
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (!VOLATILE_KEYS.has(k)) out[k] = strip(v);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * The editable content of a calibration as stored in a revision:
+ * plain JSON, without subdocument ids or computation timestamps.
+ */
+function snapshot(doc) {
+  const plain = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  return strip(JSON.parse(JSON.stringify(Calibration.pickEditable(plain))));
+}
+
+/**
+ * Write the revision for the record's current `revision` number.
+ * Callers bump `doc.revision` before saving the record itself.
+ */
+function recordRevision(doc, { user, reason, action, restoredFrom }) {
+  return CalibrationRevision.create({
+    calibrationId: doc._id,
+    companyId: doc.companyId,
+    rev: doc.revision,
+    action,
+    restoredFrom,
+    reason,
+    author: user ? { id: user._id, username: user.username } : undefined,
+    content: snapshot(doc),
+  });
+}
+
+/**
+ * Remove revisions whose record save failed. The model refuses deletes,
+ * so this goes to the collection directly; nothing else may use it.
+ */
+async function discardRevisions(revisions) {
+  const ids = revisions.filter(Boolean).map((r) => r._id);
+  if (ids.length)
+    await CalibrationRevision.collection.deleteMany({ _id: { $in: ids } });
+}
+
+module.exports = { snapshot, recordRevision, discardRevisions };
@@ -0,0 +1,143 @@
+// lib/calibrationStats.js
+const Calibration = require("../models/Calibration");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const countOutcomes = {
+  total: { $sum: 1 },
+  passed: { $sum: { $cond: [{ $eq: ["$outcome", "pass"] }, 1, 0] } },
+  failed: { $sum: { $cond: [{ $eq: ["$outcome", "fail"] }, 1, 0] } },
+};
+
+const passRate = {
+  $cond: [
+    { $gt: [{ $add: ["$passed", "$failed"] }, 0] },
+    { $divide: ["$passed", { $add: ["$passed", "$failed"] }] },
+    null,
+  ],
+};
+
+const turnaroundMs = {
+  $cond: [
+    { $and: ["$approvedAt", { $eq: ["$status", "approved"] }] },
+    { $subtract: ["$approvedAt", "$createdAt"] },
+    null,
+  ],
+};
+
+/**
+ * Dashboard figures for the calibrations matching `filter`, computed in a
+ * single aggregation. Turnaround is creation to approval, in hours.
+ */
+async function calibrationStats(filter, { timezone = "UTC" } = {}) {
+  const [result] = await Calibration.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        byStatus: [
+          {
+            $group: {
+              _id: { $ifNull: ["$status", "draft"] },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+        byInstrumentType: [
+          {
+            $group: {
+              _id: { $ifNull: ["$instrument.type", "unspecified"] },
+              ...countOutcomes,
+            },
+          },
+          { $addFields: { passRate } },
+          { $sort: { total: -1 } },
+        ],
+        turnaround: [
+          { $match: { status: "approved", approvedAt: { $ne: null } } },
+          { $project: { ms: { $subtract: ["$approvedAt", "$createdAt"] } } },
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              avg: { $avg: "$ms" },
+              min: { $min: "$ms" },
+              max: { $max: "$ms" },
+            },
+          },
+        ],
+        byTechnician: [
+          {
+            $group: {
+              _id: {
+                userId: "$technician.userId",
+                name: "$technician.name",
+              },
+              ...countOutcomes,
+              approved: {
+                $sum: { $cond: [{ $eq: ["$status", "approved"] }, 1, 0] },
+              },
+              avgTurnaroundMs: { $avg: turnaroundMs },
+            },
+          },
+          { $addFields: { passRate } },
+          { $sort: { total: -1 } },
+        ],
+        monthly: [
+          {
+            $group: {
+              _id: {
+                $dateToString: {
+                  format: "%Y-%m",
+                  date: "$calibrationDate",
+                  timezone,
+                },
+              },
+              ...countOutcomes,
+              approved: {
+                $sum: { $cond: [{ $eq: ["$status", "approved"] }, 1, 0] },
+              },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  const toHours = (ms) =>
+    ms === null || ms === undefined ? null : ms / HOUR_MS;
+  const status = Object.fromEntries(Calibration.STATUSES.map((s) => [s, 0]));
+  for (const { _id, count } of result.byStatus) status[_id] = count;
+  const t = result.turnaround[0];
+
+  return {
+    byStatus: status,
+    total: Object.values(status).reduce((a, b) => a + b, 0),
+    byInstrumentType: result.byInstrumentType.map(({ _id, ...rest }) => ({
+      type: _id,
+      ...rest,
+    })),
+    turnaroundHours: t
+      ? {
+          count: t.count,
+          avg: toHours(t.avg),
+          min: toHours(t.min),
+          max: toHours(t.max),
+        }
+      : { count: 0, avg: null, min: null, max: null },
+    byTechnician: result.byTechnician.map(
+      ({ _id, avgTurnaroundMs, ...rest }) => ({
+        userId: _id.userId || null,
+        name: _id.name || null,
+        ...rest,
+        avgTurnaroundHours: toHours(avgTurnaroundMs),
+      })
+    ),
+    monthly: result.monthly.map(({ _id, ...rest }) => ({
+      month: _id,
+      ...rest,
+    })),
+  };
+}
+
+module.exports = { calibrationStats };
@@ -0,0 +1,202 @@
+// lib/calibrationWorkflow.js
+const Calibration = require("../models/Calibration");
+const Instrument = require("../models/Instrument");
+const { findStandardIssues } = require("./traceability");
+const { hasPermission, blockedUntilVerified } = require("./permissions");
+const { buildSignature } = require("./signatures");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Records can only be edited through PUT while in one of these states.
+const EDITABLE_STATUSES = ["draft", "rejected", "reissued"];
+
+/**
+ * Allowed transitions, keyed by the action name used in the route
+ * (POST /calibrations/:id/<action>). Transitions with `signature` must be
+ * electronically signed with that meaning (see lib/signatures).
+ */
+const TRANSITIONS = {
+  submit: {
+    from: ["draft", "rejected", "reissued"],
+    to: "submitted",
+    permission: "calibration:submit",
+  },
+  "start-review": {
+    from: ["submitted"],
+    to: "under_review",
+    permission: "calibration:review",
+  },
+  approve: {
+    from: ["under_review"],
+    to: "approved",
+    permission: "calibration:approve",
+    signature: "approved",
+  },
+  reject: {
+    from: ["submitted", "under_review"],
+    to: "rejected",
+    permission: "calibration:review",
+    requiresComment: true,
+  },
+  reissue: {
+    from: ["approved"],
+    to: "reissued",
+    permission: "calibration:reissue",
+    requiresComment: true,
+  },
+};
+
+class WorkflowError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = "WorkflowError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function isEditable(doc) {
+  return EDITABLE_STATUSES.includes(doc.status || "draft");
+}
+
+// content checks that must hold before a record leaves the editable states
+function assertReadyForReview(doc) {
+  if (!doc.measurements || doc.measurements.length === 0) {
+    throw new WorkflowError(
+      422,
+      "At least one measurement point is required before submitting"
+    );
+  }
+}
+
+/**
+ * Apply a workflow action to a calibration record.
+ * The status is re-checked in the update filter so two concurrent
+ * transitions cannot both succeed.
+ * @param {object} options { user, comment, signatureMethod } where
+ *   signatureMethod is how the signer re-authenticated (signed transitions)
+ */
+async function applyTransition(id, action, { user, comment, signatureMethod }) {
+  const transition = TRANSITIONS[action];
+  if (!transition) throw new WorkflowError(404, "Unknown action");
+
+  if (!hasPermission(user, transition.permission)) {
+    throw new WorkflowError(403, "Forbidden");
+  }
+  if (blockedUntilVerified(user, transition.permission)) {
+    throw new WorkflowError(403, "Email address not verified");
+  }
+  if (transition.requiresComment && !(comment && String(comment).trim())) {
+    throw new WorkflowError(400, `A comment is required to ${action}`);
+  }
+  if (transition.signature && !signatureMethod) {
+    throw new WorkflowError(400, `A signature is required to ${action}`);
+  }
+
+  const doc = await Calibration.findById(id);
+  if (!doc) throw new WorkflowError(404, "Not found");
+
+  const from = doc.status || "draft";
+  if (!transition.from.includes(from)) {
+    throw new WorkflowError(
+      409,
+      `Cannot ${action} a calibration in status "${from}"`
+    );
+  }
+
+  if (transition.to === "submitted") assertReadyForReview(doc);
+  if (transition.to === "submitted" || transition.to === "approved") {
+    const issues = await findStandardIssues(doc);
+    if (issues.length) {
+      throw new WorkflowError(
+        422,
+        "Reference standards were out of calibration on the calibration date",
+        issues
+      );
+    }
+  }
+
+  const now = new Date();
+  const set = { status: transition.to };
+  if (transition.to === "submitted") set.submittedAt = now;
+  if (transition.to === "approved") set.approvedAt = now;
+
+  const entry = {
+    action,
+    from,
+    to: transition.to,
+    actor: { id: user._id, username: user.username, role: user.role },
+    comment: comment ? String(comment).trim() : undefined,
+    at: now,
+  };
+
+  const push = { statusHistory: entry };
+  if (transition.signature) {
+    push.signatures = buildSignature(doc, {
+      user,
+      meaning: transition.signature,
+      method: signatureMethod,
+      comment,
+    });
+  }
+
+  // records created before the workflow existed have no stored status
+  const statusFilter = from === "draft" ? { $in: ["draft", null] } : from;
+  const updated = await Calibration.findOneAndUpdate(
+    { _id: doc._id, status: statusFilter },
+    { $set: set, $push: push },
+    { new: true }
+  );
+  if (!updated) {
+    throw new WorkflowError(409, "Calibration was changed concurrently");
+  }
+
+  if (updated.status === "approved") await updateInstrumentDueDates(updated);
+  return updated;
+}
+
+/**
+ * Roll the linked instrument's last/next due dates forward to this
+ * calibration. Approving an older record never moves the dates backwards.
+ */
+async function updateInstrumentDueDates(calibration) {
+  if (!calibration.instrumentId || !calibration.calibrationDate) return;
+
+  const instrument = await Instrument.findOne({
+    _id: calibration.instrumentId,
+    companyId: calibration.companyId,
+  });
+  if (!instrument) return;
+
+  const calibratedAt = calibration.calibrationDate;
+  const nextDueAt =
+    calibration.dueDate ||
+    new Date(
+      calibratedAt.getTime() + instrument.calibrationIntervalDays * DAY_MS
+    );
+
+  await Instrument.updateOne(
+    {
+      _id: instrument._id,
+      $or: [
+        { lastCalibratedAt: null },
+        { lastCalibratedAt: { $lte: calibratedAt } },
+      ],
+    },
+    {
+      $set: {
+        lastCalibratedAt: calibratedAt,
+        nextDueAt,
+        lastCalibrationId: calibration._id,
+      },
+    }
+  );
+}
+
+module.exports = {
+  TRANSITIONS,
+  EDITABLE_STATUSES,
+  WorkflowError,
+  isEditable,
+  applyTransition,
+};
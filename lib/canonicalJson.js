@@ -0,0 +1,29 @@
+// lib/canonicalJson.js
+
+/**
+ * Stable JSON for hashing: keys sorted, and null, undefined and empty
+ * objects left out, so a value hashes the same before it is stored and
+ * after it is read back from MongoDB. Dates and ObjectIds should already
+ * be plain JSON (see toPlainJson).
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const parts = [];
+    for (const key of Object.keys(value).sort()) {
+      const v = canonicalJson(value[key]);
+      if (v !== undefined) parts.push(`${JSON.stringify(key)}:${v}`);
+    }
+    return parts.length ? `{${parts.join(",")}}` : undefined;
+  }
+  return value === undefined || value === null
+    ? undefined
+    : JSON.stringify(value);
+}
+
+/** Dates to ISO strings, ObjectIds to hex, documents to plain objects. */
+function toPlainJson(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { canonicalJson, toPlainJson };
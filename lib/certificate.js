@@ -0,0 +1,419 @@
+// lib/certificate.js
+const PDFDocument = require("pdfkit");
+
+const MARGIN = 50;
+const FOOTER_HEIGHT = 40;
+
+function fmtDate(d) {
+  return d ? new Date(d).toISOString().slice(0, 10) : "-";
+}
+
+function fmtNum(v, digits = 6) {
+  if (v === undefined || v === null || Number.isNaN(v)) return "-";
+  return String(Number(Number(v).toPrecision(digits)));
+}
+
+function formatAddress(address) {
+  if (!address) return "";
+  return [
+    address.line1,
+    address.line2,
+    address.city,
+    address.state,
+    address.postalCode,
+    address.country,
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
+
+function bottomLimit(doc) {
+  return doc.page.height - MARGIN - FOOTER_HEIGHT;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > bottomLimit(doc)) doc.addPage();
+}
+
+function sectionTitle(doc, title) {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.8);
+  doc.font("Helvetica-Bold").fontSize(11).text(title, MARGIN);
+  doc.moveDown(0.3);
+  doc.font("Helvetica").fontSize(9);
+}
+
+// label/value rows in two columns
+function keyValues(doc, rows) {
+  const labelWidth = 140;
+  for (const [label, value] of rows) {
+    ensureSpace(doc, 14);
+    const y = doc.y;
+    doc.font("Helvetica-Bold").text(label, MARGIN, y, { width: labelWidth });
+    doc
+      .font("Helvetica")
+      .text(
+        value === undefined || value === "" ? "-" : String(value),
+        MARGIN + labelWidth,
+        y,
+        {
+          width: doc.page.width - 2 * MARGIN - labelWidth,
+        }
+      );
+  }
+}
+
+/**
+ * Simple grid table; repeats the header row after a page break.
+ * columns: [{ header, width }], rows: [[cell, ...]]
+ */
+function table(doc, columns, rows) {
+  const padding = 3;
+
+  const drawRow = (cells, bold) => {
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+    const height =
+      Math.max(
+        ...cells.map((c, i) =>
+          doc.heightOfString(String(c), {
+            width: columns[i].width - 2 * padding,
+          })
+        )
+      ) +
+      2 * padding;
+
+    if (doc.y + height > bottomLimit(doc)) {
+      doc.addPage();
+      if (!bold)
+        drawRow(
+          columns.map((c) => c.header),
+          true
+        );
+    }
+
+    const y = doc.y;
+    let x = MARGIN;
+    cells.forEach((cell, i) => {
+      const w = columns[i].width;
+      doc.rect(x, y, w, height).stroke();
+      doc.text(String(cell), x + padding, y + padding, {
+        width: w - 2 * padding,
+      });
+      x += w;
+    });
+    doc.x = MARGIN;
+    doc.y = y + height;
+  };
+
+  drawRow(
+    columns.map((c) => c.header),
+    true
+  );
+  for (const row of rows) drawRow(row, false);
+  doc.font("Helvetica").fontSize(9);
+}
+
+function approvalEntry(calibration) {
+  const history = calibration.statusHistory || [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].to === "approved") return history[i];
+  }
+  return null;
+}
+
+// the approval's electronic signature, unless the record was edited since
+function approvalSignature(calibration) {
+  const signatures = calibration.signatures || [];
+  for (let i = signatures.length - 1; i >= 0; i--) {
+    const sig = signatures[i];
+    if (sig.meaning === "approved") return sig.invalidatedAt ? null : sig;
+  }
+  return null;
+}
+
+/**
+ * Render an approved calibration into a certificate PDF.
+ * Document dates are pinned to the approval time so re-rendering the same
+ * record yields the same content. `logo` is the company logo as a PNG or
+ * JPEG buffer, when there is one.
+ *
+ * @returns {Promise<Buffer>}
+ */
+function renderCertificate({ calibration, company, logo }) {
+  return new Promise((resolve, reject) => {
+    const certNo = calibration.certificateNumber || String(calibration._id);
+    const approvedAt = calibration.approvedAt || calibration.updatedAt;
+
+    const doc = new PDFDocument({
+      size: "A4",
+      margins: { top: MARGIN, bottom: MARGIN, left: MARGIN, right: MARGIN },
+      bufferPages: true,
+      info: {
+        Title: `Calibration Certificate ${certNo}`,
+        Author: company ? company.name : undefined,
+        CreationDate: approvedAt,
+        ModDate: approvedAt,
+      },
+    });
+
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const width = doc.page.width - 2 * MARGIN;
+
+    /* ---------- header ---------- */
+    if (logo) {
+      doc.image(logo, MARGIN, MARGIN, { fit: [70, 50] });
+    }
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(16)
+      .text(company ? company.name : "", MARGIN, MARGIN, {
+        width,
+        align: "center",
+      });
+    if (company) {
+      doc.font("Helvetica").fontSize(9);
+      const address = formatAddress(company.address);
+      if (address) doc.text(address, { width, align: "center" });
+      if (company.accreditationNumber) {
+        const body = company.accreditationBody
+          ? ` (${company.accreditationBody})`
+          : "";
+        doc.text(`Accreditation No: ${company.accreditationNumber}${body}`, {
+          width,
+          align: "center",
+        });
+      }
+      if (company.code) doc.text(company.code, { width, align: "center" });
+    }
+    if (logo) doc.y = Math.max(doc.y, MARGIN + 50);
+    doc.moveDown(0.8);
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(14)
+      .text("CALIBRATION CERTIFICATE", { width, align: "center" });
+    doc
+      .font("Helvetica")
+      .fontSize(10)
+      .text(`Certificate No: ${certNo}`, { width, align: "center" });
+    doc
+      .moveTo(MARGIN, doc.y + 6)
+      .lineTo(MARGIN + width, doc.y + 6)
+      .stroke();
+    doc.moveDown(0.5);
+    doc.fontSize(9);
+
+    /* ---------- customer & instrument ---------- */
+    const customer = calibration.customer || {};
+    if (customer.name) {
+      sectionTitle(doc, "Customer");
+      keyValues(doc, [
+        ["Name", customer.name],
+        ["Address", customer.address],
+        ["Reference", customer.reference],
+      ]);
+    }
+
+    const inst = calibration.instrument || {};
+    sectionTitle(doc, "Instrument");
+    keyValues(doc, [
+      ["Description", inst.description],
+      ["Type", inst.type],
+      ["Manufacturer", inst.manufacturer],
+      ["Model", inst.model],
+      ["Serial number", inst.serialNumber],
+      ["Asset tag", inst.assetTag],
+      ["Range", inst.range],
+      ["Resolution", inst.resolution],
+    ]);
+
+    sectionTitle(doc, "Calibration details");
+    const env = calibration.environment || {};
+    keyValues(doc, [
+      ["Date received", fmtDate(calibration.receivedDate)],
+      ["Date of calibration", fmtDate(calibration.calibrationDate)],
+      ["Recommended due date", fmtDate(calibration.dueDate)],
+      [
+        "Temperature",
+        env.temperature !== undefined ? `${env.temperature} °C` : "-",
+      ],
+      [
+        "Relative humidity",
+        env.humidity !== undefined ? `${env.humidity} %RH` : "-",
+      ],
+      ["Pressure", env.pressure !== undefined ? `${env.pressure} kPa` : "-"],
+    ]);
+
+    /* ---------- results ---------- */
+    sectionTitle(doc, "Results");
+    const points = calibration.measurements || [];
+    table(
+      doc,
+      [
+        { header: "Parameter", width: 85 },
+        { header: "Nominal", width: 60 },
+        { header: "Reading", width: 60 },
+        { header: "Error", width: 55 },
+        { header: "Tolerance", width: 70 },
+        { header: "Unit", width: 40 },
+        { header: "U (k)", width: 80 },
+        { header: "Result", width: width - 450 },
+      ],
+      points.map((p) => [
+        p.parameter || "-",
+        fmtNum(p.nominal),
+        fmtNum(p.reading),
+        fmtNum(p.error, 4),
+        p.tolerance
+          ? `-${fmtNum(p.tolerance.minus)} / +${fmtNum(p.tolerance.plus)}`
+          : "-",
+        p.unit,
+        p.uncertainty
+          ? `${fmtNum(p.uncertainty.expandedUncertainty, 2)} (k=${
+              p.uncertainty.coverageFactor
+            })`
+          : "-",
+        p.result ? p.result.toUpperCase() : "-",
+      ])
+    );
+    if (points.some((p) => p.uncertainty)) {
+      // each budget may ask for its own confidence level
+      const coverage = [
+        ...new Set(
+          points
+            .filter((p) => p.uncertainty && p.uncertainty.confidence)
+            .map((p) => `${fmtNum(p.uncertainty.confidence * 100, 4)} %`)
+        ),
+      ];
+      ensureSpace(doc, 30);
+      doc.moveDown(0.4);
+      doc
+        .fontSize(8)
+        .text(
+          "The reported expanded uncertainty U is the combined standard uncertainty multiplied by the coverage factor k, " +
+            "which for a t-distribution with the effective degrees of freedom gives a coverage probability of approximately " +
+            `${coverage.join(" or ") || "95 %"}. ` +
+            "Uncertainty is evaluated in accordance with JCGM 100 (GUM).",
+          MARGIN,
+          doc.y,
+          { width }
+        )
+        .fontSize(9);
+    }
+
+    /* ---------- standards ---------- */
+    const standards = calibration.standards || [];
+    if (standards.length) {
+      sectionTitle(doc, "Reference standards used");
+      table(
+        doc,
+        [
+          { header: "Standard", width: 180 },
+          { header: "Serial number", width: 110 },
+          { header: "Certificate", width: 115 },
+          { header: "Due date", width: width - 405 },
+        ],
+        standards.map((s) => [
+          s.name,
+          s.serialNumber || "-",
+          s.certificateNumber || "-",
+          fmtDate(s.dueDate),
+        ])
+      );
+    }
+
+    if (calibration.remarks) {
+      sectionTitle(doc, "Remarks");
+      doc.text(calibration.remarks, MARGIN, doc.y, { width });
+    }
+
+    /* ---------- signatures ---------- */
+    sectionTitle(doc, "Authorisation");
+    ensureSpace(doc, 70);
+    const approval = approvalEntry(calibration);
+    const sigY = doc.y + 30;
+    const colW = width / 2 - 20;
+    doc
+      .moveTo(MARGIN, sigY)
+      .lineTo(MARGIN + colW, sigY)
+      .stroke();
+    doc
+      .moveTo(MARGIN + width / 2 + 20, sigY)
+      .lineTo(MARGIN + width, sigY)
+      .stroke();
+    doc.text(
+      `Calibrated by: ${
+        calibration.technician ? calibration.technician.name : "-"
+      }`,
+      MARGIN,
+      sigY + 4,
+      { width: colW }
+    );
+    doc.text(`Date: ${fmtDate(calibration.calibrationDate)}`, MARGIN, doc.y, {
+      width: colW,
+    });
+    doc.text(
+      `Approved by: ${
+        approval && approval.actor ? approval.actor.username : "-"
+      }`,
+      MARGIN + width / 2 + 20,
+      sigY + 4,
+      { width: colW }
+    );
+    doc.text(`Date: ${fmtDate(approvedAt)}`, MARGIN + width / 2 + 20, doc.y, {
+      width: colW,
+    });
+    const signature = approvalSignature(calibration);
+    if (signature) {
+      const hash = signature.contentHash.slice(0, 16);
+      doc
+        .fontSize(7)
+        .text(
+          `Electronically signed; content hash ${hash}`,
+          MARGIN + width / 2 + 20,
+          doc.y,
+          { width: colW }
+        )
+        .fontSize(9);
+    }
+
+    /* ---------- page numbering ---------- */
+    const footer =
+      company && company.settings && company.settings.certificateFooter;
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const y = doc.page.height - MARGIN - 12;
+      if (footer) {
+        doc
+          .font("Helvetica")
+          .fontSize(7)
+          .text(footer, MARGIN, y - 14, {
+            width,
+            align: "center",
+            lineBreak: false,
+          });
+      }
+      doc
+        .font("Helvetica")
+        .fontSize(8)
+        .text(`Certificate ${certNo}`, MARGIN, y, {
+          width,
+          align: "left",
+          lineBreak: false,
+        })
+        .text(`Page ${i - range.start + 1} of ${range.count}`, MARGIN, y, {
+          width,
+          align: "right",
+          lineBreak: false,
+        });
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = { renderCertificate };
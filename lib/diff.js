@@ -0,0 +1,49 @@
+// lib/diff.js
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+/**
+ * Field-level diff between two JSON-like values.
+ * Nested objects and arrays are walked; array elements are compared by index.
+ *
+ * @returns {Array<{ path: string, op: "added"|"removed"|"changed", from?, to? }>}
+ */
+function diff(before, after, prefix = "") {
+  const changes = [];
+
+  const walk = (a, b, path) => {
+    if (a === undefined && b === undefined) return;
+    if (a === undefined) return changes.push({ path, op: "added", to: b });
+    if (b === undefined) return changes.push({ path, op: "removed", from: a });
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+      const len = Math.max(a.length, b.length);
+      for (let i = 0; i < len; i++) walk(a[i], b[i], join(path, i));
+      return;
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+      const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+      for (const key of keys) walk(a[key], b[key], join(path, key));
+      return;
+    }
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push({ path, op: "changed", from: a, to: b });
+    }
+  };
+
+  // normalise Dates, ObjectIds and other BSON values to their JSON form
+  walk(toJSON(before), toJSON(after), prefix);
+  return changes;
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : String(key);
+}
+
+function toJSON(v) {
+  return v === undefined ? undefined : JSON.parse(JSON.stringify(v));
+}
+
+module.exports = { diff };
@@ -0,0 +1,138 @@
+// lib/fileDownloads.js
+const jwt = require("jsonwebtoken");
+const { openFile, statFile } = require("./storage");
+
+const FILE_URL_SECRET =
+  process.env.FILE_URL_SECRET || process.env.SESSION_SECRET || "dev_secret";
+const FILE_URL_TTL_SECONDS = Number(process.env.FILE_URL_TTL_SECONDS || 300);
+const FILE_URL_MAX_TTL_SECONDS = 60 * 60;
+
+// served inline only when asked for; anything else (HTML, SVG, ...) is
+// always a download so it cannot run script on this origin
+const INLINE_TYPES = [
+  "application/pdf",
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "text/plain",
+  "text/csv",
+];
+
+function contentDisposition(type, filename) {
+  const name = String(filename || "file");
+  const ascii = name.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  const encoded = encodeURIComponent(name).replace(
+    /['()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `${type}; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Stream a stored file (a FileSchema entry) in answer to `req`, honouring
+ * a single-range Range header and If-None-Match.
+ * @param {object} options { disposition: "attachment" | "inline" }
+ */
+async function sendStoredFile(req, res, file, { disposition } = {}) {
+  const stat = await statFile(file);
+  if (!stat) return res.status(404).json({ error: "File missing" });
+
+  const type = file.mimetype || "application/octet-stream";
+  const inline = disposition === "inline" && INLINE_TYPES.includes(type);
+  res.set({
+    "Content-Type": type,
+    "Content-Disposition": contentDisposition(
+      inline ? "inline" : "attachment",
+      file.originalname || file.filename
+    ),
+    "X-Content-Type-Options": "nosniff",
+    "Content-Security-Policy": "sandbox",
+    "Accept-Ranges": "bytes",
+    "Cache-Control": "private, no-cache",
+  });
+  if (file.checksum) res.set("ETag", `"${file.checksum}"`);
+  if (req.fresh) return res.status(304).end();
+
+  let range;
+  const ranges = req.headers.range ? req.range(stat.size) : null;
+  if (ranges === -1) {
+    res.set("Content-Range", `bytes */${stat.size}`);
+    return res.status(416).end();
+  }
+  // malformed and multi-part ranges get the whole file
+  if (Array.isArray(ranges) && ranges.type === "bytes" && ranges.length === 1)
+    range = ranges[0];
+
+  if (range) {
+    res.status(206);
+    res.set("Content-Range", `bytes ${range.start}-${range.end}/${stat.size}`);
+    res.set("Content-Length", String(range.end - range.start + 1));
+  } else {
+    res.set("Content-Length", String(stat.size));
+  }
+  if (req.method === "HEAD") return res.end();
+
+  const stream = await openFile(file, range);
+  stream.on("error", (err) => {
+    console.error("send file err", err);
+    // nothing sent yet: the file's headers are replaced by the error's
+    if (res.headersSent) return res.destroy(err);
+    for (const name of ["Content-Disposition", "Content-Range", "ETag"])
+      res.removeHeader(name);
+    res.status(500).json({ error: "Server error" });
+  });
+  res.on("close", () => stream.destroy());
+  stream.pipe(res);
+}
+
+/**
+ * A short-lived token for GET /files/:token. It names the file by the
+ * record holding it, so deleting the record or file revokes the URL.
+ * @param {object} target { kind, companyId, recordId, fileId, disposition? }
+ * @returns {{ token: string, expiresAt: Date }}
+ */
+function signFileToken(target, ttlSeconds = FILE_URL_TTL_SECONDS) {
+  const ttl = Math.min(
+    Math.max(1, Number(ttlSeconds) || FILE_URL_TTL_SECONDS),
+    FILE_URL_MAX_TTL_SECONDS
+  );
+  const token = jwt.sign(
+    {
+      purpose: "file",
+      kind: target.kind,
+      cid: String(target.companyId),
+      rid: String(target.recordId),
+      fid: target.fileId ? String(target.fileId) : undefined,
+      disposition: target.disposition,
+    },
+    FILE_URL_SECRET,
+    { expiresIn: ttl }
+  );
+  return { token, expiresAt: new Date(Date.now() + ttl * 1000) };
+}
+
+/** @returns {object|null} the token's target, or null if invalid or expired */
+function verifyFileToken(token) {
+  try {
+    const payload = jwt.verify(String(token || ""), FILE_URL_SECRET);
+    if (payload.purpose !== "file") return null;
+    return {
+      kind: payload.kind,
+      companyId: payload.cid,
+      recordId: payload.rid,
+      fileId: payload.fid,
+      disposition: payload.disposition,
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  FILE_URL_TTL_SECONDS,
+  FILE_URL_MAX_TTL_SECONDS,
+  sendStoredFile,
+  signFileToken,
+  verifyFileToken,
+};
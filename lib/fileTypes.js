@@ -0,0 +1,109 @@
+// lib/fileTypes.js
+const path = require("path");
+
+// bytes read from the start of a file to identify it
+const SNIFF_BYTES = 4096;
+
+function startsWith(head, bytes, offset = 0) {
+  if (head.length < offset + bytes.length) return false;
+  return bytes.every((b, i) => head[offset + i] === b);
+}
+
+const ascii = (s) => [...s].map((c) => c.charCodeAt(0));
+
+// UTF-8 (or ASCII) without NUL or other binary control bytes
+function looksLikeText(head) {
+  if (!head.length) return false;
+  for (const byte of head) {
+    if (byte === 0) return false;
+    if (byte < 0x09 || (byte > 0x0d && byte < 0x20 && byte !== 0x1b))
+      return false;
+  }
+  // a multi-byte character may be cut at the end of the sample
+  const text = head.toString("utf8");
+  return !text.slice(0, -4).includes("\uFFFD");
+}
+
+/**
+ * Known file types. `test` looks at the leading bytes; types sharing a
+ * container (ZIP based Office files, plain text) are told apart by the
+ * extension once the container has been recognised.
+ */
+const FILE_TYPES = {
+  pdf: {
+    mimetype: "application/pdf",
+    test: (head) => startsWith(head, ascii("%PDF-")),
+  },
+  png: {
+    mimetype: "image/png",
+    test: (head) =>
+      startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  jpeg: {
+    mimetype: "image/jpeg",
+    test: (head) => startsWith(head, [0xff, 0xd8, 0xff]),
+  },
+  gif: {
+    mimetype: "image/gif",
+    test: (head) =>
+      startsWith(head, ascii("GIF87a")) || startsWith(head, ascii("GIF89a")),
+  },
+  webp: {
+    mimetype: "image/webp",
+    test: (head) =>
+      startsWith(head, ascii("RIFF")) && startsWith(head, ascii("WEBP"), 8),
+  },
+  tiff: {
+    mimetype: "image/tiff",
+    test: (head) =>
+      startsWith(head, [0x49, 0x49, 0x2a, 0x00]) ||
+      startsWith(head, [0x4d, 0x4d, 0x00, 0x2a]),
+  },
+  xlsx: {
+    mimetype:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    container: "zip",
+    extensions: [".xlsx"],
+  },
+  docx: {
+    mimetype:
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    container: "zip",
+    extensions: [".docx"],
+  },
+  zip: {
+    mimetype: "application/zip",
+    test: (head) => startsWith(head, [0x50, 0x4b, 0x03, 0x04]),
+  },
+  csv: {
+    mimetype: "text/csv",
+    container: "text",
+    extensions: [".csv"],
+  },
+  text: {
+    mimetype: "text/plain",
+    test: looksLikeText,
+  },
+};
+
+/**
+ * Identify a file from its leading bytes (and, for ZIP and text
+ * containers, its extension). The client's declared mimetype is ignored.
+ * @param {Buffer} head at least the first SNIFF_BYTES of the file
+ * @returns {{ type: string, mimetype: string }|null}
+ */
+function detectFileType(head, originalname) {
+  const ext = path.extname(originalname || "").toLowerCase();
+  for (const [type, def] of Object.entries(FILE_TYPES)) {
+    if (!def.test || !def.test(head)) continue;
+    // a more specific type carried in the same container
+    for (const [inner, innerDef] of Object.entries(FILE_TYPES)) {
+      if (innerDef.container === type && innerDef.extensions.includes(ext))
+        return { type: inner, mimetype: innerDef.mimetype };
+    }
+    return { type, mimetype: def.mimetype };
+  }
+  return null;
+}
+
+module.exports = { SNIFF_BYTES, FILE_TYPES, detectFileType };
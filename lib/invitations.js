@@ -0,0 +1,83 @@
+// lib/invitations.js
+const crypto = require("crypto");
+const Invitation = require("../models/Invitation");
+
+const INVITE_TTL_DAYS = Number(process.env.INVITE_TTL_DAYS || 7);
+const INVITE_URL_BASE = process.env.INVITE_URL_BASE || "";
+
+function hashCode(code) {
+  return crypto.createHash("sha256").update(String(code)).digest("hex");
+}
+
+/** Link for an invitation code, or null when INVITE_URL_BASE is not set. */
+function invitationLink(code) {
+  if (!INVITE_URL_BASE) return null;
+  const url = new URL(INVITE_URL_BASE);
+  url.searchParams.set("invite", code);
+  return url.toString();
+}
+
+/**
+ * Create an invitation and return it with its one-time code. Only the hash
+ * of the code is stored.
+ */
+async function issueInvitation({ companyId, email, role, ttlDays, user }) {
+  const code = crypto.randomBytes(18).toString("base64url");
+  const days = Number(ttlDays) || INVITE_TTL_DAYS;
+  const invitation = await Invitation.create({
+    companyId,
+    codeHash: hashCode(code),
+    email: email || undefined,
+    role: role || "user",
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    createdBy: user ? { id: user._id, username: user.username } : undefined,
+  });
+  return { invitation, code, link: invitationLink(code) };
+}
+
+/**
+ * The pending invitation for a code, or null. This and the claim below
+ * run at signup, before a tenant is known, so they skip tenant scoping.
+ */
+function findPendingInvitation(code) {
+  if (!code) return Promise.resolve(null);
+  return Invitation.findOne({
+    codeHash: hashCode(code),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).setOptions({ skipTenant: true });
+}
+
+/**
+ * Atomically mark a pending invitation as used so it cannot be redeemed
+ * twice. Returns the invitation, or null if it is no longer pending.
+ */
+function claimInvitation(invitation, userId) {
+  return Invitation.findOneAndUpdate(
+    {
+      _id: invitation._id,
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { acceptedAt: new Date(), acceptedBy: userId } },
+    { new: true, skipTenant: true }
+  );
+}
+
+/** Undo a claim when creating the user failed afterwards. */
+function releaseInvitation(invitation) {
+  return Invitation.updateOne(
+    { _id: invitation._id },
+    { $unset: { acceptedAt: 1, acceptedBy: 1 } },
+    { skipTenant: true }
+  );
+}
+
+module.exports = {
+  issueInvitation,
+  findPendingInvitation,
+  claimInvitation,
+  releaseInvitation,
+};
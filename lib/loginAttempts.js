@@ -0,0 +1,28 @@
+// lib/loginAttempts.js
+const LoginAttempt = require("../models/LoginAttempt");
+
+/**
+ * Log a login attempt for later review. Never fails the login itself.
+ * @param {object} attempt { email, user?, success, method?, reason? }
+ */
+async function recordLoginAttempt(
+  req,
+  { email, user, success, method, reason }
+) {
+  try {
+    await LoginAttempt.create({
+      email: user ? user.email : email,
+      userId: user ? user._id : undefined,
+      companyId: user ? user.company : undefined,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+      success,
+      method,
+      reason,
+    });
+  } catch (err) {
+    console.error("record login attempt err", err);
+  }
+}
+
+module.exports = { recordLoginAttempt };
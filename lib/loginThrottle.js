@@ -0,0 +1,240 @@
+// lib/loginThrottle.js
+const LoginThrottle = require("../models/LoginThrottle");
+
+const MINUTE = 60 * 1000;
+
+// failures tolerated before backoff starts (typos happen)
+const FREE_FAILURES = Number(process.env.LOGIN_FREE_FAILURES || 2);
+const BACKOFF_BASE_SECONDS = Number(
+  process.env.LOGIN_BACKOFF_BASE_SECONDS || 1
+);
+const BACKOFF_MAX_SECONDS = Number(process.env.LOGIN_BACKOFF_MAX_SECONDS || 60);
+// failures before an account (or IP) is locked out entirely
+const ACCOUNT_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES || 5);
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES || 20);
+const LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15) * MINUTE;
+// counters are forgotten after this long without a failure
+const WINDOW_MS =
+  Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES || 15) * MINUTE;
+
+/**
+ * Counter stores implement:
+ *   get(key)                -> { failures, blockedUntil } | null
+ *   hit(key, windowMs)      -> { failures, blockedUntil }  (one more failure)
+ *   block(key, until, windowMs)
+ *   reset(key)
+ * The memory store is per process; use the Mongo store when running
+ * more than one instance.
+ */
+class MemoryThrottleStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  live(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async get(key) {
+    const entry = this.live(key);
+    return (
+      entry && { failures: entry.failures, blockedUntil: entry.blockedUntil }
+    );
+  }
+
+  async hit(key, windowMs) {
+    const now = Date.now();
+    const entry = this.live(key, now) || { failures: 0, blockedUntil: null };
+    entry.failures += 1;
+    entry.expiresAt = Math.max(now + windowMs, entry.blockedUntil || 0);
+    this.entries.set(key, entry);
+    return { failures: entry.failures, blockedUntil: entry.blockedUntil };
+  }
+
+  async block(key, until, windowMs) {
+    const entry = this.live(key);
+    if (!entry) return;
+    entry.blockedUntil = until;
+    entry.expiresAt = until.getTime() + windowMs;
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+}
+
+class MongoThrottleStore {
+  async get(key) {
+    return LoginThrottle.findOne({ key, expiresAt: { $gt: new Date() } })
+      .select("failures blockedUntil")
+      .lean();
+  }
+
+  // one atomic update, so concurrent failures are all counted
+  async hit(key, windowMs) {
+    const now = new Date();
+    const live = { $gt: ["$expiresAt", now] };
+    return LoginThrottle.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            failures: { $cond: [live, { $add: ["$failures", 1] }, 1] },
+            blockedUntil: { $cond: [live, "$blockedUntil", null] },
+          },
+        },
+        {
+          $set: {
+            expiresAt: {
+              $max: [new Date(now.getTime() + windowMs), "$blockedUntil"],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    )
+      .select("failures blockedUntil")
+      .lean();
+  }
+
+  async block(key, until, windowMs) {
+    await LoginThrottle.updateOne(
+      { key },
+      {
+        $set: {
+          blockedUntil: until,
+          expiresAt: new Date(until.getTime() + windowMs),
+        },
+      }
+    );
+  }
+
+  async reset(key) {
+    await LoginThrottle.deleteOne({ key });
+  }
+}
+
+const STORES = { memory: MemoryThrottleStore, mongo: MongoThrottleStore };
+
+function createThrottleStore(name) {
+  const Store = STORES[name];
+  if (!Store) throw new Error(`Unknown login throttle store "${name}"`);
+  return new Store();
+}
+
+let store = createThrottleStore(process.env.LOGIN_THROTTLE_STORE || "mongo");
+
+/** Swap the counter store, e.g. for a Redis-backed one. */
+function setThrottleStore(next) {
+  store = next;
+}
+
+function accountKey(email) {
+  const normalised = String(email || "")
+    .trim()
+    .toLowerCase();
+  return `account:${normalised}`;
+}
+
+function ipKey(ip) {
+  return `ip:${ip || "unknown"}`;
+}
+
+function retryAfterSeconds(until) {
+  return Math.max(
+    1,
+    Math.ceil((new Date(until).getTime() - Date.now()) / 1000)
+  );
+}
+
+function backoffMs(failures) {
+  if (failures <= FREE_FAILURES) return 0;
+  const seconds = BACKOFF_BASE_SECONDS * 2 ** (failures - FREE_FAILURES - 1);
+  return Math.min(seconds, BACKOFF_MAX_SECONDS) * 1000;
+}
+
+/**
+ * Whether a login for this email from this IP must wait.
+ * @returns {Promise<{ retryAfter: number, locked: boolean }|null>}
+ */
+async function checkLogin({ email, ip }) {
+  const [account, address] = await Promise.all([
+    store.get(accountKey(email)),
+    store.get(ipKey(ip)),
+  ]);
+  let result = null;
+  for (const [entry, max] of [
+    [account, ACCOUNT_MAX_FAILURES],
+    [address, IP_MAX_FAILURES],
+  ]) {
+    if (!entry || !entry.blockedUntil || entry.blockedUntil <= new Date()) {
+      continue;
+    }
+    const retryAfter = retryAfterSeconds(entry.blockedUntil);
+    if (!result || retryAfter > result.retryAfter) {
+      result = { retryAfter, locked: entry.failures >= max };
+    }
+  }
+  return result;
+}
+
+async function penalise(key, max) {
+  const { failures } = await store.hit(key, WINDOW_MS);
+  const delay = failures >= max ? LOCKOUT_MS : backoffMs(failures);
+  if (!delay) return null;
+  const until = new Date(Date.now() + delay);
+  await store.block(key, until, WINDOW_MS);
+  return { retryAfter: retryAfterSeconds(until), locked: failures >= max };
+}
+
+/**
+ * Count a failed password or code against the account and the IP.
+ * @returns {Promise<{ retryAfter: number, locked: boolean }|null>} the wait
+ *   now imposed, if any
+ */
+async function recordLoginFailure({ email, ip }) {
+  const results = await Promise.all([
+    penalise(accountKey(email), ACCOUNT_MAX_FAILURES),
+    penalise(ipKey(ip), IP_MAX_FAILURES),
+  ]);
+  return results.reduce(
+    (worst, r) =>
+      r && (!worst || r.retryAfter > worst.retryAfter) ? r : worst,
+    null
+  );
+}
+
+/** Forget an account's failures (successful login, reset or admin unlock). */
+function clearAccount(email) {
+  return store.reset(accountKey(email));
+}
+
+/** @returns {Promise<{ failures: number, lockedUntil: Date|null }>} */
+async function accountStatus(email) {
+  const entry = await store.get(accountKey(email));
+  const blocked =
+    entry && entry.blockedUntil && entry.blockedUntil > new Date()
+      ? entry.blockedUntil
+      : null;
+  return {
+    failures: entry ? entry.failures : 0,
+    lockedUntil:
+      entry && entry.failures >= ACCOUNT_MAX_FAILURES ? blocked : null,
+  };
+}
+
+module.exports = {
+  MemoryThrottleStore,
+  MongoThrottleStore,
+  createThrottleStore,
+  setThrottleStore,
+  checkLogin,
+  recordLoginFailure,
+  clearAccount,
+  accountStatus,
+};
@@ -0,0 +1,87 @@
+// lib/mailer.js
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+const MAIL_FROM = process.env.MAIL_FROM || "no-reply@localhost";
+const MAIL_DIR =
+  process.env.MAIL_DIR || path.join(__dirname, "..", "storage", "mail");
+
+/**
+ * Transports, selected with MAIL_TRANSPORT:
+ *   - smtp:    SMTP_URL, or SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+ *   - file:    each message written to MAIL_DIR as an .eml file
+ *   - console: each message logged, tokens included (default outside
+ *              production; refused in production)
+ * Production defaults to smtp. Each exposes send(message) -> Promise.
+ */
+const TRANSPORTS = {
+  smtp() {
+    const transporter = nodemailer.createTransport(
+      process.env.SMTP_URL || {
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT || 587),
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      }
+    );
+    return { send: (message) => transporter.sendMail(message) };
+  },
+
+  file() {
+    const transporter = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: "unix",
+    });
+    return {
+      async send(message) {
+        const info = await transporter.sendMail(message);
+        const id = info.messageId.replace(/[^\w.-]/g, "");
+        const name = `${Date.now()}-${id}.eml`;
+        await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+        await fs.promises.writeFile(path.join(MAIL_DIR, name), info.message);
+        return info;
+      },
+    };
+  },
+
+  console() {
+    return {
+      async send(message) {
+        const subject = JSON.stringify(message.subject);
+        console.log(`[mail] to=${message.to} subject=${subject}`);
+        console.log(message.text);
+        return { messageId: null };
+      },
+    };
+  },
+};
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const isProd = process.env.NODE_ENV === "production";
+    const name = process.env.MAIL_TRANSPORT || (isProd ? "smtp" : "console");
+    const factory = TRANSPORTS[name];
+    if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    // reset and invitation links would end up in the logs
+    if (isProd && name === "console")
+      throw new Error('MAIL_TRANSPORT "console" is not allowed in production');
+    transport = factory();
+  }
+  return transport;
+}
+
+/**
+ * Send a message through the configured transport.
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+function sendMail(message) {
+  return getTransport().send({ from: MAIL_FROM, ...message });
+}
+
+module.exports = { sendMail };
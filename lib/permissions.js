@@ -0,0 +1,173 @@
+// lib/permissions.js
+
+/** Every permission the API checks, with a short description for the UI. */
+const PERMISSIONS = {
+  "calibration:read": "View calibrations, revisions, stats and certificates",
+  "calibration:create": "Create calibrations",
+  "calibration:edit": "Edit and restore calibrations while editable",
+  "calibration:delete": "Delete calibrations",
+  "calibration:submit": "Submit calibrations for review",
+  "calibration:review": "Start review of and reject submitted calibrations",
+  "calibration:approve": "Approve calibrations under review",
+  "calibration:reissue": "Reopen approved calibrations for reissue",
+  "calibration:import": "Import calibrations from CSV or XLSX",
+  "calibration:export": "Export calibrations",
+  "instrument:read": "View the instrument registry",
+  "instrument:edit": "Register and edit instruments",
+  "instrument:delete": "Delete instruments",
+  "standard:read": "View reference standards",
+  "standard:edit": "Register and edit reference standards",
+  "standard:delete": "Delete reference standards",
+  "product:read": "View products",
+  "product:edit": "Create and edit products",
+  "product:delete": "Delete products",
+  "user:manage": "Manage users and invitations",
+  "company:manage": "Edit the company profile and role permissions",
+  "audit:read": "View, export and verify the audit trail",
+};
+
+const ALL = Object.keys(PERMISSIONS);
+
+const CALIBRATION_WORK = [
+  "calibration:read",
+  "calibration:create",
+  "calibration:edit",
+  "calibration:submit",
+  "calibration:import",
+  "calibration:export",
+  "instrument:read",
+  "instrument:edit",
+  "standard:read",
+  "product:read",
+  "product:edit",
+];
+
+/**
+ * Default permissions per role. `user` is the role every account had
+ * before roles were split up and keeps what it could do then.
+ */
+const ROLE_PERMISSIONS = {
+  superadmin: ALL,
+  admin: ALL,
+  quality_manager: ALL.filter(
+    (p) => !["user:manage", "company:manage"].includes(p)
+  ),
+  reviewer: [
+    "calibration:read",
+    "calibration:review",
+    "calibration:approve",
+    "calibration:export",
+    "instrument:read",
+    "standard:read",
+    "product:read",
+  ],
+  technician: CALIBRATION_WORK,
+  // nothing by default: calibrations name their customer as free text, so
+  // reads cannot yet be limited to the customer's own records
+  customer: [],
+  user: CALIBRATION_WORK,
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// need a verified email address on top of the permission itself
+const SENSITIVE = new Set([
+  "calibration:delete",
+  "calibration:review",
+  "calibration:approve",
+  "calibration:reissue",
+  "calibration:import",
+  "calibration:export",
+  "instrument:delete",
+  "standard:delete",
+  "product:delete",
+  "user:manage",
+  "company:manage",
+  "audit:read",
+]);
+
+// a company cannot lock its admins out of managing the company
+const LOCKED = {
+  superadmin: ALL,
+  admin: ["user:manage", "company:manage"],
+};
+
+/**
+ * Problems with a per-company override for a role, as field errors.
+ * An override is { grant: [permission], revoke: [permission] }.
+ */
+function validateOverride(role, override) {
+  const errors = {};
+  if (!ROLES.includes(role)) return { role: `Unknown role ${role}` };
+  if (role === "superadmin") {
+    return { role: "superadmin permissions cannot be changed" };
+  }
+  for (const key of ["grant", "revoke"]) {
+    const list = override[key];
+    if (list === undefined) continue;
+    if (!Array.isArray(list)) {
+      errors[key] = `${key} must be an array of permissions`;
+      continue;
+    }
+    const unknown = list.filter((p) => !PERMISSIONS[p]);
+    if (unknown.length) {
+      errors[key] = `Unknown permissions: ${unknown.join(", ")}`;
+    }
+  }
+  const locked = (override.revoke || []).filter((p) =>
+    (LOCKED[role] || []).includes(p)
+  );
+  if (locked.length && !errors.revoke) {
+    errors.revoke = `${role} cannot lose ${locked.join(", ")}`;
+  }
+  return errors;
+}
+
+/**
+ * Effective permissions of a role in a company: the defaults, plus the
+ * company's grants, minus its revocations.
+ *
+ * @param {string} role
+ * @param {object} [company] with optional rolePermissions overrides
+ * @returns {string[]}
+ */
+function permissionsFor(role, company) {
+  const base = new Set(ROLE_PERMISSIONS[role] || []);
+  if (role === "superadmin") return [...base];
+
+  const override =
+    company && (company.rolePermissions || []).find((o) => o.role === role);
+  if (override) {
+    for (const p of override.grant || []) if (PERMISSIONS[p]) base.add(p);
+    for (const p of override.revoke || []) {
+      if (!(LOCKED[role] || []).includes(p)) base.delete(p);
+    }
+  }
+  return ALL.filter((p) => base.has(p));
+}
+
+function hasPermission(user, permission) {
+  return Boolean(
+    user && user.permissions && user.permissions.includes(permission)
+  );
+}
+
+function isEmailVerified(user) {
+  return Boolean(user) && user.emailVerified !== false;
+}
+
+/** True when the permission is sensitive and the user's email is unverified. */
+function blockedUntilVerified(user, permission) {
+  return SENSITIVE.has(permission) && !isEmailVerified(user);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  validateOverride,
+  permissionsFor,
+  hasPermission,
+  isEmailVerified,
+  blockedUntilVerified,
+};
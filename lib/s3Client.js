@@ -0,0 +1,177 @@
+// lib/s3Client.js
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+
+const EMPTY_SHA256 = crypto.createHash("sha256").update("").digest("hex");
+
+class S3Error extends Error {
+  constructor(status, code, message) {
+    super(message || code || `S3 request failed with ${status}`);
+    this.name = "S3Error";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+// RFC 3986 encoding as SigV4 expects; "/" is kept in object keys
+function encodeKey(key) {
+  return key
+    .split("/")
+    .map((part) =>
+      encodeURIComponent(part).replace(
+        /[!'()*]/g,
+        (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+      )
+    )
+    .join("/");
+}
+
+/**
+ * Minimal S3 client (PUT, GET, HEAD, DELETE object) signing requests with
+ * AWS Signature Version 4. Works with AWS S3 and S3-compatible servers
+ * such as MinIO; `forcePathStyle` puts the bucket in the path rather
+ * than the host name.
+ */
+class S3Client {
+  constructor({
+    endpoint,
+    region = "us-east-1",
+    bucket,
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle = true,
+  }) {
+    if (!bucket) throw new Error("S3 bucket is required");
+    this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    this.region = region;
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.forcePathStyle = forcePathStyle;
+  }
+
+  target(key) {
+    const host = this.forcePathStyle
+      ? this.endpoint.host
+      : `${this.bucket}.${this.endpoint.host}`;
+    const base = this.endpoint.pathname.replace(/\/$/, "");
+    const path = this.forcePathStyle
+      ? `${base}/${this.bucket}/${encodeKey(key)}`
+      : `${base}/${encodeKey(key)}`;
+    return { host, path };
+  }
+
+  sign(method, { host, path }, headers, payloadHash) {
+    const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, "");
+    const date = amzDate.slice(0, 8);
+    const all = {
+      ...headers,
+      host,
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": amzDate,
+    };
+    const names = Object.keys(all)
+      .map((n) => n.toLowerCase())
+      .sort();
+    const lower = {};
+    for (const [k, v] of Object.entries(all)) lower[k.toLowerCase()] = v;
+    const canonicalHeaders = names
+      .map((n) => `${n}:${String(lower[n]).trim()}\n`)
+      .join("");
+    const signedHeaders = names.join(";");
+    const canonicalRequest = [
+      method,
+      path,
+      "",
+      canonicalHeaders,
+      signedHeaders,
+      payloadHash,
+    ].join("\n");
+
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+    const stringToSign = [
+      "AWS4-HMAC-SHA256",
+      amzDate,
+      scope,
+      crypto.createHash("sha256").update(canonicalRequest).digest("hex"),
+    ].join("\n");
+    let key = hmac(`AWS4${this.secretAccessKey}`, date);
+    for (const part of [this.region, "s3", "aws4_request"]) {
+      key = hmac(key, part);
+    }
+    const signature = crypto
+      .createHmac("sha256", key)
+      .update(stringToSign)
+      .digest("hex");
+
+    return {
+      ...lower,
+      authorization:
+        `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, ` +
+        `SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    };
+  }
+
+  /**
+   * Send a signed request. Resolves with the response stream for 2xx
+   * statuses; other statuses reject with an S3Error.
+   * @param {object} options { headers?, body? (stream), payloadHash? }
+   */
+  request(method, key, { headers = {}, body, payloadHash } = {}) {
+    const target = this.target(key);
+    const signed = this.sign(
+      method,
+      target,
+      headers,
+      payloadHash || EMPTY_SHA256
+    );
+    const transport = this.endpoint.protocol === "http:" ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(
+        {
+          method,
+          protocol: this.endpoint.protocol,
+          hostname: this.endpoint.hostname,
+          port: this.endpoint.port || undefined,
+          path: target.path,
+          headers: signed,
+        },
+        (res) => {
+          if (res.statusCode >= 200 && res.statusCode < 300)
+            return resolve(res);
+          let text = "";
+          res.setEncoding("utf8");
+          res.on("data", (chunk) => {
+            text += chunk;
+          });
+          res.on("end", () => {
+            const code = /<Code>([^<]+)<\/Code>/.exec(text);
+            const message = /<Message>([^<]+)<\/Message>/.exec(text);
+            reject(
+              new S3Error(
+                res.statusCode,
+                code ? code[1] : undefined,
+                message ? message[1] : undefined
+              )
+            );
+          });
+        }
+      );
+      req.on("error", reject);
+      if (body) {
+        body.on("error", (err) => req.destroy(err));
+        body.pipe(req);
+      } else {
+        req.end();
+      }
+    });
+  }
+}
+
+module.exports = { S3Client, S3Error };
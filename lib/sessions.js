@@ -0,0 +1,164 @@
+// lib/sessions.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+
+const SESSION_SECRET = process.env.SESSION_SECRET || "dev_secret";
+const ACCESS_TOKEN_TTL_SECONDS = Number(
+  process.env.ACCESS_TOKEN_TTL_SECONDS || 15 * 60
+);
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SessionError";
+  }
+}
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+// refresh tokens are "<sessionId>.<secret>"
+function parseRefreshToken(token) {
+  const [id, secret] = String(token || "").split(".");
+  if (!secret || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return { id, secret };
+}
+
+function activeFilter() {
+  return { revokedAt: null, expiresAt: { $gt: new Date() } };
+}
+
+function signAccessToken(user, session) {
+  return jwt.sign(
+    {
+      uid: user._id,
+      cid: user.company,
+      sid: session._id,
+      role: user.role,
+      username: user.username,
+    },
+    SESSION_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+/**
+ * Start a session for `user` on the requesting device.
+ * @returns {Promise<{ session, accessToken, refreshToken }>}
+ */
+async function createSession(user, req) {
+  const secret = newSecret();
+  const session = await Session.create({
+    userId: user._id,
+    refreshHash: hashSecret(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    lastUsedAt: new Date(),
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+  });
+  return {
+    session,
+    accessToken: signAccessToken(user, session),
+    refreshToken: `${session._id}.${secret}`,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new one. A token that was already
+ * rotated away means it leaked, so the whole session is revoked.
+ * `loadUser(userId)` returns the current user, or null if gone.
+ * @returns {Promise<{ session, user, accessToken, refreshToken }>}
+ */
+async function rotateSession(refreshToken, loadUser) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw new SessionError("Invalid refresh token");
+
+  const session = await Session.findOne({ _id: parsed.id, ...activeFilter() });
+  if (!session) throw new SessionError("Session expired or revoked");
+
+  const presented = hashSecret(parsed.secret);
+  const secret = newSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshHash: presented, ...activeFilter() },
+    {
+      $set: {
+        refreshHash: hashSecret(secret),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+        lastUsedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    await revokeSession(session._id, "reuse_detected");
+    throw new SessionError("Refresh token reuse detected");
+  }
+
+  const user = await loadUser(rotated.userId);
+  if (!user) {
+    await revokeSession(rotated._id, "user_deleted");
+    throw new SessionError("Session user not found");
+  }
+  return {
+    session: rotated,
+    user,
+    accessToken: signAccessToken(user, rotated),
+    refreshToken: `${rotated._id}.${secret}`,
+  };
+}
+
+/** The active session with this id, or null. */
+function findActiveSession(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return Promise.resolve(null);
+  return Session.findOne({ _id: id, ...activeFilter() }).lean();
+}
+
+/** Id of the session a refresh token belongs to, without checking it. */
+function sessionIdFromRefreshToken(token) {
+  const parsed = parseRefreshToken(token);
+  return parsed ? parsed.id : null;
+}
+
+function revokeSession(id, reason, filter = {}) {
+  return Session.updateOne(
+    { _id: id, revokedAt: null, ...filter },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+/** Revoke every active session of a user, optionally keeping one. */
+function revokeUserSessions(userId, reason, { except } = {}) {
+  const filter = { userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  return Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+}
+
+function listActiveSessions(userId) {
+  return Session.find({ userId, ...activeFilter() })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_MS,
+  SessionError,
+  createSession,
+  rotateSession,
+  findActiveSession,
+  sessionIdFromRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions,
+};
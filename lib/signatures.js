@@ -0,0 +1,202 @@
+// lib/signatures.js
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const { snapshot } = require("./calibrationRevisions");
+const { canonicalJson, toPlainJson } = require("./canonicalJson");
+const { isTwoFactorEnabled, verifySecondFactor } = require("./twoFactor");
+const { checkLogin, recordLoginFailure } = require("./loginThrottle");
+
+// keys the manifest HMAC; rotating it makes every existing signature unverifiable
+const SIGNATURE_SECRET =
+  process.env.SIGNATURE_SECRET || process.env.SESSION_SECRET || "dev_secret";
+
+/**
+ * What each signature meaning attests to, who may give it and in which
+ * states. "approved" is only given through POST /calibrations/:id/approve.
+ */
+const MEANINGS = {
+  performed: {
+    permission: "calibration:submit",
+    statuses: ["draft", "rejected", "reissued", "submitted"],
+  },
+  reviewed: {
+    permission: "calibration:review",
+    statuses: ["submitted", "under_review"],
+  },
+  approved: {
+    permission: "calibration:approve",
+    statuses: [],
+  },
+};
+
+class SignatureError extends Error {
+  constructor(status, message, retryAfter) {
+    super(message);
+    this.name = "SignatureError";
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+/** Hash of a calibration's editable content, bound to its id and company. */
+function contentHash(doc) {
+  return sha256(
+    canonicalJson(
+      toPlainJson({
+        calibrationId: doc._id,
+        companyId: doc.companyId,
+        content: snapshot(doc),
+      })
+    )
+  );
+}
+
+function manifestHash(calibrationId, sig) {
+  const manifest = {
+    calibrationId,
+    meaning: sig.meaning,
+    signer: sig.signer,
+    method: sig.method,
+    comment: sig.comment,
+    signedAt: sig.signedAt,
+    revision: sig.revision,
+    contentHash: sig.contentHash,
+  };
+  return crypto
+    .createHmac("sha256", SIGNATURE_SECRET)
+    .update(canonicalJson(toPlainJson(manifest)))
+    .digest("hex");
+}
+
+/**
+ * Re-authenticate the signer: their password, plus a TOTP or recovery
+ * code when 2FA is enabled. Failures count towards the login throttle.
+ * @param {object} req the request (needs an interactive session)
+ * @returns {Promise<string>} the method, e.g. "password+totp"
+ */
+async function authenticateSigner(req, { password, code, recoveryCode }) {
+  if (!req.sessionId) {
+    throw new SignatureError(403, "Signing is not available with an API key");
+  }
+  if (!password) throw new SignatureError(400, "password is required to sign");
+
+  const email = req.user.email;
+  const wait = await checkLogin({ email, ip: req.ip });
+  if (wait) {
+    throw new SignatureError(
+      429,
+      "Too many failed attempts; try again later",
+      wait.retryAfter
+    );
+  }
+
+  const fail = async (status, message) => {
+    const imposed = await recordLoginFailure({ email, ip: req.ip });
+    return new SignatureError(status, message, imposed && imposed.retryAfter);
+  };
+
+  const user = await User.findById(req.user._id).select("passwordHash");
+  if (!user || !(await bcrypt.compare(String(password), user.passwordHash))) {
+    throw await fail(401, "Invalid credentials");
+  }
+  if (!isTwoFactorEnabled(req.user)) return "password";
+
+  if (!code && !recoveryCode) {
+    throw new SignatureError(400, "A two-factor code is required to sign");
+  }
+  const method = await verifySecondFactor(user._id, { code, recoveryCode });
+  if (!method) throw await fail(401, "Invalid code");
+  return `password+${method}`;
+}
+
+/**
+ * A signature entry over the record's current content, ready to be
+ * pushed onto `signatures`.
+ */
+function buildSignature(doc, { user, meaning, method, comment }) {
+  const sig = {
+    meaning,
+    signer: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+    },
+    method,
+    comment: comment ? String(comment).trim() : undefined,
+    signedAt: new Date(),
+    revision: doc.revision,
+    contentHash: contentHash(doc),
+  };
+  sig.manifestHash = manifestHash(doc._id, sig);
+  return sig;
+}
+
+/**
+ * Mark signatures that no longer match the record's content as invalid.
+ * Call on a document after changing it and before saving.
+ * @returns {number} how many signatures were invalidated
+ */
+function invalidateSignatures(doc, reason) {
+  if (!doc.signatures || !doc.signatures.length) return 0;
+  const current = contentHash(doc);
+  let count = 0;
+  for (const sig of doc.signatures) {
+    if (sig.invalidatedAt || sig.contentHash === current) continue;
+    sig.invalidatedAt = new Date();
+    sig.invalidatedReason = reason;
+    count += 1;
+  }
+  return count;
+}
+
+/**
+ * Check every signature against the manifest it was issued with and the
+ * record's current content. Each comes back with a `state`: "valid",
+ * "invalidated" (the record was edited after signing) or "broken" (the
+ * signature or the record was changed outside the application).
+ * @returns {{ valid, contentHash, revision, signatures }} `valid` is true
+ *   when at least one signature holds and none is broken
+ */
+function verifySignatures(doc) {
+  const current = contentHash(doc);
+  const signatures = (doc.signatures || []).map((stored) => {
+    const sig = toPlainJson(stored);
+    let state = "valid";
+    let reason = null;
+    if (manifestHash(doc._id, sig) !== sig.manifestHash) {
+      state = "broken";
+      reason = "signature manifest was altered";
+    } else if (sig.invalidatedAt) {
+      state = "invalidated";
+      reason = sig.invalidatedReason || "record edited after signing";
+    } else if (sig.contentHash !== current) {
+      state = "broken";
+      reason = "record content changed after signing";
+    }
+    return { ...sig, state, reason };
+  });
+  return {
+    valid:
+      signatures.some((s) => s.state === "valid") &&
+      !signatures.some((s) => s.state === "broken"),
+    contentHash: current,
+    revision: doc.revision,
+    signatures,
+  };
+}
+
+module.exports = {
+  MEANINGS,
+  SignatureError,
+  contentHash,
+  authenticateSigner,
+  buildSignature,
+  invalidateSignatures,
+  verifySignatures,
+};
@@ -0,0 +1,424 @@
+// lib/storage.js
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const mongoose = require("mongoose");
+const Company = require("../models/Company");
+const StoredFile = require("../models/StoredFile");
+const { S3Client } = require("./s3Client");
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "local";
+const STORAGE_DIR =
+  process.env.STORAGE_DIR || path.join(__dirname, "..", "storage", "files");
+// multer spools uploads here until they are stored
+const UPLOAD_TMP_DIR = path.join(os.tmpdir(), "calibration-uploads");
+// per company, unless the company has its own storageQuotaBytes; 0 = unlimited
+const STORAGE_QUOTA_BYTES = Number(
+  process.env.STORAGE_QUOTA_BYTES || 5 * 1024 * 1024 * 1024
+);
+// files uploaded before the storage layer existed
+const LEGACY_UPLOADS_DIR = path.join(__dirname, "..", "uploads");
+// how long an upload waits for a blob that is being deleted to go
+const CLAIM_RETRIES = 10;
+const CLAIM_RETRY_MS = 50;
+// a release that has not finished by now is assumed to have died
+const STALE_RELEASE_MS = 60 * 1000;
+
+class StorageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "StorageError";
+  }
+}
+
+/**
+ * Storage drivers implement:
+ *   putFile(key, srcPath, { size, checksum, contentType })
+ *   createReadStream(key, { start?, end? }) -> Promise<Readable>
+ *   stat(key)                               -> Promise<{ size }|null>
+ *   remove(key)
+ * Keys look like "<companyId>/ab/<sha256>".
+ */
+class LocalStorageDriver {
+  constructor({ root = STORAGE_DIR } = {}) {
+    this.name = "local";
+    this.root = path.resolve(root);
+  }
+
+  resolve(key) {
+    const abs = path.resolve(this.root, key);
+    if (!abs.startsWith(this.root + path.sep)) {
+      throw new StorageError(`Invalid storage key "${key}"`);
+    }
+    return abs;
+  }
+
+  // copied under a temporary name and renamed, so readers never see a
+  // partial file
+  async putFile(key, srcPath) {
+    const abs = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(abs), { recursive: true });
+    const tmp = `${abs}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+    try {
+      await fs.promises.copyFile(srcPath, tmp);
+      await fs.promises.rename(tmp, abs);
+    } catch (err) {
+      await fs.promises.unlink(tmp).catch(() => {});
+      throw err;
+    }
+  }
+
+  async createReadStream(key, range = {}) {
+    return fs.createReadStream(this.resolve(key), range);
+  }
+
+  async stat(key) {
+    try {
+      const stat = await fs.promises.stat(this.resolve(key));
+      return { size: stat.size };
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  async remove(key) {
+    await fs.promises.unlink(this.resolve(key)).catch((err) => {
+      if (err.code !== "ENOENT") throw err;
+    });
+  }
+}
+
+/**
+ * Objects in an S3 bucket. Set S3_ENDPOINT for S3-compatible servers
+ * (MinIO and the like), which are addressed path-style by default.
+ */
+class S3StorageDriver {
+  constructor(options = {}) {
+    this.name = "s3";
+    this.client = new S3Client({
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || "us-east-1",
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== "false",
+      ...options,
+    });
+  }
+
+  async putFile(key, srcPath, { size, checksum, contentType }) {
+    const res = await this.client.request("PUT", key, {
+      headers: {
+        "content-length": size,
+        "content-type": contentType || "application/octet-stream",
+      },
+      body: fs.createReadStream(srcPath),
+      payloadHash: checksum,
+    });
+    res.resume();
+  }
+
+  async createReadStream(key, { start, end } = {}) {
+    const headers = {};
+    if (start !== undefined) {
+      headers.range = `bytes=${start}-${end === undefined ? "" : end}`;
+    }
+    return this.client.request("GET", key, { headers });
+  }
+
+  async stat(key) {
+    try {
+      const res = await this.client.request("HEAD", key);
+      res.resume();
+      return { size: Number(res.headers["content-length"]) };
+    } catch (err) {
+      if (err.status === 404) return null;
+      throw err;
+    }
+  }
+
+  async remove(key) {
+    const res = await this.client.request("DELETE", key);
+    res.resume();
+  }
+}
+
+const DRIVERS = { local: LocalStorageDriver, s3: S3StorageDriver };
+
+function createStorageDriver(name, options) {
+  const Driver = DRIVERS[name];
+  if (!Driver) throw new Error(`Unknown storage driver "${name}"`);
+  return new Driver(options);
+}
+
+// files remember the driver that wrote them, so switching STORAGE_DRIVER
+// leaves earlier files readable
+const drivers = new Map();
+let current = STORAGE_DRIVER;
+
+function driverFor(name) {
+  if (!drivers.has(name)) drivers.set(name, createStorageDriver(name));
+  return drivers.get(name);
+}
+
+/** Use `driver` for new uploads (and for reading files it wrote). */
+function setStorageDriver(driver) {
+  drivers.set(driver.name, driver);
+  current = driver.name;
+}
+
+function sha256File(srcPath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(srcPath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+function legacyPath(file) {
+  const rel = String(file.path || "").replace(/^\/?uploads\/?/, "");
+  const abs = path.resolve(LEGACY_UPLOADS_DIR, rel);
+  if (!abs.startsWith(LEGACY_UPLOADS_DIR + path.sep)) {
+    throw new StorageError(`Invalid upload path "${file.path}"`);
+  }
+  return abs;
+}
+
+/**
+ * Take a reference to the blob at `key`, creating its row when new. A row
+ * that releaseFile has marked for deletion cannot be claimed: the upload
+ * waits for it to go and then writes the blob again, so a concurrent
+ * delete never removes a blob that a new record points at.
+ * @returns {Promise<object>} the raw findOneAndUpdate result
+ */
+async function claimKey(key, fields) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await StoredFile.findOneAndUpdate(
+        { key, releasing: null },
+        { $inc: { refs: 1 }, $setOnInsert: fields },
+        { upsert: true, new: true, rawResult: true }
+      );
+    } catch (err) {
+      // the key exists but is being released (or a concurrent upsert won)
+      if (err.code !== 11000 || attempt >= CLAIM_RETRIES) throw err;
+    }
+    await StoredFile.deleteOne({
+      key,
+      releasing: { $lt: new Date(Date.now() - STALE_RELEASE_MS) },
+    });
+    await new Promise((resolve) => setTimeout(resolve, CLAIM_RETRY_MS));
+  }
+}
+
+/**
+ * Store one spooled multer upload under its content hash. An identical
+ * file already stored for the company is reused rather than written again.
+ * @returns {Promise<object>} the FileSchema entry to keep on the record
+ */
+async function storeUpload(file, { companyId }) {
+  // lib/uploads hashes while spooling
+  const checksum = file.checksum || (await sha256File(file.path));
+  const key = `${companyId}/${checksum.slice(0, 2)}/${checksum}`;
+  const result = await claimKey(key, {
+    companyId,
+    driver: current,
+    checksum,
+    size: file.size,
+  });
+  const stored = result.value;
+  const driver = driverFor(stored.driver);
+
+  try {
+    // written when new, or when an earlier write of it never completed
+    if (!result.lastErrorObject.updatedExisting || !(await driver.stat(key))) {
+      await driver.putFile(key, file.path, {
+        size: file.size,
+        checksum,
+        contentType: file.mimetype,
+      });
+    }
+  } catch (err) {
+    await releaseFile({ key }).catch(() => {});
+    throw err;
+  }
+
+  const ext = path.extname(file.originalname || "").toLowerCase();
+  return {
+    key,
+    driver: stored.driver,
+    filename: `${checksum}${ext}`,
+    originalname: file.originalname,
+    mimetype: file.mimetype,
+    size: file.size,
+    checksum,
+    uploadedAt: new Date(),
+  };
+}
+
+/** Delete spooled multer uploads that will not be stored. */
+function discardUploads(files) {
+  return Promise.all(
+    (files || [])
+      .filter(Boolean)
+      .map((f) => fs.promises.unlink(f.path).catch(() => {}))
+  );
+}
+
+/**
+ * Store every spooled upload; the spooled copies are always removed. If
+ * one fails, those already stored are released again.
+ * @returns {Promise<object[]>} FileSchema entries, in upload order
+ */
+async function storeUploads(files, { companyId }) {
+  const stored = [];
+  try {
+    for (const file of files || []) {
+      stored.push(await storeUpload(file, { companyId }));
+    }
+    return stored;
+  } catch (err) {
+    await releaseFiles(stored);
+    throw err;
+  } finally {
+    await discardUploads(files);
+  }
+}
+
+/**
+ * Store content generated on the server (a rendered certificate, say)
+ * the way storeUploads stores an upload.
+ * @param {object} meta { companyId, originalname, mimetype }
+ * @returns {Promise<object>} the FileSchema entry
+ */
+async function storeBuffer(buffer, { companyId, originalname, mimetype }) {
+  await fs.promises.mkdir(UPLOAD_TMP_DIR, { recursive: true });
+  const spooled = path.join(
+    UPLOAD_TMP_DIR,
+    crypto.randomBytes(16).toString("hex")
+  );
+  await fs.promises.writeFile(spooled, buffer);
+  const [stored] = await storeUploads(
+    [
+      {
+        path: spooled,
+        size: buffer.length,
+        checksum: crypto.createHash("sha256").update(buffer).digest("hex"),
+        originalname,
+        mimetype,
+      },
+    ],
+    { companyId }
+  );
+  return stored;
+}
+
+/**
+ * Drop a record's reference to a file; the blob is deleted with the last
+ * reference.
+ */
+async function releaseFile(file) {
+  if (!file) return;
+  if (!file.key) {
+    if (file.path) {
+      await fs.promises.unlink(legacyPath(file)).catch((err) => {
+        if (err.code !== "ENOENT") throw err;
+      });
+    }
+    return;
+  }
+  // the last reference marks the row before deleting the blob, so uploads
+  // of the same content wait instead of sharing it (see claimKey)
+  const releasing = new Date();
+  const last = await StoredFile.findOneAndUpdate(
+    { key: file.key, refs: { $lte: 1 }, releasing: null },
+    { $set: { refs: 0, releasing } }
+  );
+  if (!last) {
+    await StoredFile.updateOne(
+      { key: file.key, releasing: null },
+      { $inc: { refs: -1 } }
+    );
+    return;
+  }
+  try {
+    await driverFor(last.driver).remove(file.key);
+  } finally {
+    await StoredFile.deleteOne({ key: file.key, releasing });
+  }
+}
+
+/** releaseFile for each file; failures are logged, not thrown. */
+async function releaseFiles(files) {
+  for (const file of files || []) {
+    await releaseFile(file).catch((err) =>
+      console.error("release file err", file.key || file.path, err)
+    );
+  }
+}
+
+/**
+ * Read a stored file, or a byte range of it (inclusive `end`).
+ * @returns {Promise<Readable>}
+ */
+async function openFile(file, range) {
+  if (!file.key) return fs.createReadStream(legacyPath(file), range);
+  return driverFor(file.driver || current).createReadStream(file.key, range);
+}
+
+/** @returns {Promise<{ size }|null>} null when the blob is missing */
+async function statFile(file) {
+  if (!file.key) {
+    const stat = await fs.promises.stat(legacyPath(file)).catch(() => null);
+    return stat && { size: stat.size };
+  }
+  return driverFor(file.driver || current).stat(file.key);
+}
+
+/**
+ * Bytes a company stores and its quota. A blob shared by several records
+ * counts once. Runs in the caller's tenant context, so use runWithTenant
+ * when looking at another company.
+ * @returns {Promise<{ usedBytes, files, quotaBytes, remainingBytes }>}
+ *   quotaBytes and remainingBytes are null when unlimited
+ */
+async function storageUsage(companyId) {
+  const [totals] = await StoredFile.aggregate([
+    { $match: { companyId: new mongoose.Types.ObjectId(String(companyId)) } },
+    { $group: { _id: null, usedBytes: { $sum: "$size" }, files: { $sum: 1 } } },
+  ]);
+  const company = await Company.findById(companyId)
+    .select("storageQuotaBytes")
+    .lean();
+  const quota =
+    company && typeof company.storageQuotaBytes === "number"
+      ? company.storageQuotaBytes
+      : STORAGE_QUOTA_BYTES;
+  const usedBytes = totals ? totals.usedBytes : 0;
+  return {
+    usedBytes,
+    files: totals ? totals.files : 0,
+    quotaBytes: quota || null,
+    remainingBytes: quota ? Math.max(0, quota - usedBytes) : null,
+  };
+}
+
+module.exports = {
+  UPLOAD_TMP_DIR,
+  StorageError,
+  LocalStorageDriver,
+  S3StorageDriver,
+  createStorageDriver,
+  setStorageDriver,
+  storeUploads,
+  storeBuffer,
+  discardUploads,
+  releaseFiles,
+  openFile,
+  statFile,
+  storageUsage,
+};
@@ -0,0 +1,32 @@
+// lib/tenantContext.js
+const { AsyncLocalStorage } = require("async_hooks");
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `companyId` as the current tenant. Every model using the
+ * tenantScope plugin is constrained to that company for the duration,
+ * including anything awaited or scheduled from inside `fn`.
+ */
+function runWithTenant(companyId, fn) {
+  return storage.run({ companyId: String(companyId) }, fn);
+}
+
+/** The current tenant's company id as a string, or null outside a request. */
+function currentTenant() {
+  const store = storage.getStore();
+  return store ? store.companyId : null;
+}
+
+/**
+ * Wrap a callback so it runs in the tenant context of the caller. Needed
+ * for callback-style middleware (multer, busboy) that resumes from a
+ * stream event and would otherwise lose the context.
+ */
+function bindTenant(fn) {
+  const companyId = currentTenant();
+  if (!companyId) return fn;
+  return (...args) => runWithTenant(companyId, () => fn(...args));
+}
+
+module.exports = { runWithTenant, currentTenant, bindTenant };
@@ -0,0 +1,102 @@
+// lib/totp.js — RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 s)
+const crypto = require("crypto");
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32.indexOf(ch);
+    if (idx === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/** A new random secret, base32 encoded as authenticator apps expect. */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(msg)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Check a code against the secret, allowing `window` steps of clock drift
+ * either way. Returns the matching time step (so callers can refuse to
+ * accept the same step twice) or null.
+ */
+function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+  const given = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(given) || given.length !== DIGITS) return null;
+  const step = currentStep(now);
+  for (let i = -window; i <= window; i++) {
+    const expected = hotp(secret, step + i);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) {
+      return step + i;
+    }
+  }
+  return null;
+}
+
+/** otpauth:// URI for rendering as a QR code in authenticator apps. */
+function otpauthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(issuer ? `${issuer}:${account}` : account);
+  const params = new URLSearchParams({
+    secret,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  if (issuer) params.set("issuer", issuer);
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  generateSecret,
+  hotp,
+  currentStep,
+  verifyTotp,
+  otpauthUri,
+  base32Encode,
+  base32Decode,
+};
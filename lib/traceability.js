@@ -0,0 +1,166 @@
+// lib/traceability.js
+const ReferenceStandard = require("../models/ReferenceStandard");
+
+const MAX_DEPTH = 10;
+
+function fmtDate(d) {
+  return new Date(d).toISOString().slice(0, 10);
+}
+
+/**
+ * Standards on a calibration that were not in calibration on the
+ * calibration date. Registry-linked entries are checked against their
+ * certificates; free-text entries only against the due date they carry.
+ *
+ * @returns {Promise<Array<{ path, message }>>}
+ */
+async function findStandardIssues(calibration) {
+  const issues = [];
+  const date = calibration.calibrationDate;
+  const used = calibration.standards || [];
+
+  const ids = used.filter((s) => s.standardId).map((s) => s.standardId);
+  const registry = await ReferenceStandard.find({
+    _id: { $in: ids },
+    companyId: calibration.companyId,
+  }).lean();
+  const byId = new Map(registry.map((s) => [String(s._id), s]));
+
+  used.forEach((entry, i) => {
+    const path = `standards.${i}`;
+    const label = entry.serialNumber
+      ? `${entry.name} (${entry.serialNumber})`
+      : entry.name;
+
+    if (!entry.standardId) {
+      if (entry.dueDate && date && entry.dueDate < date) {
+        issues.push({
+          path,
+          message: `${label} was due on ${fmtDate(
+            entry.dueDate
+          )}, before the calibration date`,
+        });
+      }
+      return;
+    }
+
+    const standard = byId.get(String(entry.standardId));
+    if (!standard) {
+      issues.push({ path, message: `${label} is not a registered standard` });
+      return;
+    }
+    if (!ReferenceStandard.certificateValidOn(standard, date)) {
+      issues.push({
+        path,
+        message: `${standard.name} (${
+          standard.serialNumber
+        }) was out of calibration on ${fmtDate(date)}`,
+      });
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Walk each standard used on a calibration back through the certificates
+ * that were valid at each step, until an external (national) reference.
+ * A node is "complete" when every branch below it ends at one.
+ */
+async function buildTraceability(calibration) {
+  const cache = new Map();
+  const load = async (id) => {
+    const key = String(id);
+    if (!cache.has(key)) {
+      cache.set(
+        key,
+        await ReferenceStandard.findOne({
+          _id: id,
+          companyId: calibration.companyId,
+        }).lean()
+      );
+    }
+    return cache.get(key);
+  };
+
+  async function walk(id, date, seen, depth) {
+    const standard = await load(id);
+    if (!standard) {
+      return { standardId: id, complete: false, issue: "Standard not found" };
+    }
+
+    const node = {
+      standardId: standard._id,
+      name: standard.name,
+      serialNumber: standard.serialNumber,
+      at: date,
+      certificate: null,
+      traceableTo: [],
+      complete: false,
+    };
+
+    if (seen.has(String(standard._id))) {
+      node.issue = "Circular traceability chain";
+      return node;
+    }
+    if (depth >= MAX_DEPTH) {
+      node.issue = "Traceability chain too deep";
+      return node;
+    }
+
+    const cert = ReferenceStandard.certificateValidOn(standard, date);
+    if (!cert) {
+      node.issue = `No certificate valid on ${fmtDate(date)}`;
+      return node;
+    }
+    node.certificate = {
+      certificateNumber: cert.certificateNumber,
+      issuedBy: cert.issuedBy,
+      accreditationNumber: cert.accreditationNumber,
+      calibratedAt: cert.calibratedAt,
+      expiresAt: cert.expiresAt,
+      externalTraceability: cert.externalTraceability,
+    };
+
+    const nextSeen = new Set(seen).add(String(standard._id));
+    for (const parentId of cert.traceableTo || []) {
+      node.traceableTo.push(
+        await walk(parentId, cert.calibratedAt, nextSeen, depth + 1)
+      );
+    }
+
+    node.complete = node.traceableTo.length
+      ? node.traceableTo.every((n) => n.complete)
+      : Boolean(cert.externalTraceability);
+    if (!node.complete && !node.traceableTo.length) {
+      node.issue = "Certificate does not state an external reference";
+    }
+    return node;
+  }
+
+  const standards = [];
+  for (const entry of calibration.standards || []) {
+    if (!entry.standardId) {
+      standards.push({
+        name: entry.name,
+        serialNumber: entry.serialNumber,
+        certificateNumber: entry.certificateNumber,
+        complete: false,
+        issue: "Not linked to the reference standard registry",
+      });
+      continue;
+    }
+    standards.push(
+      await walk(entry.standardId, calibration.calibrationDate, new Set(), 0)
+    );
+  }
+
+  return {
+    calibrationId: calibration._id,
+    calibrationDate: calibration.calibrationDate,
+    complete: standards.length > 0 && standards.every((s) => s.complete),
+    standards,
+  };
+}
+
+module.exports = { findStandardIssues, buildTraceability };
@@ -0,0 +1,194 @@
+// lib/twoFactor.js
+const crypto = require("crypto");
+const User = require("../models/User");
+const { generateSecret, verifyTotp, otpauthUri } = require("./totp");
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Calibration";
+const RECOVERY_CODE_COUNT = 10;
+
+// TOTP secrets are stored encrypted (AES-256-GCM) rather than hashed,
+// since they are needed in clear to check codes
+const KEY = crypto
+  .createHash("sha256")
+  .update(
+    process.env.TOTP_ENCRYPTION_KEY ||
+      process.env.SESSION_SECRET ||
+      "dev_secret"
+  )
+  .digest();
+
+function encrypt(text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", KEY, iv);
+  const data = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data]
+    .map((b) => b.toString("base64"))
+    .join(".");
+}
+
+function decrypt(payload) {
+  const [iv, tag, data] = payload
+    .split(".")
+    .map((p) => Buffer.from(p, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString(
+    "utf8"
+  );
+}
+
+function hashRecoveryCode(code) {
+  const normalised = String(code)
+    .toLowerCase()
+    .replace(/[^0-9a-f]/g, "");
+  return crypto.createHash("sha256").update(normalised).digest("hex");
+}
+
+function newRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+const SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+// 2FA also runs during login, before a tenant is known; every lookup and
+// update here is by user id, so they skip tenant scoping
+const BY_USER_ID = { skipTenant: true };
+
+function loadWithSecrets(userId) {
+  return User.findById(userId).select(SECRET_FIELDS).setOptions(BY_USER_ID);
+}
+
+/** Whether the user's company requires a second factor for their role. */
+function isTwoFactorRequired(user, company) {
+  const roles =
+    (company && company.settings && company.settings.twoFactorRoles) || [];
+  return roles.includes(user.role);
+}
+
+function isTwoFactorEnabled(user) {
+  return Boolean(user && user.twoFactor && user.twoFactor.enabled);
+}
+
+/**
+ * Start (or restart) enrollment: a fresh secret is kept as pending until
+ * a code from it is confirmed.
+ * @returns {Promise<{ secret, otpauthUri }>}
+ */
+async function beginEnrollment(user) {
+  const secret = generateSecret();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { "twoFactor.pendingSecret": encrypt(secret) } },
+    BY_USER_ID
+  );
+  return {
+    secret,
+    otpauthUri: otpauthUri({
+      secret,
+      account: user.email,
+      issuer: TOTP_ISSUER,
+    }),
+  };
+}
+
+/**
+ * Enable 2FA once a code from the pending secret checks out.
+ * @returns {Promise<string[]|null>} recovery codes, or null on a bad code
+ */
+async function confirmEnrollment(userId, code) {
+  const user = await loadWithSecrets(userId);
+  const pending = user && user.twoFactor && user.twoFactor.pendingSecret;
+  if (!pending) return null;
+
+  const secret = decrypt(pending);
+  const step = verifyTotp(secret, code);
+  if (step === null) return null;
+
+  const codes = newRecoveryCodes();
+  user.twoFactor = {
+    enabled: true,
+    secret: pending,
+    recoveryCodes: codes.map(hashRecoveryCode),
+    lastUsedStep: step,
+    enabledAt: new Date(),
+  };
+  await user.save();
+  return codes;
+}
+
+/**
+ * Check a TOTP code or a recovery code for a user with 2FA enabled.
+ * Each TOTP time step and each recovery code is accepted only once.
+ * @returns {Promise<"totp"|"recovery"|null>}
+ */
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+  const user = await loadWithSecrets(userId);
+  if (!isTwoFactorEnabled(user)) return null;
+
+  if (recoveryCode) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        "twoFactor.recoveryCodes": hashRecoveryCode(recoveryCode),
+      },
+      { $pull: { "twoFactor.recoveryCodes": hashRecoveryCode(recoveryCode) } },
+      BY_USER_ID
+    );
+    return result.modifiedCount ? "recovery" : null;
+  }
+
+  const step = verifyTotp(decrypt(user.twoFactor.secret), code);
+  if (step === null) return null;
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { "twoFactor.lastUsedStep": null },
+        { "twoFactor.lastUsedStep": { $lt: step } },
+      ],
+    },
+    { $set: { "twoFactor.lastUsedStep": step } },
+    BY_USER_ID
+  );
+  return result.modifiedCount ? "totp" : null;
+}
+
+/** Replace the user's recovery codes; returns the new codes. */
+async function regenerateRecoveryCodes(userId) {
+  const codes = newRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    { $set: { "twoFactor.recoveryCodes": codes.map(hashRecoveryCode) } },
+    BY_USER_ID
+  );
+  return codes;
+}
+
+async function recoveryCodesRemaining(userId) {
+  const user = await loadWithSecrets(userId);
+  return ((user && user.twoFactor && user.twoFactor.recoveryCodes) || [])
+    .length;
+}
+
+function disableTwoFactor(userId) {
+  return User.updateOne(
+    { _id: userId },
+    { $unset: { twoFactor: 1 } },
+    BY_USER_ID
+  );
+}
+
+module.exports = {
+  isTwoFactorRequired,
+  isTwoFactorEnabled,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  recoveryCodesRemaining,
+  disableTwoFactor,
+};
@@ -0,0 +1,313 @@
+// lib/uncertainty.js
+/**
+ * Measurement uncertainty per the GUM (JCGM 100):
+ *  - Type A from repeated readings (experimental standard deviation of the mean)
+ *  - Type B from contributors with an assumed distribution
+ *  - combined standard uncertainty by root-sum-of-squares
+ *  - effective degrees of freedom by Welch–Satterthwaite
+ *  - coverage factor from Student's t at the requested confidence
+ *
+ * Degrees of freedom that are infinite are reported as null (JSON has no Infinity).
+ */
+
+const DEFAULT_CONFIDENCE = 0.9545;
+
+// divisor that turns a half-width / expanded value into a standard uncertainty
+const DISTRIBUTIONS = {
+  normal: (c) => c.coverageFactor || 2,
+  rectangular: () => Math.sqrt(3),
+  triangular: () => Math.sqrt(6),
+  "u-shaped": () => Math.sqrt(2),
+  standard: () => 1, // value is already a standard uncertainty
+};
+
+class UncertaintyInputError extends Error {
+  constructor(fields) {
+    super("Invalid uncertainty inputs");
+    this.name = "UncertaintyInputError";
+    this.fields = fields;
+  }
+}
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+/* ---------------- Student's t ---------------- */
+
+function lnGamma(x) {
+  const g = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+  ];
+  let y = x;
+  let tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  let ser = 1.000000000190015;
+  for (const c of g) ser += c / ++y;
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+// continued fraction for the incomplete beta function (Numerical Recipes)
+function betacf(a, b, x) {
+  const EPS = 3e-14;
+  const FPMIN = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < FPMIN) d = FPMIN;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a - 1 + m2) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + 1 + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < EPS) break;
+  }
+  return h;
+}
+
+function incompleteBeta(a, b, x) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const bt = Math.exp(
+    lnGamma(a + b) -
+      lnGamma(a) -
+      lnGamma(b) +
+      a * Math.log(x) +
+      b * Math.log(1 - x)
+  );
+  return x < (a + 1) / (a + b + 2)
+    ? (bt * betacf(a, b, x)) / a
+    : 1 - (bt * betacf(b, a, 1 - x)) / b;
+}
+
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const r =
+    t *
+    Math.exp(
+      -z * z -
+        1.26551223 +
+        t *
+          (1.00002368 +
+            t *
+              (0.37409196 +
+                t *
+                  (0.09678418 +
+                    t *
+                      (-0.18628806 +
+                        t *
+                          (0.27886807 +
+                            t *
+                              (-1.13520398 +
+                                t *
+                                  (1.48851587 +
+                                    t * (-0.82215223 + t * 0.17087277))))))))
+    );
+  return x >= 0 ? r : 2 - r;
+}
+
+// P(|T| <= t) for Student's t with dof degrees of freedom (Infinity = normal)
+function twoSidedProbability(t, dof) {
+  if (dof === Infinity) return 1 - erfc(t / Math.SQRT2);
+  return 1 - incompleteBeta(dof / 2, 0.5, dof / (dof + t * t));
+}
+
+/**
+ * Coverage factor k such that P(|T| <= k) = confidence.
+ * Per GUM G.4.1 the effective dof is truncated to the next lower integer.
+ */
+function coverageFactor(effectiveDof, confidence = DEFAULT_CONFIDENCE) {
+  const dof =
+    effectiveDof === Infinity
+      ? Infinity
+      : Math.max(1, Math.floor(effectiveDof));
+  let lo = 0;
+  let hi = 1000;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    if (twoSidedProbability(mid, dof) < confidence) lo = mid;
+    else hi = mid;
+  }
+  return Math.round(hi * 100) / 100;
+}
+
+/* ---------------- budget evaluation ---------------- */
+
+function validateBudget(budget) {
+  const fields = {};
+  if (!budget || typeof budget !== "object") {
+    return { "": "Uncertainty budget must be an object" };
+  }
+
+  const readings = budget.typeA && budget.typeA.readings;
+  const hasTypeA = Array.isArray(readings) && readings.length > 0;
+  if (budget.typeA && readings !== undefined && !Array.isArray(readings)) {
+    fields["typeA.readings"] = "typeA.readings must be an array of numbers";
+  } else if (hasTypeA) {
+    if (readings.length < 2)
+      fields["typeA.readings"] = "typeA.readings needs at least 2 readings";
+    else if (!readings.every(isNum))
+      fields["typeA.readings"] = "typeA.readings must contain only numbers";
+  }
+
+  const typeB = budget.typeB || [];
+  if (!Array.isArray(typeB)) {
+    fields.typeB = "typeB must be an array";
+  } else {
+    typeB.forEach((c, i) => {
+      const p = `typeB.${i}`;
+      if (!c || typeof c !== "object") {
+        fields[p] = `${p} must be an object`;
+        return;
+      }
+      if (!isNum(c.value) || c.value < 0)
+        fields[`${p}.value`] = `${p}.value must be a non-negative number`;
+      if (!DISTRIBUTIONS[c.distribution])
+        fields[
+          `${p}.distribution`
+        ] = `${p}.distribution must be one of ${Object.keys(DISTRIBUTIONS).join(
+          ", "
+        )}`;
+      if (
+        c.coverageFactor !== undefined &&
+        c.coverageFactor !== null &&
+        (!isNum(c.coverageFactor) || c.coverageFactor <= 0)
+      )
+        fields[
+          `${p}.coverageFactor`
+        ] = `${p}.coverageFactor must be a positive number`;
+      if (
+        c.sensitivity !== undefined &&
+        c.sensitivity !== null &&
+        !isNum(c.sensitivity)
+      )
+        fields[`${p}.sensitivity`] = `${p}.sensitivity must be a number`;
+      if (
+        c.dof !== undefined &&
+        c.dof !== null &&
+        (!isNum(c.dof) || c.dof <= 0)
+      )
+        fields[`${p}.dof`] = `${p}.dof must be a positive number`;
+    });
+  }
+
+  if (!hasTypeA && (!Array.isArray(typeB) || typeB.length === 0)) {
+    fields.typeB = "Provide typeA readings or at least one typeB contributor";
+  }
+
+  const confidence = budget.confidence;
+  if (
+    confidence !== undefined &&
+    confidence !== null &&
+    (!isNum(confidence) || confidence <= 0 || confidence >= 1)
+  )
+    fields.confidence = "confidence must be between 0 and 1";
+
+  return fields;
+}
+
+/**
+ * Compute the uncertainty for one measurement point.
+ *
+ * budget = {
+ *   typeA: { readings: [Number], sensitivity? },
+ *   typeB: [{ name, value, distribution, coverageFactor?, sensitivity?, dof? }],
+ *   confidence?: 0.9545
+ * }
+ *
+ * Throws UncertaintyInputError with field paths relative to the budget.
+ */
+function computeUncertainty(budget) {
+  const fields = validateBudget(budget);
+  if (Object.keys(fields).length) throw new UncertaintyInputError(fields);
+
+  const confidence = budget.confidence || DEFAULT_CONFIDENCE;
+  const contributions = [];
+  let typeA;
+
+  const readings = (budget.typeA && budget.typeA.readings) || [];
+  if (readings.length) {
+    const n = readings.length;
+    const mean = readings.reduce((a, b) => a + b, 0) / n;
+    const stdDev = Math.sqrt(
+      readings.reduce((a, x) => a + (x - mean) ** 2, 0) / (n - 1)
+    );
+    const u = stdDev / Math.sqrt(n);
+    const sensitivity = isNum(budget.typeA.sensitivity)
+      ? budget.typeA.sensitivity
+      : 1;
+    typeA = { n, mean, stdDev, standardUncertainty: u, dof: n - 1 };
+    contributions.push({
+      name: "Repeatability (Type A)",
+      type: "A",
+      distribution: "normal",
+      standardUncertainty: u,
+      sensitivity,
+      contribution: Math.abs(sensitivity * u),
+      dof: n - 1,
+    });
+  }
+
+  for (const c of budget.typeB || []) {
+    const u = c.value / DISTRIBUTIONS[c.distribution](c);
+    const sensitivity = isNum(c.sensitivity) ? c.sensitivity : 1;
+    contributions.push({
+      name: c.name || c.distribution,
+      type: "B",
+      distribution: c.distribution,
+      standardUncertainty: u,
+      sensitivity,
+      contribution: Math.abs(sensitivity * u),
+      dof: isNum(c.dof) ? c.dof : Infinity,
+    });
+  }
+
+  const uc = Math.sqrt(
+    contributions.reduce((a, c) => a + c.contribution ** 2, 0)
+  );
+  if (uc === 0) {
+    throw new UncertaintyInputError({
+      typeB:
+        "Combined standard uncertainty is zero; check the contributor values",
+    });
+  }
+
+  const denominator = contributions.reduce(
+    (a, c) => (c.dof === Infinity ? a : a + c.contribution ** 4 / c.dof),
+    0
+  );
+  const effectiveDof = denominator === 0 ? Infinity : uc ** 4 / denominator;
+  const k = coverageFactor(effectiveDof, confidence);
+
+  const finite = (v) => (v === Infinity ? null : v);
+  return {
+    typeA,
+    contributions: contributions.map((c) => ({ ...c, dof: finite(c.dof) })),
+    combinedStandardUncertainty: uc,
+    effectiveDof: finite(effectiveDof),
+    confidence,
+    coverageFactor: k,
+    expandedUncertainty: k * uc,
+  };
+}
+
+module.exports = {
+  DISTRIBUTIONS,
+  DEFAULT_CONFIDENCE,
+  UncertaintyInputError,
+  coverageFactor,
+  computeUncertainty,
+};
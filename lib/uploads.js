@@ -0,0 +1,191 @@
+// lib/uploads.js
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const multer = require("multer");
+const { bindTenant } = require("./tenantContext");
+const { recordAudit } = require("./audit");
+const { SNIFF_BYTES, detectFileType } = require("./fileTypes");
+const { scanFile, quarantineFile } = require("./fileScan");
+const { UPLOAD_TMP_DIR, discardUploads, storageUsage } = require("./storage");
+
+class UploadError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = "UploadError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * multer storage engine that spools each file to UPLOAD_TMP_DIR, hashing
+ * it and keeping its leading bytes on the way. A file whose stream fails
+ * (client gone, disk full) is removed rather than left half written.
+ */
+class SpoolStorage {
+  _handleFile(req, file, cb) {
+    fs.mkdir(UPLOAD_TMP_DIR, { recursive: true }, (mkdirErr) => {
+      if (mkdirErr) return cb(mkdirErr);
+      const target = path.join(
+        UPLOAD_TMP_DIR,
+        crypto.randomBytes(16).toString("hex")
+      );
+      const out = fs.createWriteStream(target);
+      const hash = crypto.createHash("sha256");
+      const head = [];
+      let headLength = 0;
+      let size = 0;
+      let failed = false;
+
+      const fail = (err) => {
+        if (failed) return;
+        failed = true;
+        file.stream.unpipe(out);
+        out.destroy();
+        fs.unlink(target, () => cb(err));
+      };
+
+      file.stream.on("data", (chunk) => {
+        hash.update(chunk);
+        size += chunk.length;
+        if (headLength < SNIFF_BYTES) {
+          head.push(chunk);
+          headLength += chunk.length;
+        }
+      });
+      file.stream.on("error", fail);
+      out.on("error", fail);
+      out.on("finish", () => {
+        if (failed) return;
+        cb(null, {
+          path: target,
+          size,
+          checksum: hash.digest("hex"),
+          head: Buffer.concat(head).subarray(0, SNIFF_BYTES),
+        });
+      });
+      file.stream.pipe(out);
+    });
+  }
+
+  _removeFile(req, file, cb) {
+    fs.unlink(file.path, () => cb(null));
+  }
+}
+
+function fromMulterError(err, { maxFiles, maxFileBytes, field }) {
+  if (!(err instanceof multer.MulterError)) return err;
+  switch (err.code) {
+    case "LIMIT_FILE_SIZE":
+      return new UploadError(413, "File too large", { maxFileBytes });
+    case "LIMIT_FILE_COUNT":
+      return new UploadError(400, `At most ${maxFiles} files per upload`);
+    case "LIMIT_UNEXPECTED_FILE":
+      return new UploadError(400, `Files must be sent in the "${field}" field`);
+    default:
+      return new UploadError(400, err.message);
+  }
+}
+
+// every file must sniff as one of `types`; its mimetype becomes the sniffed one
+function checkTypes(files, types) {
+  for (const file of files) {
+    const detected = detectFileType(file.head, file.originalname);
+    if (!detected || !types.includes(detected.type)) {
+      throw new UploadError(
+        415,
+        `${file.originalname || "File"} is not an accepted file type`,
+        { accepted: types }
+      );
+    }
+    file.mimetype = detected.mimetype;
+  }
+}
+
+// soft limit: concurrent uploads can each pass before either is stored
+async function checkQuota(files, companyId) {
+  const incoming = files.reduce((sum, f) => sum + f.size, 0);
+  const usage = await storageUsage(companyId);
+  if (usage.quotaBytes !== null && incoming > usage.remainingBytes) {
+    throw new UploadError(413, "Storage quota exceeded", {
+      usedBytes: usage.usedBytes,
+      quotaBytes: usage.quotaBytes,
+    });
+  }
+}
+
+async function checkScans(req, files) {
+  for (const file of files) {
+    const result = await scanFile(file);
+    if (result.clean) continue;
+    const quarantineId = await quarantineFile(file, {
+      companyId: req.user.companyId,
+      user: req.user,
+      reason: result.reason,
+    });
+    await recordAudit(req, {
+      action: "file.quarantined",
+      entity: { type: "quarantine", id: quarantineId },
+      after: {
+        originalname: file.originalname,
+        checksum: file.checksum,
+        reason: result.reason,
+      },
+    });
+    throw new UploadError(422, "File rejected by malware scan", {
+      file: file.originalname,
+    });
+  }
+}
+
+/**
+ * Upload middleware for one route. Files are spooled, then checked in
+ * turn: type by content against `types` (lib/fileTypes), size, the
+ * company's storage quota (unless `quota` is false) and the malware scan.
+ * A rejected upload is answered with 413, 415 or 422 and every spooled
+ * file is removed; accepted files are left on req.file / req.files for
+ * lib/storage.
+ * @param {object} options { field, types, maxFileBytes, maxFiles?, quota? }
+ */
+function createUploader({
+  field,
+  types,
+  maxFileBytes,
+  maxFiles = 1,
+  quota = true,
+}) {
+  const upload = multer({
+    storage: new SpoolStorage(),
+    limits: { fileSize: maxFileBytes, files: maxFiles },
+  });
+  const receive =
+    maxFiles === 1 ? upload.single(field) : upload.array(field, maxFiles);
+
+  return (req, res, next) =>
+    // multer resumes from stream events, so re-enter the caller's tenant
+    receive(
+      req,
+      res,
+      bindTenant(async (err) => {
+        const files = req.files || (req.file ? [req.file] : []);
+        try {
+          if (err)
+            throw fromMulterError(err, { maxFiles, maxFileBytes, field });
+          checkTypes(files, types);
+          if (quota && files.length)
+            await checkQuota(files, req.user.companyId);
+          await checkScans(req, files);
+        } catch (uploadErr) {
+          await discardUploads(files);
+          if (!(uploadErr instanceof UploadError)) return next(uploadErr);
+          return res
+            .status(uploadErr.status)
+            .json({ error: uploadErr.message, ...uploadErr.details });
+        }
+        next();
+      })
+    );
+}
+
+module.exports = { UploadError, SpoolStorage, createUploader };
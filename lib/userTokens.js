@@ -0,0 +1,54 @@
+// lib/userTokens.js
+const crypto = require("crypto");
+const UserToken = require("../models/UserToken");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// lifetimes in hours, overridable per deployment
+const TTL_HOURS = {
+  password_reset: Number(process.env.PASSWORD_RESET_TTL_HOURS || 1),
+  email_verification: Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 48),
+};
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Issue a token for `purpose`, replacing any unused one the user already
+ * has for it. Returns the raw token; it is not stored.
+ */
+async function issueToken(user, purpose) {
+  await UserToken.deleteMany({ userId: user._id, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await UserToken.create({
+    userId: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + TTL_HOURS[purpose] * HOUR_MS),
+  });
+  return token;
+}
+
+/**
+ * Mark a token as used and return it, or null when it is unknown,
+ * expired or already used. A token can be consumed only once, even by
+ * concurrent requests.
+ */
+function consumeToken(token, purpose) {
+  if (!token) return Promise.resolve(null);
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+}
+
+module.exports = { issueToken, consumeToken };
@@ -0,0 +1,29 @@
+// lib/validation.js
+const mongoose = require("mongoose");
+
+/**
+ * Turn a mongoose ValidationError into a field-level 400 body:
+ * { error: "Validation failed", fields: { "instrument.serialNumber": "..." } }
+ */
+function validationErrorBody(err) {
+  const fields = {};
+  for (const [path, e] of Object.entries(err.errors || {})) {
+    fields[path] =
+      e.kind === "required"
+        ? `${path} is required`
+        : e.name === "CastError"
+        ? `${path} must be a valid ${String(e.kind).toLowerCase()}`
+        : e.message;
+  }
+  return { error: "Validation failed", fields };
+}
+
+function isValidationError(err) {
+  return err instanceof mongoose.Error.ValidationError;
+}
+
+function isValidId(id) {
+  return mongoose.Types.ObjectId.isValid(id);
+}
+
+module.exports = { validationErrorBody, isValidationError, isValidId };
@@ -1,15 +1,64 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Company = require('../models/Company');
+const { runWithTenant } = require('../lib/tenantContext');
+const { findActiveSession } = require('../lib/sessions');
+const { findActiveApiKey } = require('../lib/apiKeys');
+const { permissionsFor, isEmailVerified, blockedUntilVerified } = require('../lib/permissions');
 
 const COOKIE_NAME = process.env.COOKIE_NAME || 'session';
 const SESSION_SECRET = process.env.SESSION_SECRET || 'dev_secret';
 
+// token from an "Authorization: Bearer <token>" header, if any
+function bearerToken(req) {
+  const header = req.get('authorization') || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+// the user's company, or the reason they cannot act for it
+async function loadActiveCompany(user) {
+  if (!user.company) return { error: 'User is not assigned to a company' };
+  const company = await Company.findById(user.company).select('status rolePermissions').lean();
+  if (!company) return { error: 'User is not assigned to a company' };
+  if (company.status === 'suspended') return { error: 'Company account is suspended' };
+  return { company };
+}
+
 /**
- * requireAuth - verifies JWT from httpOnly cookie and loads fresh user from DB
+ * API key requests act as the key's owner, limited to the key's scopes.
+ */
+async function authenticateApiKey(token, req, res, next) {
+  const apiKey = await findActiveApiKey(token, req.ip);
+  if (!apiKey) return res.status(401).json({ error: 'Invalid or expired API key' });
+
+  const user = await User.findById(apiKey.userId).select('-passwordHash').setOptions({ skipTenant: true }).lean();
+  if (!user || String(user.company) !== String(apiKey.companyId)) {
+    return res.status(401).json({ error: 'Invalid or expired API key' });
+  }
+  const { company, error } = await loadActiveCompany(user);
+  if (error) return res.status(403).json({ error });
+
+  req.user = user;
+  req.user.companyId = user.company;
+  req.apiKey = apiKey;
+  req.user.permissions = permissionsFor(user.role, company).filter((p) => apiKey.scopes.includes(p));
+  return runWithTenant(user.company, next);
+}
+
+/**
+ * requireAuth - verifies the short-lived access JWT from its httpOnly cookie,
+ * checks that its server-side session is still active and loads fresh user from DB.
+ * Scripts may instead send an API key as "Authorization: Bearer <key>".
+ * The rest of the request runs scoped to the user's company (see
+ * lib/tenantContext); the company always comes from the stored user.
  */
 async function requireAuth(req, res, next) {
   try {
+    const bearer = bearerToken(req);
+    if (bearer) return await authenticateApiKey(bearer, req, res, next);
+
     const token = req.cookies && req.cookies[COOKIE_NAME];
     if (!token) {
       return res.status(401).json({ error: 'Not authenticated' });
@@ -24,21 +73,41 @@ async function requireAuth(req, res, next) {
       return res.status(401).json({ error: 'Invalid or expired session' });
     }
 
-    if (!payload || !payload.uid) {
+    if (!payload || !payload.uid || !payload.sid) {
       res.clearCookie(COOKIE_NAME, { path: '/' });
       return res.status(401).json({ error: 'Invalid session payload' });
     }
 
+    // revoked sessions end immediately, not when the access token expires
+    const session = await findActiveSession(payload.sid);
+    if (!session || String(session.userId) !== String(payload.uid)) {
+      res.clearCookie(COOKIE_NAME, { path: '/' });
+      return res.status(401).json({ error: 'Session revoked or expired' });
+    }
+
     // load user from DB (exclude password hash)
-    const user = await User.findById(payload.uid).select('-passwordHash').lean();
+    // no tenant yet: the company comes from this user
+    const user = await User.findById(payload.uid).select('-passwordHash').setOptions({ skipTenant: true }).lean();
     if (!user) {
       res.clearCookie(COOKIE_NAME, { path: '/' });
       return res.status(401).json({ error: 'Session user not found' });
     }
 
+    const { company, error } = await loadActiveCompany(user);
+    if (error) return res.status(403).json({ error });
+
+    // a session issued for another company (user moved) is no longer valid
+    if (payload.cid && String(payload.cid) !== String(user.company)) {
+      res.clearCookie(COOKIE_NAME, { path: '/' });
+      return res.status(401).json({ error: 'Invalid session payload' });
+    }
+
     // attach user to request
     req.user = user; // includes role, email, username, _id, etc.
-    return next();
+    req.user.companyId = user.company;
+    req.sessionId = session._id;
+    req.user.permissions = permissionsFor(user.role, company);
+    return runWithTenant(user.company, next);
   } catch (err) {
     console.error('requireAuth error', err);
     return res.status(401).json({ error: 'Authentication error' });
@@ -46,14 +115,57 @@ async function requireAuth(req, res, next) {
 }
 
 /**
- * requireRole - factory to require specific role
+ * requireSession - for account routes (sessions, 2FA, API keys) that need
+ * an interactive login rather than an API key
+ */
+function requireSession(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+  if (!req.sessionId) return res.status(403).json({ error: 'Not available with an API key' });
+  next();
+}
+
+/**
+ * requireRole - factory to require one of the given roles
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+    if (!roles.includes(req.user.role)) return res.status(403).json({ error: 'Forbidden' });
+    next();
+  };
+}
+
+/**
+ * requirePermission - factory to require every listed permission
+ * (see lib/permissions for the matrix). Sensitive permissions also need
+ * a verified email address.
  */
-function requireRole(role) {
+function requirePermission(...permissions) {
   return (req, res, next) => {
     if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
-    if (req.user.role !== role) return res.status(403).json({ error: 'Forbidden' });
+    const granted = req.user.permissions || [];
+    const missing = permissions.filter((p) => !granted.includes(p));
+    if (missing.length) return res.status(403).json({ error: 'Forbidden', missing });
+    if (permissions.some((p) => blockedUntilVerified(req.user, p))) {
+      return res.status(403).json({ error: 'Email address not verified' });
+    }
     next();
   };
 }
 
-module.exports = { requireAuth, requireRole };
\ No newline at end of file
+/**
+ * requireVerifiedEmail - reject accounts whose email is not yet confirmed
+ */
+function requireVerifiedEmail(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+  if (!isEmailVerified(req.user)) return res.status(403).json({ error: 'Email address not verified' });
+  next();
+}
+
+module.exports = {
+  requireAuth,
+  requireSession,
+  requireRole,
+  requirePermission,
+  requireVerifiedEmail
+};
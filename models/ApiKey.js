@@ -0,0 +1,50 @@
+// models/ApiKey.js
+const mongoose = require("mongoose");
+const tenantScope = require("./plugins/tenantScope");
+const { PERMISSIONS } = require("../lib/permissions");
+
+/**
+ * A personal access token for scripts and test benches. It acts as its
+ * owner, limited to `scopes`; only the sha256 of the secret is kept.
+ */
+const ApiKeySchema = new mongoose.Schema(
+  {
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: true,
+      index: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    secretHash: { type: String, required: true },
+    scopes: {
+      type: [{ type: String, enum: Object.keys(PERMISSIONS) }],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: "scopes must list at least one permission",
+      },
+    },
+    expiresAt: { type: Date, required: true },
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    revokedAt: Date,
+  },
+  { timestamps: true }
+);
+
+/** active, revoked or expired */
+ApiKeySchema.virtual("state").get(function () {
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt && this.expiresAt <= new Date()) return "expired";
+  return "active";
+});
+
+ApiKeySchema.plugin(tenantScope);
+
+module.exports = mongoose.model("ApiKey", ApiKeySchema);
@@ -0,0 +1,75 @@
+// models/AuditEvent.js
+const mongoose = require("mongoose");
+const tenantScope = require("./plugins/tenantScope");
+
+function appendOnly() {
+  throw new Error("Audit events are append-only");
+}
+
+/**
+ * One entry in a company's audit trail. Events are chained: `hash` is an
+ * HMAC over the event and the previous event's hash, keyed with a secret
+ * kept outside the database, so editing or removing any stored event
+ * breaks every hash after it (see lib/audit verifyAuditChain).
+ */
+const AuditEventSchema = new mongoose.Schema(
+  {
+    // the company id as a string, or "platform" for events with no company
+    chain: { type: String, required: true },
+    seq: { type: Number, required: true },
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      index: true,
+    },
+    actor: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      username: String,
+      role: String,
+      // set for attempts against unknown accounts
+      email: String,
+      apiKeyId: { type: mongoose.Schema.Types.ObjectId, ref: "ApiKey" },
+    },
+    // "<entity>.<verb>", e.g. calibration.update or auth.login_failed
+    action: { type: String, required: true },
+    entity: {
+      type: { type: String },
+      id: String,
+    },
+    // plain JSON snapshots, secrets removed
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    ip: String,
+    userAgent: String,
+    createdAt: { type: Date, required: true },
+    prevHash: { type: String, required: true },
+    hash: { type: String, required: true },
+  },
+  { minimize: false }
+);
+
+AuditEventSchema.index({ chain: 1, seq: 1 }, { unique: true });
+AuditEventSchema.index({ companyId: 1, createdAt: -1 });
+AuditEventSchema.index({ "entity.type": 1, "entity.id": 1 });
+
+AuditEventSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("Audit events are append-only"));
+  next();
+});
+for (const op of [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+  "findOneAndRemove",
+]) {
+  AuditEventSchema.pre(op, appendOnly);
+}
+
+AuditEventSchema.plugin(tenantScope);
+
+module.exports = mongoose.model("AuditEvent", AuditEventSchema);
@@ -1,15 +1,351 @@
+// models/Calibration.js
 const mongoose = require("mongoose");
+const tenantScope = require("./plugins/tenantScope");
+const FileSchema = require("./schemas/FileSchema");
+const {
+  DISTRIBUTIONS,
+  UncertaintyInputError,
+  computeUncertainty,
+} = require("../lib/uncertainty");
 
-const CalibrationSchema = new mongoose.Schema(
+const { Schema } = mongoose;
+
+const InstrumentSchema = new Schema(
+  {
+    description: { type: String, required: true, trim: true },
+    type: { type: String, trim: true },
+    manufacturer: { type: String, trim: true },
+    model: { type: String, trim: true },
+    serialNumber: { type: String, required: true, trim: true },
+    assetTag: { type: String, trim: true },
+    range: { type: String, trim: true },
+    resolution: { type: Number, min: 0 },
+  },
+  { _id: false }
+);
+
+const CustomerSchema = new Schema(
+  {
+    name: { type: String, trim: true },
+    address: { type: String, trim: true },
+    reference: { type: String, trim: true }, // customer PO / job number
+  },
+  { _id: false }
+);
+
+const EnvironmentSchema = new Schema(
+  {
+    temperature: { type: Number, min: -50, max: 100 }, // °C
+    humidity: { type: Number, min: 0, max: 100 }, // %RH
+    pressure: { type: Number, min: 0 }, // kPa
+  },
+  { _id: false }
+);
+
+const ToleranceSchema = new Schema(
+  {
+    minus: { type: Number, required: true, min: 0 },
+    plus: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+const ContributorSchema = new Schema(
+  {
+    name: { type: String, trim: true },
+    value: { type: Number, required: true },
+    distribution: {
+      type: String,
+      enum: Object.keys(DISTRIBUTIONS),
+      required: true,
+    },
+    coverageFactor: Number, // only for "normal"
+    sensitivity: Number, // defaults to 1
+    dof: Number, // omitted = infinite
+  },
+  { _id: false }
+);
+
+// inputs supplied by the technician
+const UncertaintyBudgetSchema = new Schema(
+  {
+    typeA: {
+      readings: [Number],
+      sensitivity: Number,
+    },
+    typeB: [ContributorSchema],
+    confidence: Number,
+  },
+  { _id: false }
+);
+
+// results computed by lib/uncertainty.js; never accepted from the client
+const UncertaintyResultSchema = new Schema(
+  {
+    typeA: {
+      n: Number,
+      mean: Number,
+      stdDev: Number,
+      standardUncertainty: Number,
+      dof: Number,
+    },
+    contributions: [
+      {
+        _id: false,
+        name: String,
+        type: { type: String },
+        distribution: String,
+        standardUncertainty: Number,
+        sensitivity: Number,
+        contribution: Number,
+        dof: Number, // null = infinite
+      },
+    ],
+    combinedStandardUncertainty: Number,
+    effectiveDof: Number, // null = infinite
+    confidence: Number,
+    coverageFactor: Number,
+    expandedUncertainty: Number,
+    computedAt: Date,
+  },
+  { _id: false }
+);
+
+const MeasurementPointSchema = new Schema({
+  parameter: { type: String, trim: true },
+  nominal: { type: Number, required: true },
+  reading: { type: Number, required: true },
+  unit: { type: String, required: true, trim: true },
+  tolerance: { type: ToleranceSchema, required: true },
+  // computed on validate
+  error: Number,
+  result: { type: String, enum: ["pass", "fail"] },
+  uncertaintyBudget: UncertaintyBudgetSchema,
+  uncertainty: UncertaintyResultSchema,
+});
+
+const StandardUsedSchema = new Schema(
+  {
+    standardId: { type: Schema.Types.ObjectId, ref: "ReferenceStandard" },
+    name: { type: String, required: true, trim: true },
+    serialNumber: { type: String, trim: true },
+    certificateNumber: { type: String, trim: true },
+    dueDate: Date,
+  },
+  { _id: false }
+);
+
+const TechnicianSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    userId: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { _id: false }
+);
+
+// Review lifecycle; transitions live in lib/calibrationWorkflow.js
+const STATUSES = [
+  "draft",
+  "submitted",
+  "under_review",
+  "approved",
+  "rejected",
+  "reissued",
+];
+
+const StatusChangeSchema = new Schema(
+  {
+    action: { type: String, required: true },
+    from: { type: String, enum: STATUSES },
+    to: { type: String, enum: STATUSES, required: true },
+    actor: {
+      id: { type: Schema.Types.ObjectId, ref: "User" },
+      username: String,
+      role: String,
+    },
+    comment: String,
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// what a signer attests to (lib/signatures)
+const SIGNATURE_MEANINGS = ["performed", "reviewed", "approved"];
+
+/**
+ * An electronic signature. `contentHash` is the sha256 of the record's
+ * content when signed and `manifestHash` an HMAC over the whole entry, so
+ * neither the record nor the signature can change without detection.
+ */
+const SignatureSchema = new Schema({
+  meaning: { type: String, enum: SIGNATURE_MEANINGS, required: true },
+  signer: {
+    id: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    username: String,
+    email: String,
+    role: String,
+  },
+  // how the signer re-authenticated: password, password+totp, password+recovery
+  method: { type: String, required: true },
+  comment: String,
+  signedAt: { type: Date, required: true },
+  revision: Number,
+  contentHash: { type: String, required: true },
+  manifestHash: { type: String, required: true },
+  // set when the record is edited after signing
+  invalidatedAt: Date,
+  invalidatedReason: String,
+});
+
+const CalibrationSchema = new Schema(
   {
     companyId: {
-      type: mongoose.Schema.Types.ObjectId,
+      type: Schema.Types.ObjectId,
       required: true,
       index: true,
     },
+    certificateNumber: { type: String, trim: true },
+    // registry entry; `instrument` keeps the details as calibrated
+    instrumentId: {
+      type: Schema.Types.ObjectId,
+      ref: "Instrument",
+      index: true,
+    },
+    instrument: { type: InstrumentSchema, required: true },
+    customer: CustomerSchema,
+    environment: EnvironmentSchema,
+    measurements: [MeasurementPointSchema],
+    standards: [StandardUsedSchema],
+    technician: { type: TechnicianSchema, required: true },
+    receivedDate: Date,
+    calibrationDate: { type: Date, required: true },
+    dueDate: Date,
+    remarks: { type: String, trim: true },
+    // computed on validate: "pass" when every point is in tolerance
+    outcome: { type: String, enum: ["pass", "fail"] },
+    status: {
+      type: String,
+      enum: STATUSES,
+      default: "draft",
+      index: true,
+    },
+    statusHistory: [StatusChangeSchema],
+    signatures: [SignatureSchema],
+    submittedAt: Date,
+    approvedAt: Date,
+    // number of the latest CalibrationRevision
+    revision: { type: Number, default: 0 },
+    // rendered certificate, reused until the record is approved again
+    // the rendered PDF, kept until the record is approved again
+    certificate: {
+      file: FileSchema,
+      approvedAt: Date,
+      generatedAt: Date,
+    },
+    // free-form extras from the frontend that have no typed field yet
     formData: Object,
   },
-  { timestamps: true }
+  // concurrent saves of the same version fail instead of overwriting
+  { timestamps: true, optimisticConcurrency: true }
 );
 
+// Fields a client may set through POST/PUT; everything else is server-owned.
+const EDITABLE_FIELDS = [
+  "certificateNumber",
+  "instrumentId",
+  "instrument",
+  "customer",
+  "environment",
+  "measurements",
+  "standards",
+  "technician",
+  "receivedDate",
+  "calibrationDate",
+  "dueDate",
+  "remarks",
+  "formData",
+];
+
+CalibrationSchema.statics.EDITABLE_FIELDS = EDITABLE_FIELDS;
+CalibrationSchema.statics.SIGNATURE_MEANINGS = SIGNATURE_MEANINGS;
+
+CalibrationSchema.statics.pickEditable = function (body) {
+  const picked = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body && body[field] !== undefined) picked[field] = body[field];
+  }
+  return picked;
+};
+
+CalibrationSchema.path("dueDate").validate(function (value) {
+  if (!value || !this.calibrationDate) return true;
+  return value >= this.calibrationDate;
+}, "dueDate must not be before calibrationDate");
+
+CalibrationSchema.path("receivedDate").validate(function (value) {
+  if (!value || !this.calibrationDate) return true;
+  return value <= this.calibrationDate;
+}, "receivedDate must not be after calibrationDate");
+
+function computePointUncertainty(doc, point, path) {
+  try {
+    point.uncertainty = {
+      ...computeUncertainty(point.uncertaintyBudget.toObject()),
+      computedAt: new Date(),
+    };
+  } catch (err) {
+    if (!(err instanceof UncertaintyInputError)) throw err;
+    point.uncertainty = undefined;
+    for (const [field, message] of Object.entries(err.fields)) {
+      const budgetPath = `${path}.uncertaintyBudget`;
+      doc.invalidate(
+        field ? `${budgetPath}.${field}` : budgetPath,
+        field ? `${budgetPath}.${message}` : message
+      );
+    }
+  }
+}
+
+// derive per-point error/result, uncertainty and the overall outcome
+CalibrationSchema.pre("validate", function (next) {
+  let evaluated = 0;
+  let failed = 0;
+
+  (this.measurements || []).forEach((point, i) => {
+    if (point.uncertaintyBudget) {
+      computePointUncertainty(this, point, `measurements.${i}`);
+    } else {
+      point.uncertainty = undefined;
+    }
+
+    if (
+      typeof point.nominal !== "number" ||
+      typeof point.reading !== "number" ||
+      !point.tolerance
+    ) {
+      return;
+    }
+    point.error = point.reading - point.nominal;
+    const inTolerance =
+      point.reading >= point.nominal - point.tolerance.minus &&
+      point.reading <= point.nominal + point.tolerance.plus;
+    point.result = inTolerance ? "pass" : "fail";
+    evaluated += 1;
+    if (!inTolerance) failed += 1;
+  });
+
+  this.outcome = evaluated ? (failed ? "fail" : "pass") : undefined;
+  next();
+});
+
+// list/search indexes (lib/calibrationQuery.js)
+CalibrationSchema.index({ companyId: 1, createdAt: -1, _id: -1 });
+CalibrationSchema.index({ companyId: 1, calibrationDate: -1, _id: -1 });
+CalibrationSchema.index({ companyId: 1, dueDate: 1, _id: 1 });
+CalibrationSchema.index({ companyId: 1, "instrument.serialNumber": 1 });
+
+CalibrationSchema.statics.STATUSES = STATUSES;
+
+CalibrationSchema.plugin(tenantScope);
+
 module.exports = mongoose.model("Calibration", CalibrationSchema);
@@ -0,0 +1,53 @@
+// models/CalibrationAttachment.js
+const mongoose = require("mongoose");
+const tenantScope = require("./plugins/tenantScope");
+const FileSchema = require("./schemas/FileSchema");
+
+const { Schema } = mongoose;
+
+const ATTACHMENT_CATEGORIES = [
+  "raw_data",
+  "photo",
+  "as_found",
+  "as_left",
+  "supporting_document",
+  "other",
+];
+
+/**
+ * A file attached to a calibration record (stored through lib/storage);
+ * it is removed with the record.
+ */
+const CalibrationAttachmentSchema = new Schema(
+  {
+    calibrationId: {
+      type: Schema.Types.ObjectId,
+      ref: "Calibration",
+      required: true,
+      index: true,
+    },
+    companyId: {
+      type: Schema.Types.ObjectId,
+      ref: "Company",
+      required: true,
+      index: true,
+    },
+    file: { type: FileSchema, required: true },
+    caption: { type: String, trim: true, maxlength: 500 },
+    category: { type: String, enum: ATTACHMENT_CATEGORIES, default: "other" },
+    uploadedBy: {
+      id: { type: Schema.Types.ObjectId, ref: "User" },
+      username: String,
+    },
+  },
+  { timestamps: { createdAt: "uploadedAt", updatedAt: false } }
+);
+
+CalibrationAttachmentSchema.plugin(tenantScope);
+
+CalibrationAttachmentSchema.statics.CATEGORIES = ATTACHMENT_CATEGORIES;
+
+module.exports = mongoose.model(
+  "CalibrationAttachment",
+  CalibrationAttachmentSchema
+);
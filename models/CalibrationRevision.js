@@ -0,0 +1,75 @@
+// models/CalibrationRevision.js
+const mongoose = require("mongoose");
+const tenantScope = require("./plugins/tenantScope");
+
+const { Schema } = mongoose;
+
+/**
+ * Immutable snapshot of a calibration's editable content. One is written
+ * for every create, update, restore and import; they are never changed.
+ * Records that predate revision history get a "baseline" revision of
+ * their stored content on their first edit.
+ */
+const CalibrationRevisionSchema = new Schema(
+  {
+    calibrationId: {
+      type: Schema.Types.ObjectId,
+      ref: "Calibration",
+      required: true,
+      immutable: true,
+    },
+    companyId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+      index: true,
+      immutable: true,
+    },
+    rev: { type: Number, required: true, min: 1, immutable: true },
+    action: {
+      type: String,
+      enum: ["baseline", "create", "update", "restore", "import"],
+      required: true,
+      immutable: true,
+    },
+    restoredFrom: { type: Number, immutable: true },
+    reason: { type: String, required: true, trim: true, immutable: true },
+    author: {
+      id: { type: Schema.Types.ObjectId, ref: "User", immutable: true },
+      username: { type: String, immutable: true },
+    },
+    content: { type: Object, required: true, immutable: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+CalibrationRevisionSchema.index({ calibrationId: 1, rev: 1 }, { unique: true });
+
+function rejectMutation(next) {
+  next(new Error("Calibration revisions are immutable"));
+}
+
+CalibrationRevisionSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+for (const op of [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+  "findOneAndRemove",
+]) {
+  CalibrationRevisionSchema.pre(op, rejectMutation);
+}
+
+CalibrationRevisionSchema.plugin(tenantScope);
+
+module.exports = mongoose.model(
+  "CalibrationRevision",
+  CalibrationRevisionSchema
+);
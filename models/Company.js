@@ -1,12 +1,74 @@
 // models/Company.js
 const mongoose = require("mongoose");
+const FileSchema = require("./schemas/FileSchema");
+const { ROLES } = require("../lib/permissions");
+
+const AddressSchema = new mongoose.Schema(
+  {
+    line1: { type: String, trim: true },
+    line2: { type: String, trim: true },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    postalCode: { type: String, trim: true },
+    country: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+const SettingsSchema = new mongoose.Schema(
+  {
+    timezone: { type: String, default: "UTC" },
+    // printed at the foot of every certificate
+    certificateFooter: { type: String, trim: true },
+    // roles that must log in with a second factor
+    twoFactorRoles: [{ type: String, enum: ROLES }],
+  },
+  { _id: false }
+);
+
+// per-company adjustment of a role's default permissions (lib/permissions)
+const RolePermissionsSchema = new mongoose.Schema(
+  {
+    role: { type: String, enum: ROLES, required: true },
+    grant: [String],
+    revoke: [String],
+  },
+  { _id: false }
+);
 
 const CompanySchema = new mongoose.Schema(
   {
-    name: { type: String, required: true, unique: true },
-    code: { type: String, unique: true }, // optional
+    name: { type: String, required: true, unique: true, trim: true },
+    code: { type: String, unique: true, sparse: true, trim: true }, // optional
+    status: {
+      type: String,
+      enum: ["active", "suspended"],
+      default: "active",
+    },
+    address: AddressSchema,
+    phone: { type: String, trim: true },
+    email: { type: String, lowercase: true, trim: true },
+    website: { type: String, trim: true },
+    accreditationNumber: { type: String, trim: true },
+    accreditationBody: { type: String, trim: true },
+    // printed on certificates; kept in lib/storage
+    logo: FileSchema,
+    // overrides STORAGE_QUOTA_BYTES for this company; 0 = unlimited
+    storageQuotaBytes: { type: Number, min: 0 },
+    settings: { type: SettingsSchema, default: () => ({}) },
+    rolePermissions: [RolePermissionsSchema],
   },
   { timestamps: true }
 );
 
+CompanySchema.path("settings.timezone").validate(function (tz) {
+  if (!tz) return true;
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: tz });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}, "timezone must be an IANA time zone");
+
 module.exports = mongoose.model("Company", CompanySchema);
@@ -0,0 +1,51 @@
+// models/ImportJob.js
+const mongoose = require("mongoose");
+const tenantScope = require("./plugins/tenantScope");
+
+const { Schema } = mongoose;
+
+const ImportJobSchema = new Schema(
+  {
+    companyId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+      index: true,
+    },
+    createdBy: {
+      id: { type: Schema.Types.ObjectId, ref: "User" },
+      username: String,
+    },
+    filename: String,
+    format: { type: String, enum: ["csv", "xlsx"], required: true },
+    mode: { type: String, enum: ["dry-run", "commit"], required: true },
+    mapping: { type: Object, required: true },
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed"],
+      default: "queued",
+    },
+    totals: {
+      rows: { type: Number, default: 0 },
+      valid: { type: Number, default: 0 },
+      invalid: { type: Number, default: 0 },
+      inserted: { type: Number, default: 0 },
+    },
+    // per-row validation failures; capped, see errorsTruncated
+    rowErrors: [
+      {
+        _id: false,
+        row: Number,
+        fields: Object,
+      },
+    ],
+    errorsTruncated: { type: Boolean, default: false },
+    error: String, // set when the whole job failed
+    startedAt: Date,
+    finishedAt: Date,
+  },
+  { timestamps: true }
+);
+
+ImportJobSchema.plugin(tenantScope);
+
+module.exports = mongoose.model("ImportJob", ImportJobSchema);
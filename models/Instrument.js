@@ -0,0 +1,43 @@
+// models/Instrument.js
+const mongoose = require("mongoose");
+const tenantScope = require("./plugins/tenantScope");
+
+const InstrumentSchema = new mongoose.Schema(
+  {
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: true,
+      index: true,
+    },
+    serialNumber: { type: String, required: true, trim: true },
+    assetTag: { type: String, trim: true },
+    description: { type: String, required: true, trim: true },
+    type: { type: String, trim: true },
+    manufacturer: { type: String, trim: true },
+    model: { type: String, trim: true },
+    range: { type: String, trim: true },
+    resolution: { type: Number, min: 0 },
+    location: { type: String, trim: true },
+    calibrationIntervalDays: { type: Number, min: 1, default: 365 },
+    status: {
+      type: String,
+      enum: ["active", "inactive", "out_of_service", "retired"],
+      default: "active",
+    },
+    // maintained when a linked calibration is approved
+    lastCalibratedAt: Date,
+    nextDueAt: { type: Date, index: true },
+    lastCalibrationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Calibration",
+    },
+  },
+  { timestamps: true }
+);
+
+InstrumentSchema.index({ companyId: 1, serialNumber: 1 }, { unique: true });
+
+InstrumentSchema.plugin(tenantScope);
+
+module.exports = mongoose.model("Instrument", InstrumentSchema);
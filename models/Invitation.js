@@ -0,0 +1,46 @@
+// models/Invitation.js
+const mongoose = require("mongoose");
+const tenantScope = require("./plugins/tenantScope");
+const { ROLES } = require("../lib/permissions");
+
+// roles an invitation may grant; superadmin is never handed out this way
+const INVITABLE_ROLES = ROLES.filter((r) => r !== "superadmin");
+
+const InvitationSchema = new mongoose.Schema(
+  {
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: true,
+      index: true,
+    },
+    // sha256 of the code; the code itself is only shown once
+    codeHash: { type: String, required: true, unique: true },
+    // when set, only this address may accept the invitation
+    email: { type: String, lowercase: true, trim: true },
+    role: { type: String, enum: INVITABLE_ROLES, default: "user" },
+    expiresAt: { type: Date, required: true },
+    createdBy: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      username: String,
+    },
+    acceptedAt: Date,
+    acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    revokedAt: Date,
+  },
+  { timestamps: true }
+);
+
+InvitationSchema.statics.INVITABLE_ROLES = INVITABLE_ROLES;
+
+/** pending, accepted, revoked or expired */
+InvitationSchema.virtual("state").get(function () {
+  if (this.acceptedAt) return "accepted";
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt && this.expiresAt <= new Date()) return "expired";
+  return "pending";
+});
+
+InvitationSchema.plugin(tenantScope);
+
+module.exports = mongoose.model("Invitation", InvitationSchema);
@@ -0,0 +1,46 @@
+// models/LoginAttempt.js
+const mongoose = require("mongoose");
+
+const LOGIN_ATTEMPT_RETENTION_DAYS = Number(
+  process.env.LOGIN_ATTEMPT_RETENTION_DAYS || 90
+);
+
+const REASONS = [
+  "invalid_credentials",
+  "invalid_code",
+  "throttled",
+  "locked",
+  "company_suspended",
+];
+
+/**
+ * One login attempt, kept for review. Attempts against unknown addresses
+ * have no user or company. Not tenant-scoped: logins run before any
+ * tenant is known, so readers filter by companyId themselves.
+ */
+const LoginAttemptSchema = new mongoose.Schema({
+  email: { type: String, lowercase: true, trim: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Company",
+    index: true,
+  },
+  ip: String,
+  userAgent: String,
+  success: { type: Boolean, required: true },
+  // "password", "totp" or "recovery" on success
+  method: String,
+  // why a failed attempt failed
+  reason: { type: String, enum: REASONS },
+  createdAt: { type: Date, default: Date.now },
+});
+
+LoginAttemptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: LOGIN_ATTEMPT_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+LoginAttemptSchema.statics.REASONS = REASONS;
+
+module.exports = mongoose.model("LoginAttempt", LoginAttemptSchema);
@@ -0,0 +1,15 @@
+// models/LoginThrottle.js
+const mongoose = require("mongoose");
+
+// failure counters for lib/loginThrottle's Mongo store, keyed by account or IP
+const LoginThrottleSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  blockedUntil: Date,
+  // the counter is forgotten after this; also drives the TTL index
+  expiresAt: { type: Date, required: true },
+});
+
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginThrottle", LoginThrottleSchema);
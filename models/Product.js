@@ -1,16 +1,10 @@
 // models/Product.js
 const mongoose = require('mongoose');
-
-const FileSchema = new mongoose.Schema({
-  filename: String,
-  originalname: String,
-  mimetype: String,
-  size: Number,
-  path: String,
-  uploadedAt: { type: Date, default: Date.now }
-});
+const tenantScope = require('./plugins/tenantScope');
+const FileSchema = require('./schemas/FileSchema');
 
 const ProductSchema = new mongoose.Schema({
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true, index: true },
   owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   name: { type: String, required: true },
   description: String,
@@ -18,4 +12,6 @@ const ProductSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now }
 });
 
+ProductSchema.plugin(tenantScope);
+
 module.exports = mongoose.model('Product', ProductSchema);
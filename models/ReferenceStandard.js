@@ -0,0 +1,69 @@
+// models/ReferenceStandard.js
+const mongoose = require("mongoose");
+const tenantScope = require("./plugins/tenantScope");
+
+const { Schema } = mongoose;
+
+// one calibration certificate issued for the standard
+const StandardCertificateSchema = new Schema({
+  certificateNumber: { type: String, required: true, trim: true },
+  issuedBy: { type: String, required: true, trim: true }, // calibrating lab
+  accreditationNumber: { type: String, trim: true },
+  calibratedAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true },
+  // in-house standards that were used to issue this certificate
+  traceableTo: [{ type: Schema.Types.ObjectId, ref: "ReferenceStandard" }],
+  // end of the chain, e.g. "NIST", "NPL", "PTB"
+  externalTraceability: { type: String, trim: true },
+});
+
+StandardCertificateSchema.path("expiresAt").validate(function (value) {
+  return !this.calibratedAt || !value || value > this.calibratedAt;
+}, "expiresAt must be after calibratedAt");
+
+const ReferenceStandardSchema = new Schema(
+  {
+    companyId: {
+      type: Schema.Types.ObjectId,
+      ref: "Company",
+      required: true,
+      index: true,
+    },
+    name: { type: String, required: true, trim: true },
+    serialNumber: { type: String, required: true, trim: true },
+    assetTag: { type: String, trim: true },
+    manufacturer: { type: String, trim: true },
+    model: { type: String, trim: true },
+    description: { type: String, trim: true },
+    status: { type: String, enum: ["active", "retired"], default: "active" },
+    certificates: [StandardCertificateSchema],
+  },
+  { timestamps: true }
+);
+
+ReferenceStandardSchema.index(
+  { companyId: 1, serialNumber: 1 },
+  { unique: true }
+);
+
+/**
+ * The certificate covering `date`, preferring the most recent calibration
+ * when certificates overlap. Works on lean objects too via the static.
+ */
+function certificateValidOn(standard, date) {
+  const at = new Date(date).getTime();
+  let best = null;
+  for (const cert of standard.certificates || []) {
+    const from = new Date(cert.calibratedAt).getTime();
+    const to = new Date(cert.expiresAt).getTime();
+    if (from <= at && at <= to && (!best || from > new Date(best.calibratedAt)))
+      best = cert;
+  }
+  return best;
+}
+
+ReferenceStandardSchema.statics.certificateValidOn = certificateValidOn;
+
+ReferenceStandardSchema.plugin(tenantScope);
+
+module.exports = mongoose.model("ReferenceStandard", ReferenceStandardSchema);
@@ -0,0 +1,33 @@
+// models/Session.js
+const mongoose = require("mongoose");
+
+/**
+ * A logged-in device. Access tokens name their session (sid) and stop
+ * working as soon as it is revoked; the refresh token rotates on every
+ * use and only the hash of the current one is kept.
+ */
+const SessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    refreshHash: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    lastUsedAt: Date,
+    userAgent: String,
+    ip: String,
+    revokedAt: Date,
+    // logout, revoked, password_changed, role_changed, user_deleted, reuse_detected,
+    // 2fa_enabled, 2fa_reset
+    revokedReason: String,
+  },
+  { timestamps: true }
+);
+
+// let MongoDB drop sessions a week after they expire
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("Session", SessionSchema);
@@ -0,0 +1,33 @@
+// models/StoredFile.js
+const mongoose = require("mongoose");
+const tenantScope = require("./plugins/tenantScope");
+
+const { Schema } = mongoose;
+
+/**
+ * One stored blob. Keys are derived from the content hash, so identical
+ * uploads within a company share a blob; `refs` counts the records that
+ * point at it and the blob is deleted when the last one lets go.
+ */
+const StoredFileSchema = new Schema(
+  {
+    companyId: {
+      type: Schema.Types.ObjectId,
+      ref: "Company",
+      required: true,
+      index: true,
+    },
+    key: { type: String, required: true, unique: true },
+    driver: { type: String, required: true },
+    checksum: { type: String, required: true },
+    size: { type: Number, required: true },
+    refs: { type: Number, default: 0 },
+    // set while the last reference deletes the blob; the row goes after
+    releasing: Date,
+  },
+  { timestamps: true }
+);
+
+StoredFileSchema.plugin(tenantScope);
+
+module.exports = mongoose.model("StoredFile", StoredFileSchema);
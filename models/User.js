@@ -1,5 +1,7 @@
 // models/User.js
 const mongoose = require("mongoose");
+const tenantScope = require("./plugins/tenantScope");
+const { ROLES } = require("../lib/permissions");
 
 const UserSchema = new mongoose.Schema({
   email: {
@@ -12,7 +14,21 @@ const UserSchema = new mongoose.Schema({
   username: { type: String, required: true },
   passwordHash: { type: String, required: true }, // bcrypt hash
   mobile: { type: String },
-  role: { type: String, enum: ["user", "admin"], default: "user" },
+  // false until the address is confirmed; accounts created before
+  // verification existed have no value and are treated as verified
+  emailVerified: { type: Boolean },
+  emailVerifiedAt: { type: Date },
+  // TOTP second factor (lib/twoFactor); secrets never leave the model by default
+  twoFactor: {
+    enabled: { type: Boolean },
+    secret: { type: String, select: false }, // encrypted
+    pendingSecret: { type: String, select: false }, // encrypted, until confirmed
+    recoveryCodes: { type: [String], select: false }, // sha256 hashes
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: { type: Date },
+  },
+  // see lib/permissions for what each role may do
+  role: { type: String, enum: ROLES, default: "user" },
   company: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Company",
@@ -22,4 +38,6 @@ const UserSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now },
 });
 
+UserSchema.plugin(tenantScope, { field: "company" });
+
 module.exports = mongoose.model("User", UserSchema);
@@ -0,0 +1,30 @@
+// models/UserToken.js
+const mongoose = require("mongoose");
+
+const PURPOSES = ["password_reset", "email_verification"];
+
+// single-use tokens mailed to users; only the sha256 of the token is kept
+const UserTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    purpose: { type: String, enum: PURPOSES, required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    // the address the token was sent to; verification only counts for it
+    email: { type: String, lowercase: true, trim: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// let MongoDB drop tokens a day after they expire
+UserTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+UserTokenSchema.statics.PURPOSES = PURPOSES;
+
+module.exports = mongoose.model("UserToken", UserTokenSchema);
@@ -0,0 +1,127 @@
+// models/plugins/tenantScope.js
+const mongoose = require("mongoose");
+const { currentTenant } = require("../../lib/tenantContext");
+
+const QUERY_OPS = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "distinct",
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "findOneAndDelete",
+  "findOneAndRemove",
+];
+
+// aggregation stages that must stay first in the pipeline
+const LEADING_STAGES = ["$geoNear", "$search", "$searchMeta", "$collStats"];
+
+class TenantError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TenantError";
+  }
+}
+
+function sameTenant(value, tenant) {
+  return value !== undefined && value !== null && String(value) === tenant;
+}
+
+function outsideTenant(modelName) {
+  return new TenantError(
+    `${modelName} used outside a tenant context without skipTenant`
+  );
+}
+
+/**
+ * Constrain a model to the tenant in lib/tenantContext. Inside a tenant
+ * context every query and aggregate is filtered on `field`, new documents
+ * are stamped with it and writes that would move a document to another
+ * company are rejected.
+ *
+ * Outside a context (startup, login) queries, aggregates and insertMany
+ * fail with a TenantError unless given the `{ skipTenant: true }` option,
+ * and documents are only saved when they already carry `field` (set
+ * `doc.$locals.skipTenant` for the rare document that has none).
+ */
+function tenantScope(schema, { field = "companyId" } = {}) {
+  function scopeQuery(next) {
+    if (this.getOptions().skipTenant) return next();
+    const tenant = currentTenant();
+    if (!tenant) return next(outsideTenant(this.model.modelName));
+
+    this.and([{ [field]: tenant }]);
+
+    const update = this.getUpdate();
+    if (update) {
+      const target =
+        update.$set && field in update.$set
+          ? update.$set[field]
+          : update[field];
+      if (target !== undefined && !sameTenant(target, tenant)) {
+        return next(new TenantError(`${field} cannot be changed`));
+      }
+    }
+    next();
+  }
+
+  for (const op of QUERY_OPS) {
+    schema.pre(op, { document: false, query: true }, scopeQuery);
+  }
+
+  schema.pre("aggregate", function (next) {
+    if (this.options.skipTenant) return next();
+    const tenant = currentTenant();
+    if (!tenant) return next(outsideTenant(this._model.modelName));
+
+    const pipeline = this.pipeline();
+    const first = pipeline[0] && Object.keys(pipeline[0])[0];
+    const match = {
+      $match: { [field]: new mongoose.Types.ObjectId(tenant) },
+    };
+    pipeline.splice(LEADING_STAGES.includes(first) ? 1 : 0, 0, match);
+    next();
+  });
+
+  schema.pre("validate", function (next) {
+    const tenant = currentTenant();
+    if (!tenant) {
+      if (this.get(field) || this.$locals.skipTenant) return next();
+      return next(outsideTenant(this.constructor.modelName));
+    }
+
+    if (this.isNew && !this.get(field)) this.set(field, tenant);
+    if (!sameTenant(this.get(field), tenant)) {
+      return next(new TenantError(`${field} does not match the session`));
+    }
+    next();
+  });
+
+  // lean inserts skip document validation, so stamp the raw objects too
+  schema.pre("insertMany", function (next, docs, options) {
+    if (options && options.skipTenant) return next();
+    const tenant = currentTenant();
+    if (!tenant) return next(outsideTenant(this.modelName));
+
+    for (const doc of Array.isArray(docs) ? docs : [docs]) {
+      const value =
+        doc instanceof mongoose.Document ? doc.get(field) : doc[field];
+      if (value === undefined || value === null) {
+        if (doc instanceof mongoose.Document) doc.set(field, tenant);
+        else doc[field] = tenant;
+      } else if (!sameTenant(value, tenant)) {
+        return next(new TenantError(`${field} does not match the session`));
+      }
+    }
+    next();
+  });
+}
+
+tenantScope.TenantError = TenantError;
+
+module.exports = tenantScope;
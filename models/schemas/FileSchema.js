@@ -0,0 +1,22 @@
+// models/schemas/FileSchema.js
+const mongoose = require("mongoose");
+
+/**
+ * An uploaded file as referenced from a record. `key` locates the blob
+ * in the storage driver that holds it (see lib/storage); `checksum` is
+ * the sha256 of its content. Files uploaded before the storage layer
+ * have only a `path` under uploads/.
+ */
+const FileSchema = new mongoose.Schema({
+  key: String,
+  driver: String,
+  filename: String,
+  originalname: String,
+  mimetype: String,
+  size: Number,
+  checksum: String,
+  path: String,
+  uploadedAt: { type: Date, default: Date.now },
+});
+
+module.exports = FileSchema;
@@ -0,0 +1,210 @@
+// routes/apiKeys.js
+const express = require("express");
+const ApiKey = require("../models/ApiKey");
+const { requireSession, requireVerifiedEmail } = require("../middleware/auth");
+const { hasPermission } = require("../lib/permissions");
+const { recordAudit } = require("../lib/audit");
+const {
+  API_KEY_MAX_TTL_DAYS,
+  issueApiKey,
+  revokeApiKey,
+} = require("../lib/apiKeys");
+const {
+  validationErrorBody,
+  isValidationError,
+  isValidId,
+} = require("../lib/validation");
+
+const router = express.Router();
+
+// keys are managed from a browser login; a key cannot mint or revoke keys
+router.use(requireSession);
+
+function serializeApiKey(k) {
+  return {
+    id: k._id,
+    name: k.name,
+    userId: k.userId,
+    scopes: k.scopes,
+    state: k.state,
+    expiresAt: k.expiresAt,
+    lastUsedAt: k.lastUsedAt || null,
+    lastUsedIp: k.lastUsedIp || null,
+    revokedAt: k.revokedAt || null,
+    createdAt: k.createdAt,
+  };
+}
+
+/**
+ * POST /api-keys
+ * Body: { name, scopes: [permission], ttlDays? }
+ * Scopes are limited to the caller's own permissions. Returns the key with
+ * its token, which is not stored and cannot be retrieved later.
+ */
+router.post("/", requireVerifiedEmail, async (req, res) => {
+  try {
+    const { name, scopes, ttlDays } = req.body;
+    const fields = {};
+    if (!name || typeof name !== "string" || !name.trim())
+      fields.name = "name is required";
+    if (!Array.isArray(scopes) || !scopes.length) {
+      fields.scopes = "scopes must list at least one permission";
+    } else {
+      const notHeld = scopes.filter((p) => !hasPermission(req.user, p));
+      if (notHeld.length)
+        fields.scopes = `you do not hold: ${notHeld.join(", ")}`;
+    }
+    if (
+      ttlDays !== undefined &&
+      !(Number(ttlDays) >= 1 && Number(ttlDays) <= API_KEY_MAX_TTL_DAYS)
+    )
+      fields.ttlDays = `ttlDays must be between 1 and ${API_KEY_MAX_TTL_DAYS}`;
+    if (Object.keys(fields).length)
+      return res.status(400).json({ error: "Validation failed", fields });
+
+    const { apiKey, token } = await issueApiKey({
+      user: req.user,
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      ttlDays,
+    });
+    await recordAudit(req, {
+      action: "apiKey.create",
+      entity: { type: "apiKey", id: apiKey._id },
+      after: serializeApiKey(apiKey),
+    });
+    return res.status(201).json({ apiKey: serializeApiKey(apiKey), token });
+  } catch (err) {
+    if (isValidationError(err))
+      return res.status(400).json(validationErrorBody(err));
+    console.error("create api key err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /api-keys
+ * The caller's keys; with ?all=true, every key in the company (user:manage)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.all === "true") {
+      if (!hasPermission(req.user, "user:manage"))
+        return res.status(403).json({ error: "Forbidden" });
+    } else {
+      filter.userId = req.user._id;
+    }
+    const keys = await ApiKey.find(filter).sort({ createdAt: -1 });
+    return res.json({ apiKeys: keys.map(serializeApiKey) });
+  } catch (err) {
+    console.error("list api keys err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * DELETE /api-keys/:id
+ * Revoke one of the caller's keys, or any company key with user:manage
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
+    const filter = hasPermission(req.user, "user:manage")
+      ? {}
+      : { userId: req.user._id };
+    const result = await revokeApiKey(req.params.id, filter);
+    if (!result.matchedCount)
+      return res.status(404).json({ error: "Not found" });
+    await recordAudit(req, {
+      action: "apiKey.revoke",
+      entity: { type: "apiKey", id: req.params.id },
+    });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("revoke api key err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * @openapi
+ * tags:
+ *   - name: API keys
+ *     description: Personal access tokens for scripts and test benches
+ *
+ * /api-keys:
+ *   post:
+ *     tags:
+ *       - API keys
+ *     summary: Create an API key limited to some of your permissions
+ *     description: >
+ *       Send the returned token as `Authorization: Bearer <token>`. It is shown
+ *       only once. Requests made with it act as you, limited to `scopes`.
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Bench 3
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["calibration:read", "calibration:create"]
+ *               ttlDays:
+ *                 type: integer
+ *                 description: Defaults to API_KEY_TTL_DAYS (90)
+ *     responses:
+ *       '201':
+ *         description: The key and its token
+ *       '400':
+ *         description: Validation failed
+ *       '403':
+ *         description: Called with an API key, or email address not verified
+ *   get:
+ *     tags:
+ *       - API keys
+ *     summary: List your API keys (all company keys with ?all=true and user:manage)
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: all
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       '200':
+ *         description: Keys, newest first; secrets are never returned
+ *
+ * /api-keys/{id}:
+ *   delete:
+ *     tags:
+ *       - API keys
+ *     summary: Revoke an API key
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Revoked
+ *       '404':
+ *         description: No such active key
+ */
+
+module.exports = router;
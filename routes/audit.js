@@ -0,0 +1,271 @@
+// routes/audit.js
+const express = require("express");
+const mongoose = require("mongoose");
+const AuditEvent = require("../models/AuditEvent");
+const { requirePermission } = require("../middleware/auth");
+const { verifyAuditChain } = require("../lib/audit");
+const {
+  CONTENT_TYPES,
+  writeChunk,
+  streamExport,
+} = require("../lib/calibrationExport");
+
+const router = express.Router();
+
+const canRead = requirePermission("audit:read");
+
+const EXPORT_COLUMNS = [
+  "seq",
+  "createdAt",
+  "action",
+  "entity.type",
+  "entity.id",
+  "actor.id",
+  "actor.username",
+  "actor.role",
+  "actor.email",
+  "actor.apiKeyId",
+  "ip",
+  "userAgent",
+  "before",
+  "after",
+  "prevHash",
+  "hash",
+];
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Filter from query params: entityType, entityId, actor (user id or
+ * username), action (comma list; "calibration.*" matches a prefix),
+ * from, to. Returns { filter, fields } with field errors, if any.
+ */
+function auditFilter(query) {
+  const filter = {};
+  const fields = {};
+
+  if (query.entityType) filter["entity.type"] = String(query.entityType);
+  if (query.entityId) filter["entity.id"] = String(query.entityId);
+  if (query.actor) {
+    const actor = String(query.actor);
+    if (/^[a-f0-9]{24}$/i.test(actor))
+      filter["actor.id"] = new mongoose.Types.ObjectId(actor);
+    else filter["actor.username"] = actor;
+  }
+  if (query.action) {
+    const actions = String(query.action)
+      .split(",")
+      .map((a) => a.trim())
+      .filter(Boolean);
+    filter.$or = actions.map((a) =>
+      a.endsWith(".*")
+        ? { action: new RegExp(`^${escapeRegex(a.slice(0, -1))}`) }
+        : { action: a }
+    );
+  }
+
+  const range = {};
+  for (const [name, op] of [
+    ["from", "$gte"],
+    ["to", "$lte"],
+  ]) {
+    if (!query[name]) continue;
+    const d = new Date(query[name]);
+    if (Number.isNaN(d.getTime())) fields[name] = `${name} must be a date`;
+    else range[op] = d;
+  }
+  if (Object.keys(range).length) filter.createdAt = range;
+
+  return { filter, fields };
+}
+
+/**
+ * GET /audit
+ * The company's audit trail, newest first.
+ * Query params: entityType, entityId, actor, action, from, to, page, limit
+ */
+router.get("/", canRead, async (req, res) => {
+  try {
+    const { filter, fields } = auditFilter(req.query);
+    if (Object.keys(fields).length)
+      return res.status(400).json({ error: "Invalid query", fields });
+
+    const page = Math.max(1, Number(req.query.page || 1));
+    const limit = Math.min(200, Number(req.query.limit || 50));
+    const total = await AuditEvent.countDocuments(filter);
+    const events = await AuditEvent.find(filter)
+      .select("-__v -chain")
+      .sort({ seq: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+
+    return res.json({
+      meta: { total, page, limit, pages: Math.ceil(total / limit) },
+      events,
+    });
+  } catch (err) {
+    console.error("list audit err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /audit/export?format=csv|xlsx|ndjson
+ * Same filters as the list, oldest first. ndjson carries the events as
+ * stored, so the hash chain can be checked offline.
+ */
+router.get("/export", canRead, async (req, res) => {
+  try {
+    const format = req.query.format || "csv";
+    if (!CONTENT_TYPES[format]) {
+      return res.status(400).json({
+        error: "Invalid query",
+        fields: { format: "format must be csv, xlsx or ndjson" },
+      });
+    }
+    const { filter, fields } = auditFilter(req.query);
+    if (Object.keys(fields).length)
+      return res.status(400).json({ error: "Invalid query", fields });
+
+    const cursor = AuditEvent.find(filter)
+      .select("-__v")
+      .sort({ seq: 1 })
+      .lean()
+      .cursor({ batchSize: 500 });
+
+    const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    res.setHeader("Content-Type", CONTENT_TYPES[format]);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="audit-${stamp}.${format}"`
+    );
+    res.on("close", () => cursor.close().catch(() => {}));
+
+    if (format === "ndjson") {
+      for await (const event of cursor) {
+        await writeChunk(res, JSON.stringify(event) + "\n");
+      }
+      return res.end();
+    }
+    await streamExport({
+      cursor,
+      columns: EXPORT_COLUMNS,
+      format,
+      res,
+      sheetName: "Audit",
+    });
+  } catch (err) {
+    if (res.destroyed) return; // the client went away mid-export
+    console.error("export audit err", err);
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /audit/verify
+ * Recompute the company's hash chain; reports the first broken event
+ */
+router.get("/verify", canRead, async (req, res) => {
+  try {
+    const result = await verifyAuditChain(req.user.companyId);
+    return res.json(result);
+  } catch (err) {
+    console.error("verify audit err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Audit
+ *     description: Append-only, hash-chained record of who did what
+ *
+ * /audit:
+ *   get:
+ *     tags:
+ *       - Audit
+ *     summary: List the company's audit events, newest first (audit:read)
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           example: calibration
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actor
+ *         description: User id or username
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         description: Comma list; a trailing ".*" matches a prefix (calibration.*)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Events with paging meta
+ *       '400':
+ *         description: Invalid query
+ *
+ * /audit/export:
+ *   get:
+ *     tags:
+ *       - Audit
+ *     summary: Export audit events (same filters as the list), oldest first
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, ndjson]
+ *     responses:
+ *       '200':
+ *         description: File download; ndjson holds the events exactly as stored
+ *
+ * /audit/verify:
+ *   get:
+ *     tags:
+ *       - Audit
+ *     summary: Recompute the company's hash chain
+ *     security:
+ *       - cookieAuth: []
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: "{ ok, events, headHash } or { ok: false, brokenAt: { seq, reason } }"
+ */
+
+module.exports = router;
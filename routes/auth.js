@@ -3,40 +3,228 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Company = require('../models/Company');
+const ensureDefaultCompany = require('../seed/defaultCompany');
+const {
+  findPendingInvitation,
+  claimInvitation,
+  releaseInvitation,
+} = require('../lib/invitations');
+const { consumeToken } = require('../lib/userTokens');
+const { sendPasswordReset, sendEmailVerification } = require('../lib/accountEmails');
+const { requireAuth, requireSession } = require('../middleware/auth');
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_MS,
+  SessionError,
+  createSession,
+  rotateSession,
+  findActiveSession,
+  sessionIdFromRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions,
+} = require('../lib/sessions');
+const {
+  isTwoFactorRequired,
+  isTwoFactorEnabled,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  recoveryCodesRemaining,
+  disableTwoFactor,
+} = require('../lib/twoFactor');
+const { checkLogin, recordLoginFailure, clearAccount } = require('../lib/loginThrottle');
+const { recordLoginAttempt } = require('../lib/loginAttempts');
+const { recordAudit } = require('../lib/audit');
+const { isValidId } = require('../lib/validation');
 
+// most routes here run before a tenant is known, so their user lookups
+// pass skipTenant (see models/plugins/tenantScope)
 const router = express.Router();
 
 const COOKIE_NAME = process.env.COOKIE_NAME || 'session';
+const REFRESH_COOKIE_NAME = process.env.REFRESH_COOKIE_NAME || 'refresh';
 const SESSION_SECRET = process.env.SESSION_SECRET || 'dev_secret';
-const COOKIE_MAX_AGE = Number(process.env.COOKIE_MAX_AGE || 24 * 60 * 60 * 1000);
+// without OPEN_SIGNUP=true, new users need an invitation from a company admin
+const OPEN_SIGNUP = process.env.OPEN_SIGNUP === 'true';
+// how long a password-verified login may wait for its second factor
+const LOGIN_CHALLENGE_TTL_SECONDS = 5 * 60;
 
-function cookieOptions() {
+function cookieOptions(maxAge, path = '/') {
   const isProd = process.env.NODE_ENV === 'production';
   return {
     httpOnly: true,
     secure: isProd,
     sameSite: isProd ? 'None' : 'Lax',
-    maxAge: COOKIE_MAX_AGE,
-    path: '/'
+    maxAge,
+    path
+  };
+}
+
+// the refresh token is only ever sent to /auth
+function setSessionCookies(res, { accessToken, refreshToken }) {
+  res.cookie(COOKIE_NAME, accessToken, cookieOptions(ACCESS_TOKEN_TTL_SECONDS * 1000));
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, cookieOptions(REFRESH_TOKEN_TTL_MS, '/auth'));
+}
+
+function clearSessionCookies(res) {
+  res.clearCookie(COOKIE_NAME, { path: '/' });
+  res.clearCookie(REFRESH_COOKIE_NAME, { path: '/auth' });
+}
+
+// a short-lived token proving the password step of a login; purpose is
+// '2fa' (enter a code) or '2fa-setup' (enrol first, the role requires it)
+function signLoginChallenge(user, purpose) {
+  return jwt.sign({ uid: user._id, purpose }, SESSION_SECRET, {
+    expiresIn: LOGIN_CHALLENGE_TTL_SECONDS
+  });
+}
+
+function verifyLoginChallenge(challenge) {
+  try {
+    const payload = jwt.verify(String(challenge || ''), SESSION_SECRET);
+    return payload.purpose === '2fa' || payload.purpose === '2fa-setup' ? payload : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// who acted, for audit events recorded before req.user is set
+function auditActor(user) {
+  return { id: user._id, username: user.username, role: user.role };
+}
+
+function auditUser(req, user, action, extra = {}) {
+  return recordAudit(req, {
+    action,
+    entity: { type: 'user', id: user._id },
+    companyId: user.company,
+    actor: req.user ? undefined : auditActor(user),
+    ...extra
+  });
+}
+
+// every login attempt goes to the attempt log and the audit trail
+async function logLogin(req, { email, user, success, method, reason }) {
+  await recordLoginAttempt(req, { email, user, success, method, reason });
+  await recordAudit(req, {
+    action: success ? 'auth.login' : 'auth.login_failed',
+    entity: user ? { type: 'user', id: user._id } : undefined,
+    companyId: user ? user.company : undefined,
+    actor: user ? auditActor(user) : { email },
+    after: success ? { method } : { reason }
+  });
+}
+
+function tooManyAttempts(res, wait) {
+  res.set('Retry-After', String(wait.retryAfter));
+  return res.status(429).json({
+    error: wait.locked ? 'Too many failed attempts, login is locked for now' : 'Too many login attempts',
+    retryAfter: wait.retryAfter
+  });
+}
+
+// count a failed password or code; Retry-After tells the client when to try again
+async function rejectLogin(req, res, { email, user, reason, error }) {
+  const wait = await recordLoginFailure({ email, ip: req.ip });
+  await logLogin(req, { email, user, success: false, reason });
+  if (wait) res.set('Retry-After', String(wait.retryAfter));
+  return res.status(401).json({ error, ...(wait && { retryAfter: wait.retryAfter }) });
+}
+
+// a throttled attempt is logged but not counted again
+async function throttled(req, res, { email, user }) {
+  const wait = await checkLogin({ email, ip: req.ip });
+  if (!wait) return false;
+  await logLogin(req, { email, user, success: false, reason: wait.locked ? 'locked' : 'throttled' });
+  tooManyAttempts(res, wait);
+  return true;
+}
+
+// re-entering the password or a code inside a session (2FA changes) counts
+// towards the same per-account throttle as login, so a stolen session
+// cannot guess them; these are not logged as login attempts
+async function reauthThrottled(req, res) {
+  const wait = await checkLogin({ email: req.user.email, ip: req.ip });
+  if (!wait) return false;
+  tooManyAttempts(res, wait);
+  return true;
+}
+
+async function rejectReauth(req, res, error) {
+  const wait = await recordLoginFailure({ email: req.user.email, ip: req.ip });
+  if (wait) res.set('Retry-After', String(wait.retryAfter));
+  return res.status(401).json({ error, ...(wait && { retryAfter: wait.retryAfter }) });
+}
+
+function toUserSafe(user) {
+  return { id: user._id, email: user.email, username: user.username, role: user.role };
+}
+
+function serializeSession(session, currentId) {
+  return {
+    id: session._id,
+    userAgent: session.userAgent || null,
+    ip: session.ip || null,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: String(session._id) === String(currentId)
   };
 }
 
 // POST /auth/signup
+// With an invitation the user joins the inviting company with the invited role;
+// otherwise signup is only allowed when OPEN_SIGNUP is enabled.
 router.post('/signup', async (req, res) => {
   try {
-    const { email, username, password, mobile } = req.body;
+    const { email, username, password, mobile, invitation: code } = req.body;
     if (!email || !username || !password || !mobile) return res.status(400).json({ error: 'Missing fields' });
 
-    const existing = await User.findOne({ email });
+    const existing = await User.findOne({ email }).setOptions({ skipTenant: true });
     if (existing) return res.status(400).json({ error: 'Email already in use' });
 
+    let invitation = null;
+    let company;
+    let role = 'user';
+    if (code) {
+      invitation = await findPendingInvitation(code);
+      if (!invitation) return res.status(400).json({ error: 'Invitation is invalid or has expired' });
+      if (invitation.email && invitation.email !== String(email).trim().toLowerCase()) {
+        return res.status(400).json({ error: 'Invitation was issued for a different email' });
+      }
+      company = await Company.findById(invitation.companyId).lean();
+      role = invitation.role;
+    } else if (OPEN_SIGNUP) {
+      company = await ensureDefaultCompany();
+    } else {
+      return res.status(403).json({ error: 'Signup requires an invitation' });
+    }
+    if (!company || company.status === 'suspended') {
+      return res.status(403).json({ error: 'Company is not accepting new users' });
+    }
+
     const salt = await bcrypt.genSalt(10);
     const passwordHash = await bcrypt.hash(password, salt);
 
-    const user = new User({ email, username, passwordHash, mobile });
-    await user.save();
+    const user = new User({ email, username, passwordHash, mobile, role, company: company._id, emailVerified: false });
+    if (invitation && !(await claimInvitation(invitation, user._id))) {
+      return res.status(400).json({ error: 'Invitation is invalid or has expired' });
+    }
+    try {
+      await user.save();
+    } catch (err) {
+      if (invitation) await releaseInvitation(invitation);
+      throw err;
+    }
+    await auditUser(req, user, 'auth.signup', {
+      after: { ...user.toObject(), invitationId: invitation ? invitation._id : undefined }
+    });
+    await sendEmailVerification(user).catch((err) => console.error('verification mail err', err));
 
-    const userSafe = { id: user._id, email: user.email, username: user.username, role: user.role, mobile: user.mobile };
+    const userSafe = { id: user._id, email: user.email, username: user.username, role: user.role, mobile: user.mobile, companyId: user.company, emailVerified: false };
 
     return res.status(201).json({ user: userSafe });
   } catch (err) {
@@ -45,35 +233,395 @@ router.post('/signup', async (req, res) => {
   }
 });
 
+// POST /auth/forgot-password
+// Always answers the same way so the response does not reveal which emails exist.
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ error: 'Missing fields' });
+
+    const user = await User.findOne({ email: String(email).trim().toLowerCase() }).setOptions({ skipTenant: true });
+    if (user) {
+      await sendPasswordReset(user).catch((err) => console.error('reset mail err', err));
+      await auditUser(req, user, 'auth.password_reset_requested');
+    }
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('forgot password err', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /auth/reset-password
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) return res.status(400).json({ error: 'Missing fields' });
+
+    const used = await consumeToken(token, 'password_reset');
+    const user = used && (await User.findById(used.userId).setOptions({ skipTenant: true }));
+    // a token mailed to a previous address is void
+    if (!user || user.email !== used.email) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.passwordHash = await bcrypt.hash(password, salt);
+    // receiving the mail proves the address
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await revokeUserSessions(user._id, 'password_changed');
+    await clearAccount(user.email);
+    await auditUser(req, user, 'auth.password_reset');
+    clearSessionCookies(res);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('reset password err', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /auth/verify-email
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ error: 'Missing fields' });
+
+    const used = await consumeToken(token, 'email_verification');
+    const user = used && (await User.findById(used.userId).setOptions({ skipTenant: true }));
+    if (!user || user.email !== used.email) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    if (user.emailVerified !== true) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+      await auditUser(req, user, 'auth.email_verified', { after: { email: user.email } });
+    }
+    return res.json({ ok: true, email: user.email });
+  } catch (err) {
+    console.error('verify email err', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /auth/resend-verification — for the logged-in user
+router.post('/resend-verification', requireAuth, requireSession, async (req, res) => {
+  try {
+    if (req.user.emailVerified !== false) return res.status(409).json({ error: 'Email address already verified' });
+    await sendEmailVerification(req.user);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('resend verification err', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /auth/invitations/:code — what an invitation grants, for the signup form
+router.get('/invitations/:code', async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.code);
+    if (!invitation) return res.status(404).json({ error: 'Invitation is invalid or has expired' });
+    const company = await Company.findById(invitation.companyId).select('name').lean();
+    return res.json({
+      invitation: {
+        company: company ? company.name : null,
+        email: invitation.email || null,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+      },
+    });
+  } catch (err) {
+    console.error('invitation lookup err', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // POST /auth/login
 router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
     if (!email || !password) return res.status(400).json({ error: 'Missing fields' });
 
-    const user = await User.findOne({ email });
-    if (!user) return res.status(401).json({ error: 'Invalid credentials' });
+    const user = await User.findOne({ email }).setOptions({ skipTenant: true });
+    // unknown addresses are throttled the same way, so lockouts reveal nothing
+    if (await throttled(req, res, { email, user })) return;
+    const valid = user && (await bcrypt.compare(password, user.passwordHash));
+    if (!valid) {
+      return rejectLogin(req, res, { email, user, reason: 'invalid_credentials', error: 'Invalid credentials' });
+    }
 
-    const valid = await bcrypt.compare(password, user.passwordHash);
-    if (!valid) return res.status(401).json({ error: 'Invalid credentials' });
+    const company = await Company.findById(user.company).select('status settings').lean();
+    if (company && company.status === 'suspended') {
+      await logLogin(req, { user, success: false, reason: 'company_suspended' });
+      return res.status(403).json({ error: 'Company account is suspended' });
+    }
 
-    const token = jwt.sign({ uid: user._id, role: user.role, username: user.username }, SESSION_SECRET, { expiresIn: '24h' });
-    res.cookie(COOKIE_NAME, token, cookieOptions());
+    // no cookies until the second factor is in
+    if (isTwoFactorEnabled(user)) {
+      return res.json({ twoFactorRequired: true, challenge: signLoginChallenge(user, '2fa') });
+    }
+    if (isTwoFactorRequired(user, company)) {
+      return res.json({
+        twoFactorSetupRequired: true,
+        challenge: signLoginChallenge(user, '2fa-setup')
+      });
+    }
 
-    const userSafe = { id: user._id, email: user.email, username: user.username, role: user.role };
-    return res.json({ user: userSafe });
+    await clearAccount(user.email);
+    await logLogin(req, { user, success: true, method: 'password' });
+    const tokens = await createSession(user, req);
+    setSessionCookies(res, tokens);
+    return res.json({ user: toUserSafe(user) });
   } catch (err) {
     console.error('login err', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
-// POST /auth/logout
-router.post('/logout', (req, res) => {
-  res.clearCookie(COOKIE_NAME, { path: '/' });
+// POST /auth/login/2fa/setup — secret for a user whose role requires 2FA
+// but who has not enrolled yet; confirmed through POST /auth/login/2fa
+router.post('/login/2fa/setup', async (req, res) => {
+  try {
+    const challenge = verifyLoginChallenge(req.body.challenge);
+    if (!challenge || challenge.purpose !== '2fa-setup') {
+      return res.status(401).json({ error: 'Login challenge is invalid or has expired' });
+    }
+    const user = await User.findById(challenge.uid).setOptions({ skipTenant: true });
+    if (!user) return res.status(401).json({ error: 'Login challenge is invalid or has expired' });
+    if (isTwoFactorEnabled(user)) return res.status(409).json({ error: 'Two-factor authentication already enabled' });
+
+    const enrollment = await beginEnrollment(user);
+    return res.json(enrollment);
+  } catch (err) {
+    console.error('login 2fa setup err', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /auth/login/2fa — second step of a login; sets the session cookies
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    const challenge = verifyLoginChallenge(req.body.challenge);
+    if (!challenge) return res.status(401).json({ error: 'Login challenge is invalid or has expired' });
+    if (!code && !recoveryCode) return res.status(400).json({ error: 'Missing fields' });
+
+    const user = await User.findById(challenge.uid).setOptions({ skipTenant: true });
+    if (!user) return res.status(401).json({ error: 'Login challenge is invalid or has expired' });
+    if (await Company.exists({ _id: user.company, status: 'suspended' })) {
+      await logLogin(req, { user, success: false, reason: 'company_suspended' });
+      return res.status(403).json({ error: 'Company account is suspended' });
+    }
+    if (await throttled(req, res, { email: user.email, user })) return;
+
+    let recoveryCodes;
+    let method = 'totp';
+    if (challenge.purpose === '2fa-setup') {
+      recoveryCodes = await confirmEnrollment(user._id, code);
+    } else {
+      method = await verifySecondFactor(user._id, { code, recoveryCode });
+    }
+    if (!method || (challenge.purpose === '2fa-setup' && !recoveryCodes)) {
+      return rejectLogin(req, res, { email: user.email, user, reason: 'invalid_code', error: 'Invalid code' });
+    }
+
+    if (recoveryCodes) await auditUser(req, user, 'auth.2fa_enabled');
+    await clearAccount(user.email);
+    await logLogin(req, { user, success: true, method });
+    const tokens = await createSession(user, req);
+    setSessionCookies(res, tokens);
+    return res.json({ user: toUserSafe(user), ...(recoveryCodes && { recoveryCodes }) });
+  } catch (err) {
+    console.error('login 2fa err', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /auth/refresh
+// Rotates the refresh token and issues a new access token. Presenting a refresh
+// token that was already rotated revokes the session.
+router.post('/refresh', async (req, res) => {
+  try {
+    const { user, ...tokens } = await rotateSession(req.cookies[REFRESH_COOKIE_NAME], (id) =>
+      User.findById(id).setOptions({ skipTenant: true })
+    );
+    setSessionCookies(res, tokens);
+    return res.json({ user: toUserSafe(user) });
+  } catch (err) {
+    clearSessionCookies(res);
+    if (err instanceof SessionError) return res.status(401).json({ error: err.message });
+    console.error('refresh err', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /auth/logout — ends this device's session
+router.post('/logout', async (req, res) => {
+  try {
+    let sid = sessionIdFromRefreshToken(req.cookies[REFRESH_COOKIE_NAME]);
+    if (!sid && req.cookies[COOKIE_NAME]) {
+      const payload = jwt.decode(req.cookies[COOKIE_NAME]);
+      sid = payload && payload.sid;
+    }
+    const session = isValidId(sid) && (await findActiveSession(sid));
+    if (session) {
+      await revokeSession(sid, 'logout');
+      const user = await User.findById(session.userId).select('username role company').setOptions({ skipTenant: true }).lean();
+      if (user) await auditUser(req, user, 'auth.logout', { entity: { type: 'session', id: sid } });
+    }
+  } catch (err) {
+    console.error('logout err', err);
+  }
+  clearSessionCookies(res);
   return res.json({ ok: true });
 });
 
+// GET /auth/sessions — the logged-in user's active sessions
+router.get('/sessions', requireAuth, requireSession, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+    return res.json({ sessions: sessions.map((s) => serializeSession(s, req.sessionId)) });
+  } catch (err) {
+    console.error('list sessions err', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /auth/sessions — sign out every other device
+router.delete('/sessions', requireAuth, requireSession, async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.user._id, 'revoked', { except: req.sessionId });
+    await recordAudit(req, {
+      action: 'auth.sessions_revoked',
+      entity: { type: 'user', id: req.user._id },
+      after: { revoked: result.modifiedCount }
+    });
+    return res.json({ ok: true, revoked: result.modifiedCount });
+  } catch (err) {
+    console.error('revoke sessions err', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /auth/sessions/:id — sign out one device
+router.delete('/sessions/:id', requireAuth, requireSession, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) return res.status(404).json({ error: 'Not found' });
+    const result = await revokeSession(req.params.id, 'revoked', { userId: req.user._id });
+    if (!result.matchedCount) return res.status(404).json({ error: 'Not found' });
+    await recordAudit(req, { action: 'auth.session_revoked', entity: { type: 'session', id: req.params.id } });
+    if (String(req.params.id) === String(req.sessionId)) clearSessionCookies(res);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('revoke session err', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /auth/2fa — the logged-in user's two-factor status
+router.get('/2fa', requireAuth, requireSession, async (req, res) => {
+  try {
+    const company = await Company.findById(req.user.company).select('settings').lean();
+    const enabled = isTwoFactorEnabled(req.user);
+    return res.json({
+      enabled,
+      required: isTwoFactorRequired(req.user, company),
+      enabledAt: enabled ? req.user.twoFactor.enabledAt : null,
+      recoveryCodesRemaining: enabled ? await recoveryCodesRemaining(req.user._id) : 0
+    });
+  } catch (err) {
+    console.error('2fa status err', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /auth/2fa/setup — new secret and otpauth URI (render as a QR code)
+router.post('/2fa/setup', requireAuth, requireSession, async (req, res) => {
+  try {
+    if (isTwoFactorEnabled(req.user)) return res.status(409).json({ error: 'Two-factor authentication already enabled' });
+    const enrollment = await beginEnrollment(req.user);
+    return res.json(enrollment);
+  } catch (err) {
+    console.error('2fa setup err', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /auth/2fa/confirm — enables 2FA; recovery codes are only shown here
+router.post('/2fa/confirm', requireAuth, requireSession, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ error: 'Missing fields' });
+    if (isTwoFactorEnabled(req.user)) return res.status(409).json({ error: 'Two-factor authentication already enabled' });
+
+    const recoveryCodes = await confirmEnrollment(req.user._id, code);
+    if (!recoveryCodes) return res.status(400).json({ error: 'Invalid code' });
+
+    await revokeUserSessions(req.user._id, '2fa_enabled', { except: req.sessionId });
+    await recordAudit(req, { action: 'auth.2fa_enabled', entity: { type: 'user', id: req.user._id } });
+    return res.json({ ok: true, recoveryCodes });
+  } catch (err) {
+    console.error('2fa confirm err', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /auth/2fa/disable — needs the password and a current code
+router.post('/2fa/disable', requireAuth, requireSession, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    if (!password || (!code && !recoveryCode)) return res.status(400).json({ error: 'Missing fields' });
+    if (!isTwoFactorEnabled(req.user)) return res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+
+    const company = await Company.findById(req.user.company).select('settings').lean();
+    if (isTwoFactorRequired(req.user, company)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+    }
+
+    if (await reauthThrottled(req, res)) return;
+    const user = await User.findById(req.user._id);
+    if (!(await bcrypt.compare(String(password), user.passwordHash))) {
+      return rejectReauth(req, res, 'Invalid credentials');
+    }
+    if (!(await verifySecondFactor(user._id, { code, recoveryCode }))) {
+      return rejectReauth(req, res, 'Invalid code');
+    }
+
+    await disableTwoFactor(user._id);
+    await recordAudit(req, { action: 'auth.2fa_disabled', entity: { type: 'user', id: user._id } });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('2fa disable err', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /auth/2fa/recovery-codes — replaces all recovery codes
+router.post('/2fa/recovery-codes', requireAuth, requireSession, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ error: 'Missing fields' });
+    if (!isTwoFactorEnabled(req.user)) return res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+    if (await reauthThrottled(req, res)) return;
+    if (!(await verifySecondFactor(req.user._id, { code }))) {
+      return rejectReauth(req, res, 'Invalid code');
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user._id);
+    await recordAudit(req, { action: 'auth.recovery_codes_regenerated', entity: { type: 'user', id: req.user._id } });
+    return res.json({ recoveryCodes });
+  } catch (err) {
+    console.error('2fa recovery codes err', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // GET /auth/me
 router.get('/me', async (req, res) => {
   try {
@@ -81,7 +629,8 @@ router.get('/me', async (req, res) => {
     if (!token) return res.json({ user: null });
 
     const payload = jwt.verify(token, SESSION_SECRET);
-    const user = await User.findById(payload.uid).select('-passwordHash').lean();
+    const session = await findActiveSession(payload.sid);
+    const user = session && (await User.findById(payload.uid).select('-passwordHash').setOptions({ skipTenant: true }).lean());
     if (!user) {
       res.clearCookie(COOKIE_NAME, { path: '/' });
       return res.json({ user: null });
@@ -134,6 +683,9 @@ router.get('/me', async (req, res) => {
  *           type: string
  *         mobile:
  *            type: string
+ *         invitation:
+ *           type: string
+ *           description: Invitation code; required unless OPEN_SIGNUP is enabled
  *
  *     LoginRequest:
  *       type: object
@@ -176,15 +728,111 @@ router.get('/me', async (req, res) => {
  *                   user:
  *                     $ref: '#/components/schemas/User'
  *         '400':
- *           description: Bad request (missing fields or email exists)
+ *           description: Bad request (missing fields, email exists or invitation invalid)
+ *         '403':
+ *           description: Signup requires an invitation
  *         '500':
  *           description: Server error
  *
+ *   /auth/forgot-password:
+ *     post:
+ *       tags:
+ *         - Auth
+ *       summary: Email a password reset link (same response whether or not the email exists)
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [email]
+ *               properties:
+ *                 email:
+ *                   type: string
+ *                   format: email
+ *       responses:
+ *         '200':
+ *           description: OK
+ *
+ *   /auth/reset-password:
+ *     post:
+ *       tags:
+ *         - Auth
+ *       summary: Set a new password with a single-use reset token
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [token, password]
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 password:
+ *                   type: string
+ *       responses:
+ *         '200':
+ *           description: Password changed
+ *         '400':
+ *           description: Token invalid, used or expired
+ *
+ *   /auth/verify-email:
+ *     post:
+ *       tags:
+ *         - Auth
+ *       summary: Confirm an email address with a verification token
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required: [token]
+ *               properties:
+ *                 token:
+ *                   type: string
+ *       responses:
+ *         '200':
+ *           description: Email verified
+ *         '400':
+ *           description: Token invalid, used or expired
+ *
+ *   /auth/resend-verification:
+ *     post:
+ *       tags:
+ *         - Auth
+ *       summary: Send a new verification email to the logged-in user
+ *       security:
+ *         - cookieAuth: []
+ *       responses:
+ *         '200':
+ *           description: Sent
+ *         '409':
+ *           description: Already verified
+ *
+ *   /auth/invitations/{code}:
+ *     get:
+ *       tags:
+ *         - Auth
+ *       summary: Describe a pending invitation (company, role, email)
+ *       parameters:
+ *         - in: path
+ *           name: code
+ *           required: true
+ *           schema:
+ *             type: string
+ *       responses:
+ *         '200':
+ *           description: Pending invitation
+ *         '404':
+ *           description: Invalid, used, revoked or expired
+ *
  *   /auth/login:
  *     post:
  *       tags:
  *         - Auth
- *       summary: Login user (sets HttpOnly cookie)
+ *       summary: Login user (sets HttpOnly access and refresh cookies)
  *       requestBody:
  *         required: true
  *         content:
@@ -193,7 +841,12 @@ router.get('/me', async (req, res) => {
  *               $ref: '#/components/schemas/LoginRequest'
  *       responses:
  *         '200':
- *           description: Logged in, cookie set. Returns user safe info.
+ *           description: >
+ *             Logged in, cookies set, returns user safe info. For accounts with
+ *             two-factor authentication no cookies are set; instead the response
+ *             carries `twoFactorRequired` (or `twoFactorSetupRequired` when the
+ *             role requires 2FA and the user has not enrolled) and a `challenge`
+ *             to complete through /auth/login/2fa within five minutes.
  *           content:
  *             application/json:
  *               schema:
@@ -201,18 +854,248 @@ router.get('/me', async (req, res) => {
  *                 properties:
  *                   user:
  *                     $ref: '#/components/schemas/User'
+ *                   twoFactorRequired:
+ *                     type: boolean
+ *                   twoFactorSetupRequired:
+ *                     type: boolean
+ *                   challenge:
+ *                     type: string
  *         '400':
  *           description: Missing fields
  *         '401':
- *           description: Invalid credentials
+ *           description: >
+ *             Invalid credentials. After repeated failures a `Retry-After` header
+ *             (and `retryAfter` in the body) says how long to wait.
+ *         '429':
+ *           description: >
+ *             Too many failed attempts for this account or IP (exponential backoff,
+ *             then a temporary lockout). See the `Retry-After` header.
+ *           headers:
+ *             Retry-After:
+ *               schema:
+ *                 type: integer
+ *               description: Seconds to wait before trying again
  *         '500':
  *           description: Server error
  *
+ *   /auth/login/2fa:
+ *     post:
+ *       tags:
+ *         - Auth
+ *       summary: Second login step; verifies a TOTP or recovery code and sets the cookies
+ *       description: >
+ *         For a `twoFactorSetupRequired` challenge, `code` confirms the secret from
+ *         /auth/login/2fa/setup and the response also lists the new recovery codes.
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - challenge
+ *               properties:
+ *                 challenge:
+ *                   type: string
+ *                 code:
+ *                   type: string
+ *                   example: '123456'
+ *                 recoveryCode:
+ *                   type: string
+ *                   example: 'a1b2c-3d4e5'
+ *       responses:
+ *         '200':
+ *           description: Logged in, cookies set
+ *         '400':
+ *           description: Missing fields
+ *         '401':
+ *           description: Invalid or expired challenge, or invalid code (counts as a failed login)
+ *         '429':
+ *           description: Too many failed attempts; see the `Retry-After` header
+ *
+ *   /auth/login/2fa/setup:
+ *     post:
+ *       tags:
+ *         - Auth
+ *       summary: Enrollment during login, for roles that require 2FA
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - challenge
+ *               properties:
+ *                 challenge:
+ *                   type: string
+ *       responses:
+ *         '200':
+ *           description: Base32 `secret` and `otpauthUri` for the authenticator app
+ *         '401':
+ *           description: Invalid or expired challenge
+ *
+ *   /auth/2fa:
+ *     get:
+ *       tags:
+ *         - Auth
+ *       summary: Two-factor status of the logged-in user
+ *       security:
+ *         - cookieAuth: []
+ *       responses:
+ *         '200':
+ *           description: enabled, required (by the company for this role), enabledAt, recoveryCodesRemaining
+ *
+ *   /auth/2fa/setup:
+ *     post:
+ *       tags:
+ *         - Auth
+ *       summary: Start TOTP enrollment
+ *       security:
+ *         - cookieAuth: []
+ *       responses:
+ *         '200':
+ *           description: Base32 `secret` and `otpauthUri` (render as a QR code)
+ *         '409':
+ *           description: Already enabled
+ *
+ *   /auth/2fa/confirm:
+ *     post:
+ *       tags:
+ *         - Auth
+ *       summary: Confirm enrollment with a code; enables 2FA and returns recovery codes
+ *       security:
+ *         - cookieAuth: []
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - code
+ *               properties:
+ *                 code:
+ *                   type: string
+ *       responses:
+ *         '200':
+ *           description: Enabled; other sessions are signed out. Recovery codes are shown only once.
+ *         '400':
+ *           description: Missing fields or invalid code
+ *
+ *   /auth/2fa/disable:
+ *     post:
+ *       tags:
+ *         - Auth
+ *       summary: Turn off 2FA (password plus a TOTP or recovery code)
+ *       security:
+ *         - cookieAuth: []
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - password
+ *               properties:
+ *                 password:
+ *                   type: string
+ *                 code:
+ *                   type: string
+ *                 recoveryCode:
+ *                   type: string
+ *       responses:
+ *         '200':
+ *           description: Disabled
+ *         '401':
+ *           description: Invalid password or code
+ *         '403':
+ *           description: The company requires 2FA for the user's role
+ *         '429':
+ *           description: Too many failed attempts for the account; see the `Retry-After` header
+ *
+ *   /auth/2fa/recovery-codes:
+ *     post:
+ *       tags:
+ *         - Auth
+ *       summary: Replace all recovery codes (requires a current TOTP code)
+ *       security:
+ *         - cookieAuth: []
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               required:
+ *                 - code
+ *               properties:
+ *                 code:
+ *                   type: string
+ *       responses:
+ *         '200':
+ *           description: The new recovery codes
+ *         '401':
+ *           description: Invalid code
+ *         '429':
+ *           description: Too many failed attempts for the account; see the `Retry-After` header
+ *
+ *   /auth/refresh:
+ *     post:
+ *       tags:
+ *         - Auth
+ *       summary: Rotate the refresh token (refresh cookie) and issue a new access token
+ *       responses:
+ *         '200':
+ *           description: New cookies set
+ *         '401':
+ *           description: Refresh token invalid, expired, revoked or reused
+ *
+ *   /auth/sessions:
+ *     get:
+ *       tags:
+ *         - Auth
+ *       summary: List the logged-in user's active sessions
+ *       security:
+ *         - cookieAuth: []
+ *       responses:
+ *         '200':
+ *           description: Sessions, newest activity first; `current` marks this device
+ *     delete:
+ *       tags:
+ *         - Auth
+ *       summary: Revoke every session except the current one
+ *       security:
+ *         - cookieAuth: []
+ *       responses:
+ *         '200':
+ *           description: OK
+ *
+ *   /auth/sessions/{id}:
+ *     delete:
+ *       tags:
+ *         - Auth
+ *       summary: Revoke one of the logged-in user's sessions
+ *       security:
+ *         - cookieAuth: []
+ *       parameters:
+ *         - in: path
+ *           name: id
+ *           required: true
+ *           schema:
+ *             type: string
+ *       responses:
+ *         '200':
+ *           description: Revoked
+ *         '404':
+ *           description: No such active session
+ *
  *   /auth/logout:
  *     post:
  *       tags:
  *         - Auth
- *       summary: Logout user (clears cookie)
+ *       summary: Logout user (revokes this session and clears cookies)
  *       responses:
  *         '200':
  *           description: OK
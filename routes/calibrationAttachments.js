@@ -0,0 +1,244 @@
+// routes/calibrationAttachments.js — mounted at /calibrations/:id/attachments
+const express = require("express");
+const Calibration = require("../models/Calibration");
+const CalibrationAttachment = require("../models/CalibrationAttachment");
+const { requirePermission } = require("../middleware/auth");
+const { isValidId } = require("../lib/validation");
+const { recordAudit } = require("../lib/audit");
+const { isEditable } = require("../lib/calibrationWorkflow");
+const { createUploader } = require("../lib/uploads");
+const {
+  storeUploads,
+  discardUploads,
+  releaseFiles,
+} = require("../lib/storage");
+const { sendStoredFile, signFileToken } = require("../lib/fileDownloads");
+
+const router = express.Router({ mergeParams: true });
+
+const canRead = requirePermission("calibration:read");
+const canEdit = requirePermission("calibration:edit");
+
+const MAX_ATTACHMENT_BYTES = Number(
+  process.env.MAX_ATTACHMENT_BYTES || 25 * 1024 * 1024
+);
+const MAX_ATTACHMENTS_PER_UPLOAD = 10;
+const { CATEGORIES } = CalibrationAttachment;
+
+// raw data exports, photos, screenshots and supporting documents
+const receiveFiles = createUploader({
+  field: "files",
+  types: [
+    "pdf",
+    "png",
+    "jpeg",
+    "gif",
+    "webp",
+    "tiff",
+    "csv",
+    "text",
+    "xlsx",
+    "docx",
+    "zip",
+  ],
+  maxFileBytes: MAX_ATTACHMENT_BYTES,
+  maxFiles: MAX_ATTACHMENTS_PER_UPLOAD,
+});
+
+async function loadCalibration(req, res, next) {
+  try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
+    req.calibration = await Calibration.findById(req.params.id)
+      .select("companyId status")
+      .lean();
+    if (!req.calibration) return res.status(404).json({ error: "Not found" });
+    next();
+  } catch (err) {
+    console.error("load calibration err", err);
+    res.status(500).json({ error: "Server error" });
+  }
+}
+
+// attachments change only while the record itself may be edited
+function requireEditable(req, res, next) {
+  if (isEditable(req.calibration)) return next();
+  res.status(409).json({
+    error: `Calibration is ${req.calibration.status} and locked for editing`,
+  });
+}
+
+async function findAttachment(req) {
+  if (!isValidId(req.params.attachmentId)) return null;
+  return CalibrationAttachment.findOne({
+    _id: req.params.attachmentId,
+    calibrationId: req.calibration._id,
+  });
+}
+
+function serializeAttachment(a) {
+  return {
+    id: a._id,
+    calibrationId: a.calibrationId,
+    originalname: a.file.originalname,
+    mimetype: a.file.mimetype,
+    size: a.file.size,
+    checksum: a.file.checksum,
+    caption: a.caption,
+    category: a.category,
+    uploadedBy: a.uploadedBy,
+    uploadedAt: a.uploadedAt,
+  };
+}
+
+// a field sent once applies to every file; sent repeatedly, one per file
+function fieldFor(value, index) {
+  return Array.isArray(value) ? value[index] : value;
+}
+
+router.use(canRead, loadCalibration);
+
+/**
+ * POST /calibrations/:id/attachments
+ * multipart/form-data:
+ *   - files: one or more files
+ *   - caption, category: once for all files, or repeated once per file
+ */
+router.post("/", canEdit, requireEditable, receiveFiles, async (req, res) => {
+  const files = req.files || [];
+  let stored = [];
+  try {
+    if (!files.length) {
+      return res.status(400).json({
+        error: "Validation failed",
+        fields: { files: "at least one file is required" },
+      });
+    }
+
+    const fields = {};
+    files.forEach((file, i) => {
+      const category = fieldFor(req.body.category, i);
+      if (category && !CATEGORIES.includes(category)) {
+        fields.category = `category must be one of: ${CATEGORIES.join(", ")}`;
+      }
+    });
+    if (Object.keys(fields).length) {
+      await discardUploads(files);
+      return res.status(400).json({ error: "Validation failed", fields });
+    }
+
+    stored = await storeUploads(files, {
+      companyId: req.calibration.companyId,
+    });
+    const attachments = await CalibrationAttachment.insertMany(
+      stored.map((file, i) => ({
+        calibrationId: req.calibration._id,
+        companyId: req.calibration.companyId,
+        file,
+        caption: fieldFor(req.body.caption, i),
+        category: fieldFor(req.body.category, i) || undefined,
+        uploadedBy: { id: req.user._id, username: req.user.username },
+      }))
+    );
+    for (const attachment of attachments) {
+      await recordAudit(req, {
+        action: "attachment.create",
+        entity: { type: "attachment", id: attachment._id },
+        after: attachment,
+      });
+    }
+    return res
+      .status(201)
+      .json({ attachments: attachments.map(serializeAttachment) });
+  } catch (err) {
+    await discardUploads(files);
+    await releaseFiles(stored);
+    console.error("upload attachments err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /calibrations/:id/attachments
+ * Query params: category
+ */
+router.get("/", async (req, res) => {
+  try {
+    const filter = { calibrationId: req.calibration._id };
+    if (req.query.category) filter.category = String(req.query.category);
+    const attachments = await CalibrationAttachment.find(filter)
+      .sort({ uploadedAt: 1 })
+      .lean();
+    return res.json({ attachments: attachments.map(serializeAttachment) });
+  } catch (err) {
+    console.error("list attachments err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /calibrations/:id/attachments/:attachmentId — the file itself
+ * Query params: disposition=inline (images, PDF and text only).
+ * Supports Range requests.
+ */
+router.get("/:attachmentId", async (req, res) => {
+  try {
+    const attachment = await findAttachment(req);
+    if (!attachment) return res.status(404).json({ error: "Not found" });
+    await sendStoredFile(req, res, attachment.file, {
+      disposition: req.query.disposition,
+    });
+  } catch (err) {
+    console.error("download attachment err", err);
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /calibrations/:id/attachments/:attachmentId/signed-url
+ * Body: { disposition?, ttlSeconds? }. A short-lived GET /files/:token URL,
+ * e.g. for an <img> preview that cannot send the session cookie.
+ */
+router.post("/:attachmentId/signed-url", async (req, res) => {
+  try {
+    const attachment = await findAttachment(req);
+    if (!attachment) return res.status(404).json({ error: "Not found" });
+    const body = req.body || {};
+    const { token, expiresAt } = signFileToken(
+      {
+        kind: "attachment",
+        companyId: attachment.companyId,
+        recordId: attachment._id,
+        disposition: body.disposition,
+      },
+      body.ttlSeconds
+    );
+    return res.json({ url: `/files/${token}`, expiresAt });
+  } catch (err) {
+    console.error("sign attachment url err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/** DELETE /calibrations/:id/attachments/:attachmentId */
+router.delete("/:attachmentId", canEdit, requireEditable, async (req, res) => {
+  try {
+    const attachment = await findAttachment(req);
+    if (!attachment) return res.status(404).json({ error: "Not found" });
+
+    await CalibrationAttachment.deleteOne({ _id: attachment._id });
+    await releaseFiles([attachment.file]);
+    await recordAudit(req, {
+      action: "attachment.delete",
+      entity: { type: "attachment", id: attachment._id },
+      before: attachment,
+    });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("delete attachment err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+// routes/calibrationImports.js — mounted at /calibrations/imports
+const express = require("express");
+const path = require("path");
+const fs = require("fs");
+const ImportJob = require("../models/ImportJob");
+const {
+  validateMapping,
+  runImport,
+  failImport,
+} = require("../lib/calibrationImport");
+const { isValidId } = require("../lib/validation");
+const { createUploader } = require("../lib/uploads");
+
+const router = express.Router();
+
+const MAX_IMPORT_BYTES = Number(
+  process.env.MAX_IMPORT_BYTES || 100 * 1024 * 1024
+);
+
+const FORMATS = {
+  ".csv": "csv",
+  ".xlsx": "xlsx",
+};
+
+// uploads are spooled to disk and read back as a stream by the job; they
+// are never stored, so do not count towards the storage quota
+const receiveFile = createUploader({
+  field: "file",
+  types: ["csv", "xlsx"],
+  maxFileBytes: MAX_IMPORT_BYTES,
+  quota: false,
+});
+
+function removeUpload(file) {
+  if (file) fs.promises.unlink(file.path).catch(() => {});
+}
+
+/**
+ * POST /calibrations/imports
+ * multipart/form-data:
+ *   - file: .csv or .xlsx (first worksheet, header row first)
+ *   - mapping: JSON { columns: { "<header>": "<field path>" }, defaults? }
+ *   - mode: "dry-run" (default) or "commit"
+ * Responds 202 with the job; poll GET /calibrations/imports/:jobId.
+ */
+router.post("/", receiveFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: "Validation failed",
+        fields: { file: "file is required" },
+      });
+    }
+
+    const format = FORMATS[path.extname(req.file.originalname).toLowerCase()];
+    const mode = req.body.mode || "dry-run";
+    let mapping;
+    const fields = {};
+
+    if (!format) fields.file = "file must be .csv or .xlsx";
+    if (!["dry-run", "commit"].includes(mode))
+      fields.mode = "mode must be dry-run or commit";
+    try {
+      mapping =
+        typeof req.body.mapping === "string"
+          ? JSON.parse(req.body.mapping)
+          : req.body.mapping;
+      Object.assign(fields, validateMapping(mapping));
+    } catch (err) {
+      fields.mapping = "mapping must be valid JSON";
+    }
+
+    if (Object.keys(fields).length) {
+      removeUpload(req.file);
+      return res.status(400).json({ error: "Validation failed", fields });
+    }
+
+    const job = await ImportJob.create({
+      companyId: req.user.companyId,
+      createdBy: { id: req.user._id, username: req.user.username },
+      filename: req.file.originalname,
+      format,
+      mode,
+      mapping,
+    });
+
+    // runs after the response; failures are recorded on the job
+    setImmediate(() =>
+      runImport(job._id, req.file.path).catch((err) => {
+        removeUpload(req.file);
+        return failImport(job._id, err);
+      })
+    );
+
+    return res.status(202).json({ job });
+  } catch (err) {
+    removeUpload(req.file);
+    console.error("create import err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /calibrations/imports/:jobId
+ * Progress while running; the per-row report once completed
+ */
+router.get("/:jobId", async (req, res) => {
+  try {
+    if (!isValidId(req.params.jobId))
+      return res.status(404).json({ error: "Not found" });
+    const job = await ImportJob.findById(req.params.jobId).lean();
+    if (!job) return res.status(404).json({ error: "Not found" });
+    return res.json({ job });
+  } catch (err) {
+    console.error("get import err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -1,63 +1,829 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const Calibration = require("../models/Calibration");
+const Company = require("../models/Company");
+const { buildTraceability } = require("../lib/traceability");
+const { linkRegistry } = require("../lib/calibrationRegistry");
+const CalibrationRevision = require("../models/CalibrationRevision");
+const {
+  recordRevision,
+  discardRevisions,
+} = require("../lib/calibrationRevisions");
+const { diff } = require("../lib/diff");
+const importRoutes = require("./calibrationImports");
+const attachmentRoutes = require("./calibrationAttachments");
+const { removeAttachments } = require("../lib/calibrationAttachments");
+const { calibrationStats } = require("../lib/calibrationStats");
+const {
+  CONTENT_TYPES,
+  resolveColumns,
+  streamExport,
+} = require("../lib/calibrationExport");
+const {
+  QueryError,
+  buildFilter,
+  parseSort,
+  sortObject,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+} = require("../lib/calibrationQuery");
+const { renderCertificate } = require("../lib/certificate");
+const {
+  storeBuffer,
+  releaseFiles,
+  openFile,
+  statFile,
+} = require("../lib/storage");
+const { sendStoredFile } = require("../lib/fileDownloads");
+const { recordAudit } = require("../lib/audit");
+const { requirePermission } = require("../middleware/auth");
+const {
+  validationErrorBody,
+  isValidationError,
+  isValidId,
+} = require("../lib/validation");
+const {
+  TRANSITIONS,
+  WorkflowError,
+  isEditable,
+  applyTransition,
+} = require("../lib/calibrationWorkflow");
+const {
+  UncertaintyInputError,
+  computeUncertainty,
+} = require("../lib/uncertainty");
+const {
+  MEANINGS,
+  SignatureError,
+  authenticateSigner,
+  buildSignature,
+  invalidateSignatures,
+  verifySignatures,
+} = require("../lib/signatures");
+const { hasPermission } = require("../lib/permissions");
+
+const canRead = requirePermission("calibration:read");
+const canCreate = requirePermission("calibration:create");
+const canEdit = requirePermission("calibration:edit");
+const canDelete = requirePermission("calibration:delete");
+const canExport = requirePermission("calibration:export");
+
+router.use("/imports", requirePermission("calibration:import"), importRoutes);
+router.use("/:id/attachments", attachmentRoutes);
+
+/**
+ * Resolve registry links, save the record and write its next revision.
+ * Signatures over the previous content are marked invalid. `before` is
+ * the stored content, kept as a baseline revision for records that
+ * predate revision history.
+ * Returns a 400 body when the record references unknown registry entries.
+ */
+async function saveRevision(
+  doc,
+  { user, reason, action, restoredFrom, before }
+) {
+  const linkErrors = await linkRegistry(doc);
+  if (Object.keys(linkErrors).length)
+    return { error: "Validation failed", fields: linkErrors };
+
+  const needsBaseline = !doc.isNew && !doc.revision && before;
+  doc.revision = (doc.revision || 0) + (needsBaseline ? 2 : 1);
+  invalidateSignatures(doc, `edited in revision ${doc.revision}`);
+  await doc.validate();
+
+  // revisions go first and are taken back if the save fails, so the
+  // record never changes without one
+  const written = [];
+  try {
+    if (needsBaseline) {
+      written.push(
+        await recordRevision(
+          { ...before, revision: doc.revision - 1 },
+          { reason: "Content before revision history", action: "baseline" }
+        )
+      );
+    }
+    written.push(
+      await recordRevision(doc, { user, reason, action, restoredFrom })
+    );
+  } catch (err) {
+    await discardRevisions(written);
+    // a concurrent edit took this revision number
+    if (err.code === 11000)
+      throw new mongoose.Error.VersionError(doc, doc.revision, []);
+    throw err;
+  }
+  try {
+    await doc.save();
+  } catch (err) {
+    await discardRevisions(written);
+    throw err;
+  }
+  return null;
+}
+
+function requireReason(req, res) {
+  const reason = req.body && req.body.reason && String(req.body.reason).trim();
+  if (!reason) {
+    res.status(400).json({
+      error: "Validation failed",
+      fields: { reason: "reason is required" },
+    });
+  }
+  return reason;
+}
+
+function sendSignatureError(res, err) {
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+  return res.status(err.status).json({ error: err.message });
+}
+
+// failed re-authentication is recorded against the record being signed
+function auditSignFailure(req, err) {
+  if (err.status !== 401) return;
+  return recordAudit(req, {
+    action: "calibration.sign_failed",
+    entity: { type: "calibration", id: req.params.id },
+    after: { reason: err.message },
+  });
+}
+
+function sendSaveError(res, err, label) {
+  if (isValidationError(err))
+    return res.status(400).json(validationErrorBody(err));
+  if (err instanceof mongoose.Error.VersionError)
+    return res.status(409).json({
+      error: "Calibration was changed concurrently; reload and retry",
+    });
+  console.error(`${label} err`, err);
+  res.status(500).json({ error: "Server error" });
+}
 
 /** CREATE */
-router.post("/", async (req, res) => {
-  const doc = await Calibration.create(req.body);
-  res.status(201).json(doc);
+router.post("/", canCreate, async (req, res) => {
+  try {
+    const doc = new Calibration({
+      ...Calibration.pickEditable(req.body),
+      companyId: req.user.companyId,
+    });
+    const invalid = await saveRevision(doc, {
+      user: req.user,
+      reason: (req.body.reason && String(req.body.reason).trim()) || "Created",
+      action: "create",
+    });
+    if (invalid) return res.status(400).json(invalid);
+    await recordAudit(req, {
+      action: "calibration.create",
+      entity: { type: "calibration", id: doc._id },
+      after: doc,
+    });
+    res.status(201).json(doc);
+  } catch (err) {
+    sendSaveError(res, err, "create calibration");
+  }
 });
 
-/** LIST WITH STATUS FILTER */
-router.get("/", async (req, res) => {
-  const page = Number(req.query.page || 1);
-  const limit = Number(req.query.limit || 10);
-  const skip = (page - 1) * limit;
+/**
+ * STATELESS UNCERTAINTY CALCULATION
+ * Body: { points: [{ typeA: { readings }, typeB: [...], confidence }] }
+ */
+router.post("/uncertainty/compute", canEdit, (req, res) => {
+  const points = req.body && req.body.points;
+  if (!Array.isArray(points) || points.length === 0) {
+    return res.status(400).json({
+      error: "Validation failed",
+      fields: { points: "points must be a non-empty array" },
+    });
+  }
 
-  const { status, companyId } = req.query;
+  const results = [];
+  const fields = {};
+  points.forEach((budget, i) => {
+    try {
+      results.push(computeUncertainty(budget));
+    } catch (err) {
+      if (!(err instanceof UncertaintyInputError)) throw err;
+      for (const [field, message] of Object.entries(err.fields)) {
+        fields[field ? `points.${i}.${field}` : `points.${i}`] = message;
+      }
+    }
+  });
 
-  const filter = {};
-  if (status && status !== "ALL") {
-    filter["formData.reviewStatus"] = status;
+  if (Object.keys(fields).length) {
+    return res.status(400).json({ error: "Validation failed", fields });
   }
-  if (companyId) {
-    filter.companyId = companyId;
+  res.json({ results });
+});
+
+/**
+ * LIST / SEARCH
+ * Filters: see lib/calibrationQuery.js buildFilter
+ * sort: comma-separated fields, "-" prefix for descending (default -createdAt)
+ * limit: page size (max 100); cursor: pageInfo.nextCursor of the previous page
+ * Response includes per-status facet counts for the other filters.
+ */
+router.get("/", canRead, async (req, res) => {
+  try {
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+    const spec = parseSort(req.query.sort);
+    const filter = buildFilter(req.query);
+    const facetFilter = buildFilter(req.query, { omitStatus: true });
+
+    const pageFilter = req.query.cursor
+      ? {
+          $and: [
+            filter,
+            cursorFilter(spec, decodeCursor(req.query.cursor, spec)),
+          ],
+        }
+      : filter;
+
+    const [rows, statusCounts] = await Promise.all([
+      Calibration.find(pageFilter)
+        .sort(sortObject(spec))
+        .limit(limit + 1)
+        .lean(),
+      Calibration.aggregate([
+        { $match: facetFilter },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const hasMore = rows.length > limit;
+    const data = hasMore ? rows.slice(0, limit) : rows;
+
+    const status = Object.fromEntries(Calibration.STATUSES.map((s) => [s, 0]));
+    let total = 0;
+    for (const { _id, count } of statusCounts) {
+      status[_id || "draft"] += count; // records predating the workflow
+      total += count;
+    }
+
+    res.json({
+      data,
+      pageInfo: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(data[data.length - 1], spec) : null,
+      },
+      facets: { status, total },
+    });
+  } catch (err) {
+    if (err instanceof QueryError)
+      return res
+        .status(400)
+        .json({ error: "Invalid query", fields: err.fields });
+    console.error("list calibrations err", err);
+    res.status(500).json({ error: "Server error" });
   }
+});
 
-  const [data, total] = await Promise.all([
-    Calibration.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
-    Calibration.countDocuments(filter),
-  ]);
+/**
+ * EXPORT
+ * GET /export?format=csv|xlsx|ndjson&columns=default,measurements,formData.x
+ * Takes the same filters and sort as the list route; streams all matches.
+ */
+router.get("/export", canExport, async (req, res) => {
+  try {
+    const format = req.query.format || "csv";
+    if (!CONTENT_TYPES[format]) {
+      return res.status(400).json({
+        error: "Invalid query",
+        fields: { format: "format must be csv, xlsx or ndjson" },
+      });
+    }
+    const { columns, invalid } = resolveColumns(req.query.columns);
+    if (invalid.length || !columns.length) {
+      return res.status(400).json({
+        error: "Invalid query",
+        fields: { columns: `Unknown columns: ${invalid.join(", ")}` },
+      });
+    }
+    const filter = buildFilter(req.query);
+    const spec = parseSort(req.query.sort);
 
-  res.json({
-    data,
-    pagination: {
-      total,
-      page,
-      pages: Math.ceil(total / limit),
-    },
-  });
+    const cursor = Calibration.find(filter)
+      .sort(sortObject(spec))
+      .lean()
+      .cursor({ batchSize: 500 });
+
+    const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    res.setHeader("Content-Type", CONTENT_TYPES[format]);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="calibrations-${stamp}.${format}"`
+    );
+    // stop reading from Mongo if the client goes away
+    res.on("close", () => cursor.close().catch(() => {}));
+
+    await streamExport({ cursor, columns, format, res });
+  } catch (err) {
+    if (err instanceof QueryError)
+      return res
+        .status(400)
+        .json({ error: "Invalid query", fields: err.fields });
+    if (res.destroyed) return; // the client went away mid-export
+    console.error("export calibrations err", err);
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * DASHBOARD STATS
+ * GET /stats?from=2024-01-01&to=2024-12-31&tz=Europe/London
+ * tz defaults to the company's timezone setting.
+ * Range applies to calibrationDate (default: last 12 months); other list
+ * filters are honoured too.
+ */
+router.get("/stats", canRead, async (req, res) => {
+  try {
+    let tz = req.query.tz;
+    if (!tz) {
+      const company = await Company.findById(req.user.companyId)
+        .select("settings.timezone")
+        .lean();
+      tz = (company && company.settings && company.settings.timezone) || "UTC";
+    }
+    try {
+      new Intl.DateTimeFormat("en", { timeZone: tz });
+    } catch (err) {
+      return res.status(400).json({
+        error: "Invalid query",
+        fields: { tz: "tz must be an IANA time zone" },
+      });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(new Date(to).setFullYear(to.getFullYear() - 1));
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return res.status(400).json({
+        error: "Invalid query",
+        fields: { from: "from and to must be dates" },
+      });
+    }
+    const filter = buildFilter({
+      ...req.query,
+      calibrationFrom: from.toISOString(),
+      calibrationTo: to.toISOString(),
+    });
+
+    const stats = await calibrationStats(filter, { timezone: tz });
+    res.json({ range: { from, to, tz }, ...stats });
+  } catch (err) {
+    if (err instanceof QueryError)
+      return res
+        .status(400)
+        .json({ error: "Invalid query", fields: err.fields });
+    console.error("calibration stats err", err);
+    res.status(500).json({ error: "Server error" });
+  }
 });
 
 /** GET BY ID */
-router.get("/:id", async (req, res) => {
-  const doc = await Calibration.findById(req.params.id);
-  if (!doc) return res.status(404).json({ error: "Not found" });
-  res.json(doc);
+router.get("/:id", canRead, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
+    const doc = await Calibration.findById(req.params.id);
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    return res.json(doc);
+  } catch (err) {
+    console.error("get calibration err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * CERTIFICATE PDF
+ * Rendered once per approval and kept in storage (lib/storage); later
+ * requests serve the stored file.
+ */
+// company logos are uploaded through routes/companies.js; a logo that
+// cannot be read leaves the certificate without one
+async function readLogo(company) {
+  if (!company || !company.logo || !company.logo.key) return undefined;
+  try {
+    const chunks = [];
+    for await (const chunk of await openFile(company.logo)) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  } catch (err) {
+    console.error("read logo err", err);
+    return undefined;
+  }
+}
+
+router.get("/:id/certificate.pdf", canRead, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
+    const doc = await Calibration.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    if (doc.status !== "approved") {
+      return res.status(409).json({
+        error: "Certificates are only issued for approved calibrations",
+      });
+    }
+
+    const filename = `certificate-${doc.certificateNumber || doc._id}.pdf`;
+    const cert = doc.certificate;
+    let file =
+      cert &&
+      cert.file &&
+      cert.approvedAt &&
+      doc.approvedAt &&
+      cert.approvedAt.getTime() === doc.approvedAt.getTime() &&
+      (await statFile(cert.file)) &&
+      cert.file;
+
+    if (!file) {
+      const company = await Company.findById(doc.companyId).lean();
+      const logo = await readLogo(company);
+      const pdf = await renderCertificate({ calibration: doc, company, logo });
+      file = await storeBuffer(pdf, {
+        companyId: doc.companyId,
+        originalname: filename,
+        mimetype: "application/pdf",
+      });
+
+      // only replaces the certificate this request found; a concurrent
+      // request that got there first keeps its own
+      const result = await Calibration.updateOne(
+        {
+          _id: doc._id,
+          "certificate.generatedAt": cert ? cert.generatedAt : null,
+        },
+        {
+          $set: {
+            certificate: {
+              file,
+              approvedAt: doc.approvedAt,
+              generatedAt: new Date(),
+            },
+          },
+        }
+      );
+      await releaseFiles([result.modifiedCount ? cert && cert.file : file]);
+      if (!result.modifiedCount) {
+        const latest = await Calibration.findById(doc._id)
+          .select("certificate")
+          .lean();
+        file = latest && latest.certificate && latest.certificate.file;
+        if (!file) return res.status(404).json({ error: "Not found" });
+      }
+    }
+
+    await sendStoredFile(
+      req,
+      res,
+      { ...file, originalname: filename },
+      { disposition: "inline" }
+    );
+  } catch (err) {
+    console.error("certificate err", err);
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/** TRACEABILITY CHAIN OF THE STANDARDS USED */
+router.get("/:id/traceability", canRead, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
+    const doc = await Calibration.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    res.json(await buildTraceability(doc));
+  } catch (err) {
+    console.error("traceability err", err);
+    res.status(500).json({ error: "Server error" });
+  }
 });
 
 /** UPDATE */
-router.put("/:id", async (req, res) => {
-  const doc = await Calibration.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
+router.put("/:id", canEdit, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
+    const doc = await Calibration.findById(req.params.id);
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    if (!isEditable(doc)) {
+      return res
+        .status(409)
+        .json({ error: `Calibration is ${doc.status} and locked for editing` });
+    }
+
+    // full validation runs on save, including cross-field checks
+    const before = doc.toObject();
+    doc.set(Calibration.pickEditable(req.body));
+    const invalid = await saveRevision(doc, {
+      user: req.user,
+      reason: (req.body.reason && String(req.body.reason).trim()) || "Updated",
+      action: "update",
+      before,
+    });
+    if (invalid) return res.status(400).json(invalid);
+    await recordAudit(req, {
+      action: "calibration.update",
+      entity: { type: "calibration", id: doc._id },
+      before,
+      after: doc,
+    });
+    res.json(doc);
+  } catch (err) {
+    sendSaveError(res, err, "update calibration");
+  }
+});
+
+/** REVISION HISTORY (newest first, without content) */
+router.get("/:id/revisions", canRead, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
+    const doc = await Calibration.findById(req.params.id)
+      .select("_id revision")
+      .lean();
+    if (!doc) return res.status(404).json({ error: "Not found" });
+
+    const revisions = await CalibrationRevision.find({
+      calibrationId: doc._id,
+    })
+      .select("-content")
+      .sort({ rev: -1 })
+      .lean();
+    res.json({ current: doc.revision, revisions });
+  } catch (err) {
+    console.error("list revisions err", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+async function findRevision(calibrationId, rev) {
+  const n = Number(rev);
+  if (!Number.isInteger(n) || n < 1) return null;
+  return CalibrationRevision.findOne({ calibrationId, rev: n }).lean();
+}
+
+/** SINGLE REVISION WITH CONTENT */
+router.get("/:id/revisions/:rev", canRead, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
+    const revision = await findRevision(req.params.id, req.params.rev);
+    if (!revision) return res.status(404).json({ error: "Not found" });
+    res.json(revision);
+  } catch (err) {
+    console.error("get revision err", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * FIELD-LEVEL DIFF
+ * GET /:id/revisions/:rev/diff?against=:rev2 — changes going from rev2 to rev.
+ * Without `against`, compares with the previous revision.
+ */
+router.get("/:id/revisions/:rev/diff", canRead, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
+    const against =
+      req.query.against !== undefined
+        ? req.query.against
+        : Number(req.params.rev) - 1;
+
+    const [target, base] = await Promise.all([
+      findRevision(req.params.id, req.params.rev),
+      findRevision(req.params.id, against),
+    ]);
+    if (!target) return res.status(404).json({ error: "Revision not found" });
+    if (!base && Number(against) !== 0)
+      return res.status(404).json({ error: "Comparison revision not found" });
+
+    res.json({
+      from: base ? base.rev : 0,
+      to: target.rev,
+      changes: diff(base ? base.content : {}, target.content),
+    });
+  } catch (err) {
+    console.error("diff revisions err", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/** RESTORE AN EARLIER REVISION AS A NEW REVISION */
+router.post("/:id/revisions/:rev/restore", canEdit, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
+    const doc = await Calibration.findById(req.params.id);
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    const revision = await findRevision(doc._id, req.params.rev);
+    if (!revision) return res.status(404).json({ error: "Revision not found" });
+    if (!isEditable(doc)) {
+      return res
+        .status(409)
+        .json({ error: `Calibration is ${doc.status} and locked for editing` });
+    }
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    // fields absent from the snapshot were empty at that revision
+    const before = doc.toObject();
+    const content = Calibration.pickEditable(revision.content);
+    for (const field of Object.keys(Calibration.pickEditable(doc.toObject()))) {
+      if (content[field] === undefined) content[field] = undefined;
+    }
+    doc.set(content);
+
+    const invalid = await saveRevision(doc, {
+      user: req.user,
+      reason,
+      action: "restore",
+      restoredFrom: revision.rev,
+      before,
+    });
+    if (invalid) return res.status(400).json(invalid);
+    await recordAudit(req, {
+      action: "calibration.restore",
+      entity: { type: "calibration", id: doc._id },
+      before,
+      after: doc,
+    });
+    res.json(doc);
+  } catch (err) {
+    sendSaveError(res, err, "restore revision");
+  }
+});
+
+/**
+ * WORKFLOW TRANSITIONS: POST /:id/submit, /start-review, /approve, ...
+ * Signed transitions (approve) also take { password, code?, recoveryCode? }.
+ */
+for (const action of Object.keys(TRANSITIONS)) {
+  router.post(`/:id/${action}`, async (req, res) => {
+    try {
+      if (!isValidId(req.params.id))
+        return res.status(404).json({ error: "Not found" });
+      const body = req.body || {};
+      const transition = TRANSITIONS[action];
+      if (
+        transition.signature &&
+        !hasPermission(req.user, transition.permission)
+      )
+        return res.status(403).json({ error: "Forbidden" });
+      const signatureMethod = transition.signature
+        ? await authenticateSigner(req, body)
+        : undefined;
+
+      const doc = await applyTransition(req.params.id, action, {
+        user: req.user,
+        comment: body.comment,
+        signatureMethod,
+      });
+      const entry = doc.statusHistory[doc.statusHistory.length - 1];
+      const signature =
+        transition.signature && doc.signatures[doc.signatures.length - 1];
+      await recordAudit(req, {
+        action: `calibration.${action}`,
+        entity: { type: "calibration", id: doc._id },
+        before: { status: entry.from },
+        after: {
+          status: entry.to,
+          comment: entry.comment,
+          signature: signature && {
+            meaning: signature.meaning,
+            method: signature.method,
+            contentHash: signature.contentHash,
+          },
+        },
+      });
+      res.json(doc);
+    } catch (err) {
+      if (err instanceof WorkflowError)
+        return res
+          .status(err.status)
+          .json({ error: err.message, details: err.details });
+      if (err instanceof SignatureError) {
+        await auditSignFailure(req, err);
+        return sendSignatureError(res, err);
+      }
+      console.error(`${action} calibration err`, err);
+      res.status(500).json({ error: "Server error" });
+    }
   });
-  res.json(doc);
+}
+
+/**
+ * SIGN: POST /:id/signatures
+ * Body: { meaning: "performed"|"reviewed", password, code?, recoveryCode?,
+ * comment? }. Approval signatures are given through POST /:id/approve.
+ */
+router.post("/:id/signatures", canRead, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
+    const body = req.body || {};
+    const meaning = MEANINGS[body.meaning];
+    if (!meaning || !meaning.statuses.length) {
+      return res.status(400).json({
+        error: "Validation failed",
+        fields: { meaning: "meaning must be performed or reviewed" },
+      });
+    }
+    if (!hasPermission(req.user, meaning.permission))
+      return res.status(403).json({ error: "Forbidden" });
+
+    const doc = await Calibration.findById(req.params.id);
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    const status = doc.status || "draft";
+    if (!meaning.statuses.includes(status)) {
+      return res.status(409).json({
+        error: `Cannot sign as ${body.meaning} a calibration in status "${status}"`,
+      });
+    }
+
+    const method = await authenticateSigner(req, body);
+    const signature = buildSignature(doc, {
+      user: req.user,
+      meaning: body.meaning,
+      method,
+      comment: body.comment,
+    });
+    // the content must not have changed since it was hashed; older
+    // records may have no stored status or revision
+    const updated = await Calibration.findOneAndUpdate(
+      {
+        _id: doc._id,
+        status: status === "draft" ? { $in: ["draft", null] } : status,
+        revision: doc.revision || { $in: [0, null] },
+      },
+      { $push: { signatures: signature } },
+      { new: true }
+    );
+    if (!updated) {
+      return res
+        .status(409)
+        .json({ error: "Calibration was changed concurrently" });
+    }
+    await recordAudit(req, {
+      action: "calibration.sign",
+      entity: { type: "calibration", id: doc._id },
+      after: {
+        meaning: signature.meaning,
+        method: signature.method,
+        contentHash: signature.contentHash,
+      },
+    });
+    res.status(201).json(updated);
+  } catch (err) {
+    if (err instanceof SignatureError) {
+      await auditSignFailure(req, err);
+      return sendSignatureError(res, err);
+    }
+    console.error("sign calibration err", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/** VERIFY SIGNATURES AGAINST THE CURRENT CONTENT */
+router.get("/:id/signatures/verify", canRead, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
+    const doc = await Calibration.findById(req.params.id);
+    if (!doc) return res.status(404).json({ error: "Not found" });
+    res.json({ calibrationId: doc._id, ...verifySignatures(doc) });
+  } catch (err) {
+    console.error("verify signatures err", err);
+    res.status(500).json({ error: "Server error" });
+  }
 });
 
 /** DELETE */
-router.delete("/:id", async (req, res) => {
-  await Calibration.findByIdAndDelete(req.params.id);
-  res.json({ success: true });
+router.delete("/:id", canDelete, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
+    const removed = await Calibration.findByIdAndDelete(req.params.id);
+    if (removed) {
+      await removeAttachments(removed._id);
+      if (removed.certificate) await releaseFiles([removed.certificate.file]);
+      await recordAudit(req, {
+        action: "calibration.delete",
+        entity: { type: "calibration", id: removed._id },
+        before: removed,
+      });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("delete calibration err", err);
+    res.status(500).json({ error: "Server error" });
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,430 @@
+// routes/companies.js
+const express = require("express");
+const Company = require("../models/Company");
+const Invitation = require("../models/Invitation");
+const { requireRole, requireVerifiedEmail } = require("../middleware/auth");
+const { issueInvitation } = require("../lib/invitations");
+const { hasPermission } = require("../lib/permissions");
+const { runWithTenant } = require("../lib/tenantContext");
+const { createUploader } = require("../lib/uploads");
+const {
+  storeUploads,
+  discardUploads,
+  releaseFiles,
+  storageUsage,
+} = require("../lib/storage");
+const { sendStoredFile } = require("../lib/fileDownloads");
+const {
+  validationErrorBody,
+  isValidationError,
+  isValidId,
+} = require("../lib/validation");
+
+const router = express.Router();
+
+const MAX_LOGO_BYTES = Number(process.env.MAX_LOGO_BYTES || 1024 * 1024);
+const MAX_INVITE_TTL_DAYS = 90;
+
+// company admins maintain their own profile; the rest is platform-only
+const PROFILE_FIELDS = [
+  "address",
+  "phone",
+  "email",
+  "website",
+  "accreditationNumber",
+  "accreditationBody",
+];
+const PLATFORM_FIELDS = ["name", "code", "status", "storageQuotaBytes"];
+
+// pdfkit can only embed PNG and JPEG; a company has one small logo at a
+// time, so it is not held against the storage quota
+const uploadLogo = createUploader({
+  field: "logo",
+  types: ["png", "jpeg"],
+  maxFileBytes: MAX_LOGO_BYTES,
+  quota: false,
+});
+
+function pick(body, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (body && body[field] !== undefined) picked[field] = body[field];
+  }
+  return picked;
+}
+
+function isSuperadmin(req) {
+  return req.user.role === "superadmin";
+}
+
+function isOwnCompany(req, id) {
+  return String(req.user.companyId) === String(id);
+}
+
+// superadmins act on any company; others need the permission in their own
+function can(req, permission, id) {
+  return (
+    isSuperadmin(req) ||
+    (isOwnCompany(req, id) && hasPermission(req.user, permission))
+  );
+}
+
+function serializeInvitation(i) {
+  return {
+    id: i._id,
+    email: i.email || null,
+    role: i.role,
+    state: i.state,
+    expiresAt: i.expiresAt,
+    createdBy: i.createdBy,
+    acceptedAt: i.acceptedAt,
+    acceptedBy: i.acceptedBy,
+    revokedAt: i.revokedAt,
+    createdAt: i.createdAt,
+  };
+}
+
+function sendError(res, err, label) {
+  if (isValidationError(err))
+    return res.status(400).json(validationErrorBody(err));
+  if (err && err.code === 11000)
+    return res
+      .status(400)
+      .json({ error: "A company with this name or code exists" });
+  console.error(`${label} err`, err);
+  return res.status(500).json({ error: "Server error" });
+}
+
+// every change to a company needs a confirmed email address
+router.use((req, res, next) =>
+  req.method === "GET" ? next() : requireVerifiedEmail(req, res, next)
+);
+
+/**
+ * Resolve :id to a company the caller may see (their own, or any for a
+ * superadmin). Other companies are reported as not found.
+ */
+router.param("id", async (req, res, next, id) => {
+  try {
+    if (!isValidId(id) || !(isSuperadmin(req) || isOwnCompany(req, id)))
+      return res.status(404).json({ error: "Not found" });
+    req.company = await Company.findById(id);
+    if (!req.company) return res.status(404).json({ error: "Not found" });
+    next();
+  } catch (err) {
+    console.error("load company err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /companies
+ * Superadmin-only: register a company
+ */
+router.post("/", requireRole("superadmin"), async (req, res) => {
+  try {
+    const company = new Company({
+      ...pick(req.body, [...PLATFORM_FIELDS, ...PROFILE_FIELDS]),
+      settings: req.body.settings,
+    });
+    await company.save();
+    return res.status(201).json({ company });
+  } catch (err) {
+    return sendError(res, err, "create company");
+  }
+});
+
+/**
+ * GET /companies
+ * Superadmin-only: list companies
+ * Query params: page (1-based), limit, q (name or code), status
+ */
+router.get("/", requireRole("superadmin"), async (req, res) => {
+  try {
+    const page = Math.max(1, Number(req.query.page || 1));
+    const limit = Math.min(100, Number(req.query.limit || 20));
+    const q = (req.query.q || "").trim();
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (q) {
+      const re = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+      filter.$or = [{ name: re }, { code: re }];
+    }
+
+    const total = await Company.countDocuments(filter);
+    const companies = await Company.find(filter)
+      .sort({ name: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+
+    return res.json({
+      meta: { total, page, limit, pages: Math.ceil(total / limit) },
+      companies,
+    });
+  } catch (err) {
+    console.error("list companies err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /companies/current
+ * The caller's own company
+ */
+router.get("/current", async (req, res) => {
+  try {
+    const company = await Company.findById(req.user.companyId).lean();
+    if (!company) return res.status(404).json({ error: "Not found" });
+    return res.json({ company });
+  } catch (err) {
+    console.error("current company err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /companies/:id
+ */
+router.get("/:id", (req, res) => res.json({ company: req.company }));
+
+/**
+ * PUT /companies/:id
+ * Company admins update the profile and settings of their own company;
+ * name, code, status and storageQuotaBytes can only be changed by a
+ * superadmin.
+ * settings.twoFactorRoles lists the roles that must log in with 2FA.
+ */
+router.put("/:id", async (req, res) => {
+  try {
+    if (!can(req, "company:manage", req.company._id))
+      return res.status(403).json({ error: "Forbidden" });
+
+    const platform = pick(req.body, PLATFORM_FIELDS);
+    if (Object.keys(platform).length && !isSuperadmin(req)) {
+      return res.status(403).json({
+        error: "Only a superadmin can change name, code, status or quota",
+      });
+    }
+
+    const company = req.company;
+    company.set({ ...platform, ...pick(req.body, PROFILE_FIELDS) });
+    if (req.body.settings && typeof req.body.settings === "object") {
+      company.set("settings", {
+        ...(company.settings ? company.settings.toObject() : {}),
+        ...req.body.settings,
+      });
+    }
+    await company.save();
+    return res.json({ company });
+  } catch (err) {
+    return sendError(res, err, "update company");
+  }
+});
+
+/**
+ * PUT /companies/:id/logo
+ * multipart/form-data with a PNG or JPEG "logo"; replaces any previous logo
+ */
+router.put(
+  "/:id/logo",
+  (req, res, next) =>
+    can(req, "company:manage", req.company._id)
+      ? next()
+      : res.status(403).json({ error: "Forbidden" }),
+  uploadLogo,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          error: "Validation failed",
+          fields: { logo: "logo is required" },
+        });
+      }
+
+      // stored with the company it belongs to, which a superadmin may not
+      await runWithTenant(req.company._id, async () => {
+        const company = req.company;
+        const previous = company.logo && company.logo.toObject();
+        [company.logo] = await storeUploads([req.file], {
+          companyId: company._id,
+        });
+        try {
+          await company.save();
+        } catch (err) {
+          await releaseFiles([company.logo]);
+          throw err;
+        }
+        // released only once the replacement is saved
+        if (previous) await releaseFiles([previous]);
+      });
+      return res.json({ company: req.company });
+    } catch (err) {
+      await discardUploads([req.file]);
+      return sendError(res, err, "upload logo");
+    }
+  }
+);
+
+/**
+ * GET /companies/:id/logo
+ */
+router.get("/:id/logo", async (req, res) => {
+  try {
+    const logo = req.company.logo;
+    if (!logo || !logo.key) return res.status(404).json({ error: "Not found" });
+    return await sendStoredFile(req, res, logo, { disposition: "inline" });
+  } catch (err) {
+    if (res.headersSent) return res.destroy(err);
+    console.error("send logo err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /companies/:id/storage
+ * Bytes stored for the company's uploads against its quota
+ */
+router.get("/:id/storage", async (req, res) => {
+  try {
+    const usage = await runWithTenant(req.company._id, () =>
+      storageUsage(req.company._id)
+    );
+    return res.json(usage);
+  } catch (err) {
+    console.error("storage usage err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /companies/:id/invitations
+ * Body: { email?, role?: "user" | "admin", ttlDays? }
+ * Returns the invitation with its code (and link, when INVITE_URL_BASE is
+ * set). The code is not stored and cannot be retrieved later.
+ */
+router.post("/:id/invitations", async (req, res) => {
+  try {
+    if (!can(req, "user:manage", req.company._id))
+      return res.status(403).json({ error: "Forbidden" });
+
+    const { email, role, ttlDays } = req.body;
+    const fields = {};
+    if (role !== undefined && !Invitation.INVITABLE_ROLES.includes(role))
+      fields.role = `role must be one of ${Invitation.INVITABLE_ROLES.join(
+        ", "
+      )}`;
+    if (
+      ttlDays !== undefined &&
+      !(Number(ttlDays) >= 1 && Number(ttlDays) <= MAX_INVITE_TTL_DAYS)
+    )
+      fields.ttlDays = `ttlDays must be between 1 and ${MAX_INVITE_TTL_DAYS}`;
+    if (Object.keys(fields).length)
+      return res.status(400).json({ error: "Validation failed", fields });
+
+    const { invitation, code, link } = await runWithTenant(
+      req.company._id,
+      () =>
+        issueInvitation({
+          companyId: req.company._id,
+          email,
+          role,
+          ttlDays,
+          user: req.user,
+        })
+    );
+    return res
+      .status(201)
+      .json({ invitation: serializeInvitation(invitation), code, link });
+  } catch (err) {
+    return sendError(res, err, "create invitation");
+  }
+});
+
+/**
+ * GET /companies/:id/invitations
+ * Query params: state (pending, accepted, revoked, expired)
+ */
+router.get("/:id/invitations", async (req, res) => {
+  try {
+    if (!can(req, "user:manage", req.company._id))
+      return res.status(403).json({ error: "Forbidden" });
+
+    const now = new Date();
+    const filter = {};
+    switch (req.query.state) {
+      case undefined:
+        break;
+      case "pending":
+        Object.assign(filter, {
+          acceptedAt: null,
+          revokedAt: null,
+          expiresAt: { $gt: now },
+        });
+        break;
+      case "accepted":
+        filter.acceptedAt = { $ne: null };
+        break;
+      case "revoked":
+        Object.assign(filter, { acceptedAt: null, revokedAt: { $ne: null } });
+        break;
+      case "expired":
+        Object.assign(filter, {
+          acceptedAt: null,
+          revokedAt: null,
+          expiresAt: { $lte: now },
+        });
+        break;
+      default:
+        return res.status(400).json({
+          error: "Invalid query",
+          fields: {
+            state: "state must be pending, accepted, revoked or expired",
+          },
+        });
+    }
+
+    const invitations = await runWithTenant(
+      req.company._id,
+      async () => await Invitation.find(filter).sort({ createdAt: -1 })
+    );
+    return res.json({ invitations: invitations.map(serializeInvitation) });
+  } catch (err) {
+    console.error("list invitations err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * DELETE /companies/:id/invitations/:invitationId
+ * Revoke a pending invitation
+ */
+router.delete("/:id/invitations/:invitationId", async (req, res) => {
+  try {
+    if (!can(req, "user:manage", req.company._id))
+      return res.status(403).json({ error: "Forbidden" });
+    if (!isValidId(req.params.invitationId))
+      return res.status(404).json({ error: "Not found" });
+
+    const invitation = await runWithTenant(req.company._id, async () => {
+      const found = await Invitation.findById(req.params.invitationId);
+      if (found && found.state === "pending") {
+        found.revokedAt = new Date();
+        await found.save();
+      }
+      return found;
+    });
+    if (!invitation) return res.status(404).json({ error: "Not found" });
+    if (invitation.state !== "revoked")
+      return res
+        .status(409)
+        .json({ error: `Invitation is already ${invitation.state}` });
+    return res.json({ invitation: serializeInvitation(invitation) });
+  } catch (err) {
+    console.error("revoke invitation err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
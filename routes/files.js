@@ -0,0 +1,86 @@
+// routes/files.js — signed file URLs; the token stands in for a session
+const express = require("express");
+const Product = require("../models/Product");
+const CalibrationAttachment = require("../models/CalibrationAttachment");
+const { runWithTenant } = require("../lib/tenantContext");
+const { sendStoredFile, verifyFileToken } = require("../lib/fileDownloads");
+const { isValidId } = require("../lib/validation");
+
+const router = express.Router();
+
+// find the FileSchema entry a token names; queries run in its company
+const FILE_LOADERS = {
+  async attachment({ recordId }) {
+    const attachment = await CalibrationAttachment.findById(recordId)
+      .select("file")
+      .lean();
+    return attachment && attachment.file;
+  },
+  async product({ recordId, fileId }) {
+    const product = await Product.findById(recordId).select("files").lean();
+    return (
+      product && product.files.find((f) => String(f._id) === String(fileId))
+    );
+  },
+};
+
+/**
+ * GET /files/:token
+ * A file by signed URL (see POST .../signed-url on products and
+ * calibration attachments). Supports Range requests.
+ */
+router.get("/:token", async (req, res) => {
+  try {
+    const target = verifyFileToken(req.params.token);
+    const load = target && FILE_LOADERS[target.kind];
+    if (!load || !isValidId(target.recordId))
+      return res.status(404).json({ error: "Not found" });
+
+    await runWithTenant(target.companyId, async () => {
+      const file = await load(target);
+      if (!file) return res.status(404).json({ error: "Not found" });
+      await sendStoredFile(req, res, file, {
+        disposition: target.disposition,
+      });
+    });
+  } catch (err) {
+    console.error("signed file err", err);
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Files
+ *     description: Downloads through short-lived signed URLs
+ *
+ * /files/{token}:
+ *   get:
+ *     tags:
+ *       - Files
+ *     summary: Download a file through a signed URL (no session needed)
+ *     description: >
+ *       Tokens come from `POST /products/{id}/files/{fileId}/signed-url` and
+ *       `POST /calibrations/{id}/attachments/{attachmentId}/signed-url` and
+ *       expire after a few minutes. Send `Range: bytes=start-end` for part
+ *       of the file.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: The file
+ *       '206':
+ *         description: The requested byte range
+ *       '404':
+ *         description: Invalid or expired token, or the file no longer exists
+ *       '416':
+ *         description: Range not satisfiable
+ */
+
+module.exports = router;
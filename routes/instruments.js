@@ -0,0 +1,258 @@
+// routes/instruments.js
+const express = require("express");
+const Instrument = require("../models/Instrument");
+const Calibration = require("../models/Calibration");
+const { requirePermission } = require("../middleware/auth");
+const {
+  validationErrorBody,
+  isValidationError,
+  isValidId,
+} = require("../lib/validation");
+
+const canRead = requirePermission("instrument:read");
+const canEdit = requirePermission("instrument:edit");
+const canDelete = requirePermission("instrument:delete");
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  "serialNumber",
+  "assetTag",
+  "description",
+  "type",
+  "manufacturer",
+  "model",
+  "range",
+  "resolution",
+  "location",
+  "calibrationIntervalDays",
+  "status",
+];
+
+function pickEditable(body) {
+  const picked = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body && body[field] !== undefined) picked[field] = body[field];
+  }
+  return picked;
+}
+
+const DAYS_PER_UNIT = { d: 1, w: 7, m: 30, y: 365 };
+
+/**
+ * Parse a window such as "30d", "6w", "3m" or "1y" into days.
+ * A bare number is taken as days.
+ */
+function parseWithin(value) {
+  const match = /^(\d+)\s*([dwmy]?)$/i.exec(String(value || "30d").trim());
+  if (!match) return null;
+  return Number(match[1]) * DAYS_PER_UNIT[(match[2] || "d").toLowerCase()];
+}
+
+function serialize(i) {
+  return {
+    id: i._id,
+    companyId: i.companyId,
+    serialNumber: i.serialNumber,
+    assetTag: i.assetTag,
+    description: i.description,
+    type: i.type,
+    manufacturer: i.manufacturer,
+    model: i.model,
+    range: i.range,
+    resolution: i.resolution,
+    location: i.location,
+    calibrationIntervalDays: i.calibrationIntervalDays,
+    status: i.status,
+    lastCalibratedAt: i.lastCalibratedAt,
+    nextDueAt: i.nextDueAt,
+    lastCalibrationId: i.lastCalibrationId,
+    createdAt: i.createdAt,
+    updatedAt: i.updatedAt,
+  };
+}
+
+function isDuplicateKey(err) {
+  return err && err.code === 11000;
+}
+
+/**
+ * POST /instruments
+ * Register an instrument
+ */
+router.post("/", canEdit, async (req, res) => {
+  try {
+    const instrument = new Instrument({
+      ...pickEditable(req.body),
+      companyId: req.user.companyId,
+    });
+    await instrument.save();
+    return res.status(201).json({ instrument: serialize(instrument) });
+  } catch (err) {
+    if (isValidationError(err))
+      return res.status(400).json(validationErrorBody(err));
+    if (isDuplicateKey(err))
+      return res
+        .status(400)
+        .json({ error: "An instrument with this serial number exists" });
+    console.error("create instrument err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /instruments
+ * Query params:
+ *   - page (1-based), limit
+ *   - q (search serial number, asset tag or description)
+ *   - status, type, location
+ */
+router.get("/", canRead, async (req, res) => {
+  try {
+    const page = Math.max(1, Number(req.query.page || 1));
+    const limit = Math.min(100, Number(req.query.limit || 20));
+    const q = (req.query.q || "").trim();
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.location) filter.location = req.query.location;
+    if (q) {
+      const re = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+      filter.$or = [
+        { serialNumber: re },
+        { assetTag: re },
+        { description: re },
+      ];
+    }
+
+    const total = await Instrument.countDocuments(filter);
+    const instruments = await Instrument.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+
+    return res.json({
+      meta: { total, page, limit, pages: Math.ceil(total / limit) },
+      instruments: instruments.map(serialize),
+    });
+  } catch (err) {
+    console.error("list instruments err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /instruments/due?within=30d
+ * Active instruments whose next calibration falls due within the window
+ */
+router.get("/due", canRead, async (req, res) => {
+  try {
+    const days = parseWithin(req.query.within);
+    if (!days)
+      return res
+        .status(400)
+        .json({ error: "within must look like 30d, 6w, 3m or 1y" });
+
+    const now = new Date();
+    const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+    const filter = { status: "active", nextDueAt: { $gte: now, $lte: until } };
+
+    const instruments = await Instrument.find(filter)
+      .sort({ nextDueAt: 1 })
+      .lean();
+    return res.json({ within: days, instruments: instruments.map(serialize) });
+  } catch (err) {
+    console.error("due instruments err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /instruments/overdue
+ * Active instruments past their next due date, and those never calibrated
+ * (no due date yet), which are listed first
+ */
+router.get("/overdue", canRead, async (req, res) => {
+  try {
+    const filter = {
+      status: "active",
+      $or: [{ nextDueAt: { $lt: new Date() } }, { nextDueAt: null }],
+    };
+
+    const instruments = await Instrument.find(filter)
+      .sort({ nextDueAt: 1 })
+      .lean();
+    return res.json({ instruments: instruments.map(serialize) });
+  } catch (err) {
+    console.error("overdue instruments err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /instruments/:id
+ */
+router.get("/:id", canRead, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
+    const instrument = await Instrument.findById(req.params.id).lean();
+    if (!instrument) return res.status(404).json({ error: "Not found" });
+    return res.json({ instrument: serialize(instrument) });
+  } catch (err) {
+    console.error("get instrument err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * PUT /instruments/:id
+ */
+router.put("/:id", canEdit, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
+    const instrument = await Instrument.findById(req.params.id);
+    if (!instrument) return res.status(404).json({ error: "Not found" });
+
+    instrument.set(pickEditable(req.body));
+    await instrument.save();
+    return res.json({ instrument: serialize(instrument) });
+  } catch (err) {
+    if (isValidationError(err))
+      return res.status(400).json(validationErrorBody(err));
+    if (isDuplicateKey(err))
+      return res
+        .status(400)
+        .json({ error: "An instrument with this serial number exists" });
+    console.error("update instrument err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * DELETE /instruments/:id
+ * Admin-only; instruments with calibration history should be retired instead
+ */
+router.delete("/:id", canDelete, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
+    const inUse = await Calibration.exists({ instrumentId: req.params.id });
+    if (inUse)
+      return res.status(409).json({
+        error: "Instrument has calibrations; set its status to retired instead",
+      });
+
+    const removed = await Instrument.findByIdAndDelete(req.params.id);
+    if (!removed) return res.status(404).json({ error: "Not found" });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("delete instrument err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
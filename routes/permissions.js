@@ -0,0 +1,103 @@
+// routes/permissions.js
+const express = require("express");
+const Company = require("../models/Company");
+const { requirePermission } = require("../middleware/auth");
+const {
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  validateOverride,
+  permissionsFor,
+  isEmailVerified,
+} = require("../lib/permissions");
+const { validationErrorBody, isValidationError } = require("../lib/validation");
+
+const router = express.Router();
+
+const canManage = requirePermission("company:manage");
+
+function matrix(company) {
+  return ROLES.map((role) => {
+    const override =
+      (company.rolePermissions || []).find((o) => o.role === role) || {};
+    return {
+      role,
+      defaults: ROLE_PERMISSIONS[role],
+      grant: override.grant || [],
+      revoke: override.revoke || [],
+      effective: permissionsFor(role, company),
+    };
+  });
+}
+
+/**
+ * GET /permissions/me
+ * The caller's role and effective permissions, for hiding UI actions
+ */
+router.get("/me", (req, res) =>
+  res.json({
+    role: req.user.role,
+    permissions: req.user.permissions,
+    emailVerified: isEmailVerified(req.user),
+  })
+);
+
+/**
+ * GET /permissions
+ * Every permission with its description and, per role, the defaults,
+ * this company's grants and revocations and the effective result
+ */
+router.get("/", canManage, async (req, res) => {
+  try {
+    const company = await Company.findById(req.user.companyId)
+      .select("rolePermissions")
+      .lean();
+    if (!company) return res.status(404).json({ error: "Not found" });
+    return res.json({ permissions: PERMISSIONS, roles: matrix(company) });
+  } catch (err) {
+    console.error("permission matrix err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * PUT /permissions/roles/:role
+ * Body: { grant: [permission], revoke: [permission] }
+ * Replaces this company's adjustment of the role's defaults; send empty
+ * lists to restore the defaults.
+ */
+router.put("/roles/:role", canManage, async (req, res) => {
+  try {
+    const { role } = req.params;
+    const override = {
+      grant: req.body.grant === undefined ? [] : req.body.grant,
+      revoke: req.body.revoke === undefined ? [] : req.body.revoke,
+    };
+    const fields = validateOverride(role, override);
+    if (Object.keys(fields).length)
+      return res.status(400).json({ error: "Validation failed", fields });
+
+    const company = await Company.findById(req.user.companyId);
+    if (!company) return res.status(404).json({ error: "Not found" });
+
+    const others = (company.rolePermissions || []).filter(
+      (o) => o.role !== role
+    );
+    company.rolePermissions =
+      override.grant.length || override.revoke.length
+        ? [...others, { role, ...override }]
+        : others;
+    await company.save();
+
+    return res.json({
+      role: matrix(company).find((entry) => entry.role === role),
+    });
+  } catch (err) {
+    if (isValidationError(err))
+      return res.status(400).json(validationErrorBody(err));
+    console.error("update role permissions err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
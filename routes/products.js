@@ -1,113 +1,76 @@
 // routes/products.js
 const express = require("express");
-const multer = require("multer");
 const Product = require("../models/Product");
-const { requireAuth, requireRole } = require("../middleware/auth");
-const fs = require("fs");
-const path = require("path");
+const { requireAuth, requirePermission } = require("../middleware/auth");
 const mongoose = require("mongoose");
+const { isValidId } = require("../lib/validation");
+const { recordAudit } = require("../lib/audit");
+const { createUploader } = require("../lib/uploads");
+const {
+  storeUploads,
+  discardUploads,
+  releaseFiles,
+} = require("../lib/storage");
+const { sendStoredFile, signFileToken } = require("../lib/fileDownloads");
+
+const canRead = requirePermission("product:read");
+const canEdit = requirePermission("product:edit");
+const canDelete = requirePermission("product:delete");
 
 const router = express.Router();
 
-// base uploads dir
-const UPLOADS_DIR = path.join(__dirname, "..", "uploads");
-if (!fs.existsSync(UPLOADS_DIR)) fs.mkdirSync(UPLOADS_DIR, { recursive: true });
-
-/* ---------------- HELPER FUNCTIONS ---------------- */
-
-function safeUnlink(filePath) {
-  try {
-    if (!filePath) return;
-
-    let rel = filePath.startsWith("/") ? filePath.slice(1) : filePath;
-    if (!rel.startsWith("uploads/")) {
-      rel = path.join("uploads", rel.replace(/^\/?uploads\/?/, ""));
-    }
-
-    const abs = path.join(UPLOADS_DIR, path.relative("uploads", rel));
-
-    if (!abs.startsWith(UPLOADS_DIR)) {
-      console.warn("safeUnlink: blocked unsafe path", filePath);
-      return;
-    }
-
-    if (fs.existsSync(abs)) fs.unlinkSync(abs);
-  } catch (err) {
-    console.warn("safeUnlink error:", err);
-  }
-}
-
-/* ---------------- MULTER STORAGE (NO UNIQUE SUFFIX) ---------------- */
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const owner = req.query.owner;
-
-    const safeOwner = String(owner);
-    const ownerDir = path.join(UPLOADS_DIR, safeOwner);
+const MAX_PRODUCT_FILE_BYTES = Number(
+  process.env.MAX_PRODUCT_FILE_BYTES || 10 * 1024 * 1024
+);
 
-    try {
-      if (!fs.existsSync(ownerDir)) fs.mkdirSync(ownerDir, { recursive: true });
-      cb(null, ownerDir);
-    } catch (err) {
-      console.error("mkdir error:", err);
-      cb(err);
-    }
-  },
-
-  filename: (req, file, cb) => {
-    const orig = file.originalname || "file";
-    const ext = path.extname(orig);
-    const base = path
-      .basename(orig, ext)
-      .replace(/\s+/g, "_")
-      .replace(/[^\w-_.]/g, "");
-
-    const filename = `${base}${ext}`;
-    // Remove existing file with same name (overwrite)
-    const owner = req.query.owner;
-    const safeOwner = String(owner);
-
-    const abs = path.join(UPLOADS_DIR, safeOwner, filename);
-    if (fs.existsSync(abs)) fs.unlinkSync(abs);
-
-    cb(null, filename);
-  },
+// spooled and checked by lib/uploads, then kept in lib/storage
+const uploadFile = createUploader({
+  field: "file",
+  types: ["pdf", "png", "jpeg", "gif", "webp", "csv", "text", "xlsx", "docx"],
+  maxFileBytes: MAX_PRODUCT_FILE_BYTES,
 });
 
-const upload = multer({ storage });
-
 /* ---------------- ROUTES ---------------- */
 
 /**
  * POST /products
  */
-router.post("/", requireAuth, upload.single("file"), async (req, res) => {
+router.post("/", requireAuth, canEdit, uploadFile, async (req, res) => {
   try {
     const { name, description } = req.body;
-    const owner = req.query?.owner || "anonymous";
-    if (!name) return res.status(400).json({ error: "Missing product name" });
+    if (!name) {
+      await discardUploads([req.file]);
+      return res.status(400).json({ error: "Missing product name" });
+    }
 
     const product = new Product({
-      owner: owner,
+      companyId: req.user.companyId,
+      owner: req.user._id,
       name,
       description: description || "",
       files: [],
     });
 
     if (req.file) {
-      product.files.push({
-        filename: req.file.filename,
-        originalname: req.file.originalname,
-        mimetype: req.file.mimetype,
-        size: req.file.size,
-        path: `/uploads/${owner}/${req.file.filename}`,
+      product.files = await storeUploads([req.file], {
+        companyId: req.user.companyId,
       });
     }
 
-    await product.save();
+    try {
+      await product.save();
+    } catch (err) {
+      await releaseFiles(product.files);
+      throw err;
+    }
+    await recordAudit(req, {
+      action: "product.create",
+      entity: { type: "product", id: product._id },
+      after: product,
+    });
     return res.status(201).json({ product });
   } catch (err) {
+    await discardUploads([req.file]);
     console.error("create product error:", err);
     return res.status(500).json({ error: "Server error" });
   }
@@ -119,40 +82,52 @@ router.post("/", requireAuth, upload.single("file"), async (req, res) => {
 router.put(
   "/:id",
   requireAuth,
-  requireRole("admin"),
-  upload.single("file"),
+  canEdit,
+  uploadFile,
   async (req, res) => {
     try {
       const { name, description } = req.body;
-      const owner = req.query?.owner || "anonymous";
       const update = {};
       if (name !== undefined) update.name = name;
       if (description !== undefined) update.description = description;
-      if (owner !== undefined) update.owner = owner;
 
+      if (!isValidId(req.params.id)) {
+        await discardUploads([req.file]);
+        return res.status(404).json({ error: "Not found" });
+      }
       const product = await Product.findById(req.params.id);
-      if (!product) return res.status(404).json({ error: "Not found" });
+      if (!product) {
+        await discardUploads([req.file]);
+        return res.status(404).json({ error: "Not found" });
+      }
+      const before = product.toObject();
 
+      // old files are released only once the replacement is saved
+      const replaced = req.file ? before.files : [];
       if (req.file) {
-        // remove old files
-        for (const f of product.files) safeUnlink(f.path);
-
-        product.files = [
-          {
-            filename: req.file.filename,
-            originalname: req.file.originalname,
-            mimetype: req.file.mimetype,
-            size: req.file.size,
-            path: `/uploads/${owner}/${req.file.filename}`,
-          },
-        ];
+        product.files = await storeUploads([req.file], {
+          companyId: product.companyId,
+        });
       }
 
       Object.assign(product, update);
-      await product.save();
+      try {
+        await product.save();
+      } catch (err) {
+        if (req.file) await releaseFiles(product.files);
+        throw err;
+      }
+      await releaseFiles(replaced);
+      await recordAudit(req, {
+        action: "product.update",
+        entity: { type: "product", id: product._id },
+        before,
+        after: product,
+      });
 
       return res.json({ product });
     } catch (err) {
+      await discardUploads([req.file]);
       console.error("update product error:", err);
       return res.status(500).json({ error: "Server error" });
     }
@@ -162,14 +137,20 @@ router.put(
 /**
  * DELETE /products/:id
  */
-router.delete("/:id", requireAuth, requireRole("admin"), async (req, res) => {
+router.delete("/:id", requireAuth, canDelete, async (req, res) => {
   try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
     const product = await Product.findById(req.params.id).lean();
     if (!product) return res.status(404).json({ error: "Not found" });
 
-    for (const f of product.files) safeUnlink(f.path);
-
     await Product.deleteOne({ _id: req.params.id });
+    await releaseFiles(product.files);
+    await recordAudit(req, {
+      action: "product.delete",
+      entity: { type: "product", id: product._id },
+      before: product,
+    });
     return res.json({ ok: true });
   } catch (err) {
     console.error("delete product error:", err);
@@ -177,10 +158,70 @@ router.delete("/:id", requireAuth, requireRole("admin"), async (req, res) => {
   }
 });
 
+// a product's file, or null when either does not exist in the company
+async function findProductFile(req) {
+  if (!isValidId(req.params.id) || !isValidId(req.params.fileId)) return null;
+  const product = await Product.findById(req.params.id).lean();
+  if (!product) return null;
+  const file = product.files.find((f) => String(f._id) === req.params.fileId);
+  return file ? { product, file } : null;
+}
+
+/**
+ * GET /products/:id/files/:fileId
+ * Query params: disposition=inline (images, PDF and text only).
+ * Supports Range requests.
+ */
+router.get("/:id/files/:fileId", requireAuth, canRead, async (req, res) => {
+  try {
+    const found = await findProductFile(req);
+    if (!found) return res.status(404).json({ error: "Not found" });
+    await sendStoredFile(req, res, found.file, {
+      disposition: req.query.disposition,
+    });
+  } catch (err) {
+    console.error("download product file error:", err);
+    if (res.headersSent) return res.destroy(err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /products/:id/files/:fileId/signed-url
+ * Body: { disposition?, ttlSeconds? } — a short-lived GET /files/:token URL
+ */
+router.post(
+  "/:id/files/:fileId/signed-url",
+  requireAuth,
+  canRead,
+  async (req, res) => {
+    try {
+      const found = await findProductFile(req);
+      if (!found) return res.status(404).json({ error: "Not found" });
+      const body = req.body || {};
+      const { token, expiresAt } = signFileToken(
+        {
+          kind: "product",
+          companyId: found.product.companyId,
+          recordId: found.product._id,
+          fileId: found.file._id,
+          disposition: body.disposition,
+        },
+        body.ttlSeconds
+      );
+      return res.json({ url: `/files/${token}`, expiresAt });
+    } catch (err) {
+      console.error("sign product file url error:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
 /**
  * GET /products/user/:id
+ * Products of one owner within the caller's company
  */
-router.get("/user/:id", async (req, res) => {
+router.get("/user/:id", requireAuth, canRead, async (req, res) => {
   try {
     const id = req.params.id;
     const filter = mongoose.Types.ObjectId.isValid(id)
@@ -0,0 +1,222 @@
+// routes/standards.js
+const express = require("express");
+const ReferenceStandard = require("../models/ReferenceStandard");
+const Calibration = require("../models/Calibration");
+const { requirePermission } = require("../middleware/auth");
+const {
+  validationErrorBody,
+  isValidationError,
+  isValidId,
+} = require("../lib/validation");
+
+const canRead = requirePermission("standard:read");
+const canEdit = requirePermission("standard:edit");
+const canDelete = requirePermission("standard:delete");
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  "name",
+  "serialNumber",
+  "assetTag",
+  "manufacturer",
+  "model",
+  "description",
+  "status",
+];
+
+const CERTIFICATE_FIELDS = [
+  "certificateNumber",
+  "issuedBy",
+  "accreditationNumber",
+  "calibratedAt",
+  "expiresAt",
+  "traceableTo",
+  "externalTraceability",
+];
+
+function pick(body, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (body && body[field] !== undefined) picked[field] = body[field];
+  }
+  return picked;
+}
+
+function isDuplicateKey(err) {
+  return err && err.code === 11000;
+}
+
+function sendError(res, err, label) {
+  if (isValidationError(err))
+    return res.status(400).json(validationErrorBody(err));
+  if (isDuplicateKey(err))
+    return res
+      .status(400)
+      .json({ error: "A standard with this serial number exists" });
+  console.error(`${label} err`, err);
+  return res.status(500).json({ error: "Server error" });
+}
+
+/**
+ * Parent standards named on a certificate must be registered in the same
+ * company; returns the offending ids.
+ */
+async function unknownParents(companyId, ids) {
+  if (!Array.isArray(ids) || ids.length === 0) return [];
+  const valid = ids.filter(isValidId);
+  const found = await ReferenceStandard.find({
+    _id: { $in: valid },
+    companyId,
+  }).distinct("_id");
+  const known = new Set(found.map(String));
+  return ids.filter((id) => !known.has(String(id)));
+}
+
+/**
+ * POST /standards
+ * Register a reference standard, optionally with its first certificates
+ */
+router.post("/", canEdit, async (req, res) => {
+  try {
+    const standard = new ReferenceStandard({
+      ...pick(req.body, EDITABLE_FIELDS),
+      companyId: req.user.companyId,
+      certificates: Array.isArray(req.body.certificates)
+        ? req.body.certificates.map((c) => pick(c, CERTIFICATE_FIELDS))
+        : [],
+    });
+    await standard.save();
+    return res.status(201).json({ standard });
+  } catch (err) {
+    return sendError(res, err, "create standard");
+  }
+});
+
+/**
+ * GET /standards
+ * Query params: q (name or serial number), status
+ */
+router.get("/", canRead, async (req, res) => {
+  try {
+    const q = (req.query.q || "").trim();
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (q) {
+      const re = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+      filter.$or = [{ name: re }, { serialNumber: re }, { assetTag: re }];
+    }
+
+    const standards = await ReferenceStandard.find(filter)
+      .sort({ name: 1 })
+      .lean();
+    return res.json({ standards });
+  } catch (err) {
+    return sendError(res, err, "list standards");
+  }
+});
+
+/**
+ * GET /standards/:id
+ */
+router.get("/:id", canRead, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
+    const standard = await ReferenceStandard.findById(req.params.id).lean();
+    if (!standard) return res.status(404).json({ error: "Not found" });
+    return res.json({ standard });
+  } catch (err) {
+    return sendError(res, err, "get standard");
+  }
+});
+
+/**
+ * PUT /standards/:id
+ * Updates descriptive fields; certificates are append-only via the route below
+ */
+router.put("/:id", canEdit, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
+    const standard = await ReferenceStandard.findById(req.params.id);
+    if (!standard) return res.status(404).json({ error: "Not found" });
+
+    standard.set(pick(req.body, EDITABLE_FIELDS));
+    await standard.save();
+    return res.json({ standard });
+  } catch (err) {
+    return sendError(res, err, "update standard");
+  }
+});
+
+/**
+ * POST /standards/:id/certificates
+ * Record a new calibration certificate for the standard
+ */
+router.post("/:id/certificates", canEdit, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
+    const standard = await ReferenceStandard.findById(req.params.id);
+    if (!standard) return res.status(404).json({ error: "Not found" });
+
+    const certificate = pick(req.body, CERTIFICATE_FIELDS);
+    const unknown = await unknownParents(
+      standard.companyId,
+      certificate.traceableTo
+    );
+    if (unknown.length) {
+      return res.status(400).json({
+        error: "Validation failed",
+        fields: {
+          traceableTo: `Unknown standards: ${unknown.join(", ")}`,
+        },
+      });
+    }
+    if (
+      (certificate.traceableTo || []).some(
+        (id) => String(id) === String(standard._id)
+      )
+    ) {
+      return res.status(400).json({
+        error: "Validation failed",
+        fields: { traceableTo: "A standard cannot be traceable to itself" },
+      });
+    }
+
+    standard.certificates.push(certificate);
+    await standard.save();
+    return res.status(201).json({ standard });
+  } catch (err) {
+    return sendError(res, err, "add standard certificate");
+  }
+});
+
+/**
+ * DELETE /standards/:id
+ * Admin-only; standards referenced by calibrations should be retired instead
+ */
+router.delete("/:id", canDelete, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id))
+      return res.status(404).json({ error: "Not found" });
+    const inUse =
+      (await Calibration.exists({ "standards.standardId": req.params.id })) ||
+      (await ReferenceStandard.exists({
+        "certificates.traceableTo": req.params.id,
+      }));
+    if (inUse)
+      return res.status(409).json({
+        error: "Standard is referenced; set its status to retired instead",
+      });
+
+    const removed = await ReferenceStandard.findByIdAndDelete(req.params.id);
+    if (!removed) return res.status(404).json({ error: "Not found" });
+    return res.json({ ok: true });
+  } catch (err) {
+    return sendError(res, err, "delete standard");
+  }
+});
+
+module.exports = router;
@@ -2,21 +2,40 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
 const User = require("../models/User");
-const { requireRole } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
+const { ROLES } = require("../lib/permissions");
+const { sendEmailVerification } = require("../lib/accountEmails");
+const { revokeUserSessions } = require("../lib/sessions");
+const { disableTwoFactor } = require("../lib/twoFactor");
+const { accountStatus, clearAccount } = require("../lib/loginThrottle");
+const LoginAttempt = require("../models/LoginAttempt");
+const { recordAudit } = require("../lib/audit");
 
 const router = express.Router();
 
+const canManage = requirePermission("user:manage");
+
 /**
  * POST /users
  * Admin-only: create user with role
  */
-router.post("/", requireRole("admin"), async (req, res) => {
+router.post("/", canManage, async (req, res) => {
   try {
     const { email, username, password, role, mobile } = req.body;
     if (!email || !username || !password)
       return res.status(400).json({ error: "Missing fields" });
+    if (role === "superadmin")
+      return res.status(403).json({ error: "Cannot grant superadmin" });
+    if (role !== undefined && !ROLES.includes(role))
+      return res.status(400).json({
+        error: "Validation failed",
+        fields: { role: `role must be one of ${ROLES.join(", ")}` },
+      });
 
-    const exists = await User.findOne({ email });
+    // emails are unique across companies
+    const exists = await User.findOne({ email }).setOptions({
+      skipTenant: true,
+    });
     if (exists) return res.status(400).json({ error: "Email already exists" });
 
     const salt = await bcrypt.genSalt(10);
@@ -29,8 +48,17 @@ router.post("/", requireRole("admin"), async (req, res) => {
       role: role || "user",
       mobile,
       company: req.user.companyId,
+      emailVerified: false,
     });
     await user.save();
+    await recordAudit(req, {
+      action: "user.create",
+      entity: { type: "user", id: user._id },
+      after: user,
+    });
+    await sendEmailVerification(user).catch((err) =>
+      console.error("verification mail err", err)
+    );
 
     const userSafe = {
       id: user._id,
@@ -55,7 +83,7 @@ router.post("/", requireRole("admin"), async (req, res) => {
  *   - limit
  *   - q (search by email or username)
  */
-router.get("/", requireRole("admin"), async (req, res) => {
+router.get("/", canManage, async (req, res) => {
   try {
     const page = Math.max(1, Number(req.query.page || 1));
     const limit = Math.min(100, Number(req.query.limit || 20));
@@ -87,6 +115,7 @@ router.get("/", requireRole("admin"), async (req, res) => {
         mobile: u.mobile,
         role: u.role,
         companyId: u.company,
+        twoFactorEnabled: Boolean(u.twoFactor && u.twoFactor.enabled),
         createdAt: u.createdAt,
       })),
     });
@@ -100,7 +129,7 @@ router.get("/", requireRole("admin"), async (req, res) => {
  * GET /users/:id
  * Admin-only: get single user
  */
-router.get("/:id", requireRole("admin"), async (req, res) => {
+router.get("/:id", canManage, async (req, res) => {
   try {
     const u = await User.findOne({
       _id: req.params.id,
@@ -117,6 +146,7 @@ router.get("/:id", requireRole("admin"), async (req, res) => {
         mobile: u.mobile,
         role: u.role,
         companyId: u.company,
+        twoFactorEnabled: Boolean(u.twoFactor && u.twoFactor.enabled),
         createdAt: u.createdAt,
       },
     });
@@ -130,9 +160,16 @@ router.get("/:id", requireRole("admin"), async (req, res) => {
  * PUT /users/:id
  * Admin-only: update user fields (email, username, mobile, role, optional password)
  */
-router.put("/:id", requireRole("admin"), async (req, res) => {
+router.put("/:id", canManage, async (req, res) => {
   try {
     const { email, username, mobile, role, password } = req.body;
+    if (role === "superadmin")
+      return res.status(403).json({ error: "Cannot grant superadmin" });
+    if (role !== undefined && !ROLES.includes(role))
+      return res.status(400).json({
+        error: "Validation failed",
+        fields: { role: `role must be one of ${ROLES.join(", ")}` },
+      });
     const update = {};
 
     if (email) update.email = email;
@@ -145,6 +182,21 @@ router.put("/:id", requireRole("admin"), async (req, res) => {
       update.passwordHash = await bcrypt.hash(password, salt);
     }
 
+    // a new address has to be confirmed again
+    const current = await User.findOne({
+      _id: req.params.id,
+      company: req.user.companyId,
+    })
+      .select("-passwordHash")
+      .lean();
+    if (!current) return res.status(404).json({ error: "Not found" });
+    const emailChanged =
+      email && String(email).trim().toLowerCase() !== current.email;
+    if (emailChanged) {
+      update.emailVerified = false;
+      update.emailVerifiedAt = null;
+    }
+
     const updated = await User.findOneAndUpdate(
       { _id: req.params.id, company: req.user.companyId },
       update,
@@ -153,6 +205,24 @@ router.put("/:id", requireRole("admin"), async (req, res) => {
       .select("-passwordHash")
       .lean();
     if (!updated) return res.status(404).json({ error: "Not found" });
+    await recordAudit(req, {
+      action: password ? "user.update_with_password" : "user.update",
+      entity: { type: "user", id: updated._id },
+      before: current,
+      after: updated,
+    });
+    // existing logins must not outlive a new password or role
+    if (password || (role && role !== current.role)) {
+      await revokeUserSessions(
+        updated._id,
+        password ? "password_changed" : "role_changed"
+      );
+    }
+    if (emailChanged) {
+      await sendEmailVerification(updated).catch((err) =>
+        console.error("verification mail err", err)
+      );
+    }
 
     return res.json({
       user: {
@@ -171,17 +241,115 @@ router.put("/:id", requireRole("admin"), async (req, res) => {
   }
 });
 
+/**
+ * POST /users/:id/2fa/reset
+ * Admin-only: clear a user's two-factor enrollment (lost device); the user
+ * is signed out everywhere and enrols again on next login if required
+ */
+router.post("/:id/2fa/reset", canManage, async (req, res) => {
+  try {
+    const user = await User.findOne({
+      _id: req.params.id,
+      company: req.user.companyId,
+    })
+      .select("_id")
+      .lean();
+    if (!user) return res.status(404).json({ error: "Not found" });
+    await disableTwoFactor(user._id);
+    await revokeUserSessions(user._id, "2fa_reset");
+    await recordAudit(req, {
+      action: "user.2fa_reset",
+      entity: { type: "user", id: user._id },
+    });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("reset 2fa err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /users/:id/unlock
+ * Admin-only: clear failed login attempts so a locked-out user can log in
+ */
+router.post("/:id/unlock", canManage, async (req, res) => {
+  try {
+    const user = await User.findOne({
+      _id: req.params.id,
+      company: req.user.companyId,
+    })
+      .select("email")
+      .lean();
+    if (!user) return res.status(404).json({ error: "Not found" });
+    await clearAccount(user.email);
+    await recordAudit(req, {
+      action: "user.unlock",
+      entity: { type: "user", id: user._id },
+    });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("unlock user err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /users/:id/login-attempts
+ * Admin-only: the user's recent logins and failed attempts, newest first,
+ * with the current lockout state. Query params: page, limit, success
+ */
+router.get("/:id/login-attempts", canManage, async (req, res) => {
+  try {
+    const user = await User.findOne({
+      _id: req.params.id,
+      company: req.user.companyId,
+    })
+      .select("email")
+      .lean();
+    if (!user) return res.status(404).json({ error: "Not found" });
+
+    const page = Math.max(1, Number(req.query.page || 1));
+    const limit = Math.min(100, Number(req.query.limit || 20));
+    const filter = { userId: user._id, companyId: req.user.companyId };
+    if (req.query.success === "true" || req.query.success === "false")
+      filter.success = req.query.success === "true";
+
+    const total = await LoginAttempt.countDocuments(filter);
+    const attempts = await LoginAttempt.find(filter)
+      .select("-__v -companyId")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+
+    return res.json({
+      meta: { total, page, limit, pages: Math.ceil(total / limit) },
+      lockout: await accountStatus(user.email),
+      attempts,
+    });
+  } catch (err) {
+    console.error("login attempts err", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
 /**
  * DELETE /users/:id
  * Admin-only: remove a user
  */
-router.delete("/:id", requireRole("admin"), async (req, res) => {
+router.delete("/:id", canManage, async (req, res) => {
   try {
     const removed = await User.findOneAndDelete({
       _id: req.params.id,
       company: req.user.companyId,
     });
     if (!removed) return res.status(404).json({ error: "Not found" });
+    await revokeUserSessions(removed._id, "user_deleted");
+    await recordAudit(req, {
+      action: "user.delete",
+      entity: { type: "user", id: removed._id },
+      before: removed,
+    });
     return res.json({ ok: true });
   } catch (err) {
     console.error("delete user err", err);
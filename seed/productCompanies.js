@@ -0,0 +1,49 @@
+// seed/productCompanies.js
+const Product = require("../models/Product");
+const User = require("../models/User");
+
+// runs at startup, outside any tenant
+const UNSCOPED = { skipTenant: true };
+
+/**
+ * Products created before company scoping have no companyId, so they fail
+ * validation and are hidden from every company. Assign each one to its
+ * owner's company; products whose owner is gone go to `fallbackCompany`.
+ * Does nothing once every product has a company.
+ */
+async function ensureProductCompanies(fallbackCompany) {
+  const unassigned = { companyId: null };
+  const owners = await Product.distinct("owner", unassigned).setOptions(
+    UNSCOPED
+  );
+  if (!owners.length) return 0;
+
+  const users = await User.find({ _id: { $in: owners } })
+    .select("company")
+    .setOptions(UNSCOPED)
+    .lean();
+
+  let assigned = 0;
+  for (const user of users) {
+    if (!user.company) continue;
+    const result = await Product.updateMany(
+      { ...unassigned, owner: user._id },
+      { $set: { companyId: user.company } },
+      UNSCOPED
+    );
+    assigned += result.modifiedCount;
+  }
+  if (fallbackCompany) {
+    const result = await Product.updateMany(
+      unassigned,
+      { $set: { companyId: fallbackCompany._id } },
+      UNSCOPED
+    );
+    assigned += result.modifiedCount;
+  }
+
+  console.log("Assigned a company to existing products:", assigned);
+  return assigned;
+}
+
+module.exports = ensureProductCompanies;
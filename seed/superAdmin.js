@@ -0,0 +1,21 @@
+// seed/superAdmin.js
+const User = require("../models/User");
+
+/**
+ * Promote the account named by SUPERADMIN_EMAIL to platform superadmin.
+ * The account must already exist (sign up or be invited first).
+ */
+async function ensureSuperAdmin() {
+  const email = (process.env.SUPERADMIN_EMAIL || "").trim().toLowerCase();
+  if (!email) return null;
+
+  const user = await User.findOneAndUpdate(
+    { email },
+    { $set: { role: "superadmin" } },
+    { new: true, skipTenant: true }
+  );
+  if (!user) console.warn("SUPERADMIN_EMAIL does not match any user:", email);
+  return user;
+}
+
+module.exports = ensureSuperAdmin;
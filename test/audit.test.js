@@ -0,0 +1,54 @@
+// test/audit.test.js
+const { it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { useMemoryDb } = require("./support/memoryDb");
+const AuditEvent = require("../models/AuditEvent");
+const { recordAudit, verifyAuditChain } = require("../lib/audit");
+const { canonicalJson, toPlainJson } = require("../lib/canonicalJson");
+
+const companyId = new mongoose.Types.ObjectId();
+let stored;
+
+beforeEach(async () => {
+  stored = useMemoryDb(AuditEvent).get("AuditEvent");
+  for (const id of ["a", "b", "c"]) {
+    await recordAudit(null, {
+      action: "instrument.update",
+      entity: { type: "instrument", id },
+      after: { location: id },
+      companyId,
+    });
+  }
+});
+
+it("verifies an untouched chain", async () => {
+  const result = await verifyAuditChain(companyId);
+  assert.equal(result.ok, true);
+  assert.equal(result.events, 3);
+});
+
+it("detects an edited event", async () => {
+  stored.docs[1].after = { location: "elsewhere" };
+  const result = await verifyAuditChain(companyId);
+  assert.deepEqual(result.brokenAt, { seq: 2, reason: "event was modified" });
+});
+
+it("rejects a chain recomputed without the secret", async () => {
+  // what someone with only database access could do: edit an event and
+  // rehash it and everything after it
+  stored.docs[1].after = { location: "elsewhere" };
+  for (let i = 1; i < stored.docs.length; i++) {
+    const doc = stored.docs[i];
+    doc.prevHash = stored.docs[i - 1].hash;
+    const { _id, __v, hash, ...fields } = doc;
+    doc.hash = crypto
+      .createHash("sha256")
+      .update(canonicalJson(toPlainJson(fields)))
+      .digest("hex");
+  }
+  const result = await verifyAuditChain(companyId);
+  assert.equal(result.ok, false);
+  assert.equal(result.brokenAt.seq, 2);
+});
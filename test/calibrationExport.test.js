@@ -0,0 +1,100 @@
+// test/calibrationExport.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { Writable } = require("stream");
+const ExcelJS = require("exceljs");
+const { streamExport } = require("../lib/calibrationExport");
+
+const ROWS = 20000;
+const columns = ["certificateNumber", "remarks"];
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// a client that accepts nothing until let go
+function slowClient() {
+  const chunks = [];
+  let held = [];
+  let released = false;
+  const client = new Writable({
+    highWaterMark: 16 * 1024,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      if (released) callback();
+      else held.push(callback);
+    },
+  });
+  client.release = () => {
+    released = true;
+    held.forEach((callback) => callback());
+    held = [];
+  };
+  client.body = () => Buffer.concat(chunks);
+  return client;
+}
+
+function rows() {
+  const source = { read: 0 };
+  source.cursor = (async function* () {
+    for (let i = 0; i < ROWS; i++) {
+      source.read += 1;
+      yield {
+        certificateNumber: `C-${i}`,
+        // incompressible, so the output outgrows any buffer
+        remarks: crypto.randomBytes(24).toString("hex"),
+      };
+    }
+  })();
+  return source;
+}
+
+async function settled(source) {
+  let last = -1;
+  while (source.read !== last) {
+    last = source.read;
+    await sleep(100);
+  }
+  return last;
+}
+
+describe("xlsx export", () => {
+  it("stops reading rows while a slow client catches up", async () => {
+    const client = slowClient();
+    const source = rows();
+    const done = streamExport({
+      cursor: source.cursor,
+      columns,
+      format: "xlsx",
+      res: client,
+    });
+
+    const finished = new Promise((resolve) => client.once("finish", resolve));
+
+    const stalledAt = await settled(source);
+    assert.ok(stalledAt < ROWS / 2, `read ${stalledAt} rows while stalled`);
+
+    client.release();
+    await Promise.all([done, finished]);
+    assert.equal(source.read, ROWS);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(client.body());
+    const sheet = workbook.getWorksheet("Calibrations");
+    assert.equal(sheet.rowCount, ROWS + 1);
+    assert.equal(sheet.getRow(ROWS + 1).getCell(1).value, `C-${ROWS - 1}`);
+  });
+
+  it("gives up when the client disconnects while stalled", async () => {
+    const client = slowClient();
+    const source = rows();
+    const done = streamExport({
+      cursor: source.cursor,
+      columns,
+      format: "xlsx",
+      res: client,
+    });
+    await settled(source);
+    client.destroy();
+    await assert.rejects(done, /Client disconnected/);
+    assert.ok(source.read < ROWS);
+  });
+});
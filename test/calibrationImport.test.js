@@ -0,0 +1,55 @@
+// test/calibrationImport.test.js
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Calibration = require("../models/Calibration");
+const { validateMapping, rowToObject } = require("../lib/calibrationImport");
+
+const POLLUTING_PATHS = [
+  "formData.__proto__.skipTenant",
+  "formData.constructor.prototype.skipTenant",
+  "measurements.0.__proto__.skipTenant",
+];
+
+describe("import mappings", () => {
+  afterEach(() => {
+    delete Object.prototype.skipTenant;
+  });
+
+  it("rejects paths that reach a prototype", () => {
+    assert.deepEqual(validateMapping({ columns: { a: "formData.x" } }), {});
+    for (const path of POLLUTING_PATHS) {
+      assert.deepEqual(
+        Object.keys(
+          validateMapping({ columns: { a: path }, defaults: { [path]: true } })
+        ).sort(),
+        [`mapping.columns.a`, `mapping.defaults.${path}`]
+      );
+    }
+  });
+
+  it("never writes to Object.prototype, even for unchecked mappings", () => {
+    for (const path of POLLUTING_PATHS) {
+      assert.throws(() =>
+        rowToObject(
+          { a: "1" },
+          { columns: { a: "formData.x" }, defaults: { [path]: true } }
+        )
+      );
+      assert.throws(() => rowToObject({ a: "1" }, { columns: { a: path } }));
+    }
+    assert.equal({}.skipTenant, undefined);
+    assert.equal(Calibration.find({}).getOptions().skipTenant, undefined);
+  });
+
+  it("treats a __proto__ header as an ordinary column", () => {
+    const record = Object.create(null);
+    record.__proto__ = "PX-1";
+    // as the mapping arrives in the request
+    const mapping = JSON.parse(
+      '{ "columns": { "__proto__": "instrument.serialNumber", "missing": "remarks" } }'
+    );
+    const obj = rowToObject(record, mapping);
+    assert.deepEqual(obj, { instrument: { serialNumber: "PX-1" } });
+    assert.equal(Object.getPrototypeOf(obj), Object.prototype);
+  });
+});
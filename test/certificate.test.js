@@ -0,0 +1,166 @@
+// test/certificate.test.js
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { Readable } = require("stream");
+const express = require("express");
+const mongoose = require("mongoose");
+const { useMemoryDb } = require("./support/memoryDb");
+const AuditEvent = require("../models/AuditEvent");
+const Calibration = require("../models/Calibration");
+const CalibrationAttachment = require("../models/CalibrationAttachment");
+const Company = require("../models/Company");
+const StoredFile = require("../models/StoredFile");
+const { runWithTenant } = require("../lib/tenantContext");
+const { setStorageDriver, storeBuffer } = require("../lib/storage");
+const calibrationRoutes = require("../routes/calibrations");
+
+const companyId = new mongoose.Types.ObjectId();
+const calibrationId = new mongoose.Types.ObjectId();
+
+// a 1x1 transparent PNG
+const PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==",
+  "base64"
+);
+
+class MemoryDriver {
+  constructor() {
+    this.name = "memory";
+    this.blobs = new Map();
+    this.puts = 0;
+    this.broken = false;
+  }
+
+  async putFile(key, srcPath) {
+    this.puts += 1;
+    this.blobs.set(key, await fs.promises.readFile(srcPath));
+  }
+
+  async createReadStream(key) {
+    if (this.broken) {
+      return new Readable({
+        read() {
+          this.destroy(new Error("EIO: disk went away"));
+        },
+      });
+    }
+    return Readable.from([this.blobs.get(key)]);
+  }
+
+  async stat(key) {
+    return this.blobs.has(key) ? { size: this.blobs.get(key).length } : null;
+  }
+
+  async remove(key) {
+    this.blobs.delete(key);
+  }
+}
+
+describe("GET /calibrations/:id/certificate.pdf", () => {
+  let server;
+  let base;
+  let driver;
+  let db;
+
+  before(async () => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = {
+        _id: new mongoose.Types.ObjectId(),
+        companyId,
+        permissions: ["calibration:read", "calibration:delete"],
+      };
+      runWithTenant(companyId, next);
+    });
+    app.use("/calibrations", calibrationRoutes);
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    base = `http://127.0.0.1:${server.address().port}/calibrations`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    db = useMemoryDb(
+      AuditEvent,
+      Calibration,
+      CalibrationAttachment,
+      Company,
+      StoredFile
+    );
+    driver = new MemoryDriver();
+    setStorageDriver(driver);
+    db.get("Company").docs.push({ _id: companyId, name: "Acme Labs" });
+    db.get("Calibration").docs.push({
+      _id: calibrationId,
+      companyId,
+      certificateNumber: "C-1",
+      status: "approved",
+      approvedAt: new Date("2026-01-02T03:04:05Z"),
+      calibrationDate: new Date("2026-01-01"),
+      measurements: [],
+    });
+  });
+
+  const stored = () => db.get("Calibration").docs[0].certificate;
+
+  it("renders once into storage and serves the stored file", async () => {
+    const first = await fetch(`${base}/${calibrationId}/certificate.pdf`);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get("content-type"), "application/pdf");
+    assert.match(first.headers.get("content-disposition"), /certificate-C-1/);
+    const body = Buffer.from(await first.arrayBuffer());
+    assert.equal(body.subarray(0, 4).toString(), "%PDF");
+
+    const { file } = stored();
+    assert.equal(file.mimetype, "application/pdf");
+    assert.deepEqual(driver.blobs.get(file.key), body);
+    assert.equal(db.get("StoredFile").docs[0].refs, 1);
+
+    const second = await fetch(`${base}/${calibrationId}/certificate.pdf`);
+    assert.equal(second.status, 200);
+    assert.deepEqual(Buffer.from(await second.arrayBuffer()), body);
+    assert.equal(driver.puts, 1);
+  });
+
+  it("renders again when the stored file has gone", async () => {
+    await fetch(`${base}/${calibrationId}/certificate.pdf`);
+    driver.blobs.clear();
+    const res = await fetch(`${base}/${calibrationId}/certificate.pdf`);
+    assert.equal(res.status, 200);
+    assert.equal(driver.puts, 2);
+  });
+
+  it("answers 500 when the stored file cannot be read", async () => {
+    await fetch(`${base}/${calibrationId}/certificate.pdf`);
+    driver.broken = true;
+    const res = await fetch(`${base}/${calibrationId}/certificate.pdf`);
+    assert.equal(res.status, 500);
+    assert.deepEqual(await res.json(), { error: "Server error" });
+    assert.equal(res.headers.get("content-disposition"), null);
+  });
+
+  it("prints the company logo kept in storage", async () => {
+    const company = db.get("Company").docs[0];
+    company.logo = await runWithTenant(companyId, () =>
+      storeBuffer(PNG, {
+        companyId,
+        originalname: "logo.png",
+        mimetype: "image/png",
+      })
+    );
+    const res = await fetch(`${base}/${calibrationId}/certificate.pdf`);
+    assert.equal(res.status, 200);
+    const body = Buffer.from(await res.arrayBuffer()).toString("latin1");
+    assert.match(body, /\/Subtype \/Image/);
+  });
+
+  it("releases the certificate with the calibration", async () => {
+    await fetch(`${base}/${calibrationId}/certificate.pdf`);
+    const res = await fetch(`${base}/${calibrationId}`, { method: "DELETE" });
+    assert.equal(res.status, 200);
+    assert.equal(db.get("StoredFile").docs.length, 0);
+    assert.equal(driver.blobs.size, 0);
+  });
+});
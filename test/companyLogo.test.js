@@ -0,0 +1,116 @@
+// test/companyLogo.test.js
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { Readable } = require("stream");
+const express = require("express");
+const mongoose = require("mongoose");
+const { useMemoryDb } = require("./support/memoryDb");
+const Company = require("../models/Company");
+const StoredFile = require("../models/StoredFile");
+const { runWithTenant } = require("../lib/tenantContext");
+const { setStorageDriver } = require("../lib/storage");
+const companyRoutes = require("../routes/companies");
+
+const companyId = new mongoose.Types.ObjectId();
+
+// a 1x1 transparent PNG
+const PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==",
+  "base64"
+);
+
+class MemoryDriver {
+  constructor() {
+    this.name = "memory";
+    this.blobs = new Map();
+  }
+
+  async putFile(key, srcPath) {
+    this.blobs.set(key, await fs.promises.readFile(srcPath));
+  }
+
+  async createReadStream(key) {
+    return Readable.from([this.blobs.get(key)]);
+  }
+
+  async stat(key) {
+    return this.blobs.has(key) ? { size: this.blobs.get(key).length } : null;
+  }
+
+  async remove(key) {
+    this.blobs.delete(key);
+  }
+}
+
+describe("company logos", () => {
+  let server;
+  let base;
+  let driver;
+  let db;
+
+  before(async () => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = {
+        _id: new mongoose.Types.ObjectId(),
+        companyId,
+        role: "admin",
+        permissions: ["company:manage"],
+      };
+      runWithTenant(companyId, next);
+    });
+    app.use("/companies", companyRoutes);
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    base = `http://127.0.0.1:${server.address().port}/companies/${companyId}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    db = useMemoryDb(Company, StoredFile);
+    driver = new MemoryDriver();
+    setStorageDriver(driver);
+    db.get("Company").docs.push({ _id: companyId, name: "Acme Labs" });
+  });
+
+  const upload = (content, name) => {
+    const form = new FormData();
+    form.append("logo", new Blob([content]), name);
+    return fetch(`${base}/logo`, { method: "PUT", body: form });
+  };
+
+  it("keeps the logo in storage and serves it", async () => {
+    const res = await upload(PNG, "logo.png");
+    assert.equal(res.status, 200);
+    const { logo } = db.get("Company").docs[0];
+    assert.equal(logo.mimetype, "image/png");
+    assert.equal(logo.driver, "memory");
+    assert.deepEqual(driver.blobs.get(logo.key), PNG);
+
+    const served = await fetch(`${base}/logo`);
+    assert.equal(served.status, 200);
+    assert.equal(served.headers.get("content-type"), "image/png");
+    assert.deepEqual(Buffer.from(await served.arrayBuffer()), PNG);
+  });
+
+  it("releases the previous logo once replaced", async () => {
+    await upload(PNG, "logo.png");
+    const first = db.get("Company").docs[0].logo.key;
+    const other = Buffer.concat([PNG, Buffer.from("\0")]);
+    assert.equal((await upload(other, "new.png")).status, 200);
+
+    const { logo } = db.get("Company").docs[0];
+    assert.notEqual(logo.key, first);
+    assert.deepEqual([...driver.blobs.keys()], [logo.key]);
+    assert.equal(db.get("StoredFile").docs.length, 1);
+  });
+
+  it("refuses files that are not PNG or JPEG", async () => {
+    const res = await upload(Buffer.from("%PDF-1.4\n"), "logo.png");
+    assert.equal(res.status, 415);
+    assert.equal(db.get("Company").docs[0].logo, undefined);
+    assert.equal(driver.blobs.size, 0);
+  });
+});
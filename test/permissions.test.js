@@ -0,0 +1,18 @@
+// test/permissions.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { permissionsFor } = require("../lib/permissions");
+
+describe("customer role", () => {
+  it("reads no company records by default", () => {
+    assert.deepEqual(permissionsFor("customer"), []);
+    assert.deepEqual(permissionsFor("customer", { rolePermissions: [] }), []);
+  });
+
+  it("gets only what its company grants", () => {
+    const company = {
+      rolePermissions: [{ role: "customer", grant: ["calibration:read"] }],
+    };
+    assert.deepEqual(permissionsFor("customer", company), ["calibration:read"]);
+  });
+});
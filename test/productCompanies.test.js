@@ -0,0 +1,38 @@
+// test/productCompanies.test.js
+const { it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { useMemoryDb } = require("./support/memoryDb");
+const Product = require("../models/Product");
+const User = require("../models/User");
+const ensureProductCompanies = require("../seed/productCompanies");
+
+const { ObjectId } = mongoose.Types;
+
+it("assigns products without a company to their owner's company", async () => {
+  const db = useMemoryDb(Product, User);
+  const company = new ObjectId();
+  const fallback = { _id: new ObjectId() };
+  const owner = new ObjectId();
+  const other = new ObjectId();
+
+  db.get("User").docs.push({ _id: owner, email: "o@x.io", company });
+  // written before products had a companyId
+  db.get("Product").docs.push(
+    { _id: new ObjectId(), owner, name: "mine" },
+    { _id: new ObjectId(), owner: new ObjectId(), name: "orphan" },
+    { _id: new ObjectId(), owner, name: "kept", companyId: other }
+  );
+
+  const count = await ensureProductCompanies(fallback);
+  const byName = Object.fromEntries(
+    db.get("Product").docs.map((p) => [p.name, String(p.companyId)])
+  );
+  assert.equal(count, 2);
+  assert.deepEqual(byName, {
+    mine: String(company),
+    orphan: String(fallback._id),
+    kept: String(other),
+  });
+  assert.equal(await ensureProductCompanies(fallback), 0);
+});
@@ -0,0 +1,119 @@
+// test/s3Storage.test.js
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startS3Stub } = require("./support/s3Stub");
+const { S3StorageDriver } = require("../lib/storage");
+
+const EMPTY_SHA256 = crypto.createHash("sha256").update("").digest("hex");
+const KEY = "company/ab/abc123";
+const CONTENT = Buffer.from("0123456789abcdef");
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+}
+
+describe("S3StorageDriver", () => {
+  let stub;
+  let driver;
+  let srcPath;
+  const checksum = crypto.createHash("sha256").update(CONTENT).digest("hex");
+
+  before(async () => {
+    stub = await startS3Stub({ credentials: { AKTEST: "secret" } });
+    driver = new S3StorageDriver({
+      endpoint: stub.endpoint,
+      bucket: "files",
+      accessKeyId: "AKTEST",
+      secretAccessKey: "secret",
+    });
+    srcPath = path.join(os.tmpdir(), `s3-stub-${process.pid}`);
+    await fs.promises.writeFile(srcPath, CONTENT);
+  });
+
+  after(async () => {
+    await fs.promises.unlink(srcPath).catch(() => {});
+    await stub.close();
+  });
+
+  it("puts a file with a signed payload hash", async () => {
+    await driver.putFile(KEY, srcPath, { size: CONTENT.length, checksum });
+    assert.deepEqual(stub.objects.get(`/files/${KEY}`), CONTENT);
+
+    const { headers } = stub.requests.at(-1);
+    assert.equal(headers["x-amz-content-sha256"], checksum);
+    assert.match(headers["x-amz-date"], /^\d{8}T\d{6}Z$/);
+    assert.match(
+      headers.authorization,
+      /^AWS4-HMAC-SHA256 Credential=AKTEST\/\d{8}\/us-east-1\/s3\/aws4_request, SignedHeaders=[^,]*x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/
+    );
+  });
+
+  it("rejects a body that does not match its checksum", async () => {
+    await assert.rejects(
+      driver.putFile(KEY, srcPath, {
+        size: CONTENT.length,
+        checksum: EMPTY_SHA256,
+      }),
+      { name: "S3Error", status: 400, code: "XAmzContentSHA256Mismatch" }
+    );
+  });
+
+  it("stats a stored file and returns null for a missing one", async () => {
+    assert.deepEqual(await driver.stat(KEY), { size: CONTENT.length });
+    assert.equal(await driver.stat("company/ab/missing"), null);
+    assert.equal(stub.requests.at(-1).method, "HEAD");
+  });
+
+  it("reads a whole file or a byte range", async () => {
+    assert.equal(
+      await readAll(await driver.createReadStream(KEY)),
+      "0123456789abcdef"
+    );
+    assert.equal(
+      await readAll(await driver.createReadStream(KEY, { start: 2, end: 5 })),
+      "2345"
+    );
+    assert.equal(stub.requests.at(-1).headers.range, "bytes=2-5");
+    assert.equal(
+      await readAll(await driver.createReadStream(KEY, { start: 12 })),
+      "cdef"
+    );
+    assert.equal(
+      stub.requests.at(-1).headers["x-amz-content-sha256"],
+      EMPTY_SHA256
+    );
+  });
+
+  it("rejects a missing file on read", async () => {
+    await assert.rejects(driver.createReadStream("company/ab/missing"), {
+      name: "S3Error",
+      status: 404,
+      code: "NoSuchKey",
+    });
+  });
+
+  it("deletes a file", async () => {
+    await driver.remove(KEY);
+    assert.equal(stub.objects.has(`/files/${KEY}`), false);
+    assert.equal(await driver.stat(KEY), null);
+  });
+
+  it("is refused with the wrong secret", async () => {
+    const wrong = new S3StorageDriver({
+      endpoint: stub.endpoint,
+      bucket: "files",
+      accessKeyId: "AKTEST",
+      secretAccessKey: "not-the-secret",
+    });
+    await assert.rejects(wrong.createReadStream(KEY), {
+      status: 403,
+      code: "SignatureDoesNotMatch",
+    });
+  });
+});
@@ -0,0 +1,109 @@
+// test/storage.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { useMemoryDb } = require("./support/memoryDb");
+const StoredFile = require("../models/StoredFile");
+const { runWithTenant } = require("../lib/tenantContext");
+const {
+  setStorageDriver,
+  storeUploads,
+  releaseFiles,
+} = require("../lib/storage");
+
+const companyId = new mongoose.Types.ObjectId();
+const upload = {
+  path: "/tmp/spooled",
+  checksum: "ab".repeat(32),
+  size: 3,
+  originalname: "a.txt",
+  mimetype: "text/plain",
+};
+
+// blobs in a Set; `removing` holds remove() open until it is resolved
+class MemoryDriver {
+  constructor() {
+    this.name = "memory";
+    this.blobs = new Set();
+    this.removing = null;
+  }
+
+  async putFile(key) {
+    this.blobs.add(key);
+  }
+
+  async stat(key) {
+    return this.blobs.has(key) ? { size: upload.size } : null;
+  }
+
+  async remove(key) {
+    if (this.removing) await this.removing;
+    this.blobs.delete(key);
+  }
+}
+
+const asCompany = (fn) => runWithTenant(companyId, async () => await fn());
+const store = () =>
+  asCompany(async () => (await storeUploads([upload], { companyId }))[0]);
+const release = (file) => asCompany(() => releaseFiles([file]));
+
+describe("stored file references", () => {
+  let driver;
+  let rows;
+
+  beforeEach(() => {
+    rows = useMemoryDb(StoredFile).get("StoredFile");
+    driver = new MemoryDriver();
+    setStorageDriver(driver);
+  });
+
+  it("shares a blob and deletes it with the last reference", async () => {
+    const first = await store();
+    const second = await store();
+    assert.equal(first.key, second.key);
+    assert.equal(rows.docs[0].refs, 2);
+
+    await release(first);
+    assert.equal(rows.docs[0].refs, 1);
+    assert.ok(driver.blobs.has(first.key));
+
+    await release(second);
+    assert.equal(rows.docs.length, 0);
+    assert.equal(driver.blobs.size, 0);
+  });
+
+  it("keeps a blob uploaded while its last reference is deleted", async () => {
+    const file = await store();
+    let finishRemove;
+    driver.removing = new Promise((resolve) => {
+      finishRemove = resolve;
+    });
+
+    const releasing = release(file);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.ok(rows.docs[0].releasing, "row is marked before the delete");
+
+    const reuploading = store();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    finishRemove();
+    await releasing;
+    const stored = await reuploading;
+
+    assert.equal(stored.key, file.key);
+    assert.equal(rows.docs.length, 1);
+    assert.equal(rows.docs[0].refs, 1);
+    assert.ok(driver.blobs.has(file.key), "blob was written again");
+  });
+
+  it("takes over a release that never finished", async () => {
+    const file = await store();
+    rows.docs[0].refs = 0;
+    rows.docs[0].releasing = new Date(Date.now() - 2 * 60 * 1000);
+    driver.blobs.clear();
+
+    await store();
+    assert.equal(rows.docs.length, 1);
+    assert.equal(rows.docs[0].refs, 1);
+    assert.ok(driver.blobs.has(file.key));
+  });
+});
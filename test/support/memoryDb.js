@@ -0,0 +1,281 @@
+// test/support/memoryDb.js
+const mongoose = require("mongoose");
+const sift = require("sift").default;
+
+const { BSON, ObjectId } = mongoose.mongo;
+
+// fail fast instead of queueing operations for a connection that never opens
+mongoose.set("bufferCommands", false);
+
+function clone(doc) {
+  return doc && BSON.deserialize(BSON.serialize(doc));
+}
+
+function getPath(doc, path) {
+  return path
+    .split(".")
+    .reduce((node, key) => (node == null ? undefined : node[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split(".");
+  let node = doc;
+  for (const key of keys.slice(0, -1)) {
+    if (node[key] == null) node[key] = {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split(".");
+  const parent = getPath(doc, keys.slice(0, -1).join(".")) || doc;
+  if (keys.length === 1) delete doc[keys[0]];
+  else if (parent) delete parent[keys[keys.length - 1]];
+}
+
+function applyUpdate(doc, update, inserting) {
+  const ops = Object.keys(update).some((k) => k.startsWith("$"))
+    ? update
+    : { $set: update };
+  for (const [op, fields] of Object.entries(ops)) {
+    for (const [path, value] of Object.entries(fields)) {
+      switch (op) {
+        case "$set":
+          setPath(doc, path, value);
+          break;
+        case "$setOnInsert":
+          if (inserting) setPath(doc, path, value);
+          break;
+        case "$unset":
+          unsetPath(doc, path);
+          break;
+        case "$inc":
+          setPath(doc, path, (getPath(doc, path) || 0) + value);
+          break;
+        case "$push":
+          setPath(doc, path, [...(getPath(doc, path) || []), value]);
+          break;
+        default:
+          throw new Error(`memoryDb does not support ${op}`);
+      }
+    }
+  }
+}
+
+function sortDocs(docs, sort) {
+  const keys = Object.entries(sort || {});
+  if (!keys.length) return docs;
+  return [...docs].sort((a, b) => {
+    for (const [path, dir] of keys) {
+      const x = getPath(a, path);
+      const y = getPath(b, path);
+      if (x < y) return -dir;
+      if (x > y) return dir;
+    }
+    return 0;
+  });
+}
+
+function cursorOf(docs) {
+  const pending = docs.map(clone);
+  return {
+    toArray: async () => pending.splice(0),
+    next: async () => pending.shift() || null,
+    close: async () => {
+      pending.length = 0;
+    },
+  };
+}
+
+function duplicateKey(fields) {
+  const err = new Error(`E11000 duplicate key error: ${fields.join(", ")}`);
+  err.code = 11000;
+  return err;
+}
+
+/**
+ * A driver-shaped collection over an array of documents. `unique` lists
+ * the field sets of unique indexes, enforced on insert and upsert.
+ */
+class MemoryCollection {
+  constructor({ unique = [] } = {}) {
+    this.docs = [];
+    this.unique = unique;
+  }
+
+  checkUnique(doc) {
+    for (const fields of this.unique) {
+      const key = (d) => fields.map((f) => String(getPath(d, f))).join("\0");
+      if (this.docs.some((other) => key(other) === key(doc)))
+        throw duplicateKey(fields);
+    }
+  }
+
+  matching(filter) {
+    return this.docs.filter(sift(filter || {}));
+  }
+
+  find(filter, options = {}) {
+    let docs = sortDocs(this.matching(filter), options.sort);
+    if (options.skip) docs = docs.slice(options.skip);
+    if (options.limit) docs = docs.slice(0, options.limit);
+    return cursorOf(docs);
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = sortDocs(this.matching(filter), options.sort);
+    return clone(doc) || null;
+  }
+
+  async countDocuments(filter) {
+    return this.matching(filter).length;
+  }
+
+  async distinct(field, filter) {
+    const seen = new Map();
+    for (const doc of this.matching(filter)) {
+      const value = getPath(doc, field);
+      if (value !== undefined) seen.set(String(value), value);
+    }
+    return [...seen.values()];
+  }
+
+  async insertOne(doc) {
+    const stored = clone({ _id: new ObjectId(), ...doc });
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [i, doc] of docs.entries()) {
+      insertedIds[i] = (await this.insertOne(doc)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  update(filter, update, options, many) {
+    const matched = this.matching(filter);
+    const targets = many ? matched : matched.slice(0, 1);
+    for (const doc of targets) applyUpdate(doc, update, false);
+    if (!matched.length && options && options.upsert) {
+      const doc = { _id: new ObjectId() };
+      for (const [k, v] of Object.entries(filter)) {
+        if (
+          !k.startsWith("$") &&
+          (v === null || typeof v !== "object" || v instanceof ObjectId)
+        )
+          setPath(doc, k, v);
+      }
+      applyUpdate(doc, update, true);
+      this.checkUnique(doc);
+      this.docs.push(doc);
+      return {
+        matchedCount: 0,
+        modifiedCount: 0,
+        upsertedCount: 1,
+        upsertedId: doc._id,
+        doc,
+      };
+    }
+    return {
+      acknowledged: true,
+      matchedCount: targets.length,
+      modifiedCount: targets.length,
+      upsertedCount: 0,
+    };
+  }
+
+  async updateOne(filter, update, options) {
+    const { doc, ...result } = this.update(filter, update, options, false);
+    return result;
+  }
+
+  async updateMany(filter, update, options) {
+    const { doc, ...result } = this.update(filter, update, options, true);
+    return result;
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [target] = sortDocs(this.matching(filter), options.sort);
+    const before = clone(target);
+    if (target) applyUpdate(target, update, false);
+    const upserted =
+      !target && options.upsert
+        ? this.update(filter, update, options, false).doc
+        : null;
+    const after = clone(target || upserted);
+    const value = options.returnDocument === "after" ? after : before;
+    return {
+      ok: 1,
+      value: value || null,
+      lastErrorObject: {
+        n: target || upserted ? 1 : 0,
+        updatedExisting: !!target,
+      },
+    };
+  }
+
+  remove(filter, many) {
+    const doomed = new Set(
+      this.matching(filter).slice(0, many ? undefined : 1)
+    );
+    this.docs = this.docs.filter((doc) => !doomed.has(doc));
+    return [...doomed];
+  }
+
+  async deleteOne(filter) {
+    return {
+      acknowledged: true,
+      deletedCount: this.remove(filter, false).length,
+    };
+  }
+
+  async deleteMany(filter) {
+    return {
+      acknowledged: true,
+      deletedCount: this.remove(filter, true).length,
+    };
+  }
+
+  async findOneAndDelete(filter) {
+    const [doc] = this.remove(filter, false);
+    return { ok: 1, value: clone(doc) || null };
+  }
+
+  // $match and $count are all the tests need
+  aggregate(pipeline) {
+    let docs = this.docs;
+    for (const stage of pipeline) {
+      const [op] = Object.keys(stage);
+      if (op === "$match") docs = docs.filter(sift(stage.$match));
+      else if (op === "$count") docs = [{ [stage.$count]: docs.length }];
+      else throw new Error(`memoryDb does not support ${op}`);
+    }
+    return cursorOf(docs);
+  }
+}
+
+/**
+ * Back each model with an empty in-memory collection. Queries still run
+ * through mongoose (casting, middleware, plugins); only the server is
+ * replaced.
+ * @returns {Map<string, MemoryCollection>} by model name
+ */
+function useMemoryDb(...models) {
+  const collections = new Map();
+  for (const Model of models) {
+    const unique = Model.schema
+      .indexes()
+      .filter(([, options]) => options.unique)
+      .map(([fields]) => Object.keys(fields));
+    const collection = new MemoryCollection({ unique });
+    Model.collection.collection = collection;
+    collections.set(Model.modelName, collection);
+  }
+  return collections;
+}
+
+module.exports = { MemoryCollection, useMemoryDb };
@@ -0,0 +1,129 @@
+// test/support/s3Stub.js
+const crypto = require("crypto");
+const http = require("http");
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) =>
+  crypto.createHmac("sha256", key).update(data).digest();
+
+function sendError(res, status, code) {
+  res.writeHead(status, { "content-type": "application/xml" });
+  res.end(`<Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+}
+
+// checked independently of lib/s3Client so a signing bug cannot hide
+function verifySignature(req, { region, credentials }) {
+  const match =
+    /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/.exec(
+      req.headers.authorization || ""
+    );
+  if (!match) return false;
+  const [, accessKeyId, date, signedRegion, signedHeaders, signature] = match;
+  const secret = credentials[accessKeyId];
+  const amzDate = req.headers["x-amz-date"] || "";
+  if (!secret || signedRegion !== region || !amzDate.startsWith(date))
+    return false;
+
+  const names = signedHeaders.split(";");
+  if (
+    !["host", "x-amz-date", "x-amz-content-sha256"].every((n) =>
+      names.includes(n)
+    )
+  )
+    return false;
+  const canonicalRequest = [
+    req.method,
+    req.url,
+    "",
+    names.map((n) => `${n}:${String(req.headers[n]).trim()}\n`).join(""),
+    signedHeaders,
+    req.headers["x-amz-content-sha256"],
+  ].join("\n");
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    sha256(canonicalRequest),
+  ].join("\n");
+  let key = hmac(`AWS4${secret}`, date);
+  for (const part of [region, "s3", "aws4_request"]) key = hmac(key, part);
+  return (
+    crypto.createHmac("sha256", key).update(stringToSign).digest("hex") ===
+    signature
+  );
+}
+
+/**
+ * A local S3-compatible server for tests: path-style PUT, GET (with a
+ * single byte Range), HEAD and DELETE of objects, with SigV4 and payload
+ * hashes checked. `objects` maps "/<bucket>/<key>" to a Buffer and
+ * `requests` records each request's method, url and headers.
+ */
+function startS3Stub({ region = "us-east-1", credentials = {} } = {}) {
+  const objects = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks);
+      requests.push({ method: req.method, url: req.url, headers: req.headers });
+      if (!verifySignature(req, { region, credentials }))
+        return sendError(res, 403, "SignatureDoesNotMatch");
+
+      const object = objects.get(req.url);
+      switch (req.method) {
+        case "PUT":
+          if (sha256(body) !== req.headers["x-amz-content-sha256"])
+            return sendError(res, 400, "XAmzContentSHA256Mismatch");
+          objects.set(req.url, body);
+          res.writeHead(200, { etag: `"${sha256(body)}"` });
+          return res.end();
+        case "HEAD":
+          if (!object) {
+            res.writeHead(404);
+            return res.end();
+          }
+          res.writeHead(200, { "content-length": object.length });
+          return res.end();
+        case "GET": {
+          if (!object) return sendError(res, 404, "NoSuchKey");
+          const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || "");
+          if (!range) {
+            res.writeHead(200, { "content-length": object.length });
+            return res.end(object);
+          }
+          const start = Number(range[1]);
+          const end = range[2] ? Number(range[2]) : object.length - 1;
+          res.writeHead(206, {
+            "content-length": end - start + 1,
+            "content-range": `bytes ${start}-${end}/${object.length}`,
+          });
+          return res.end(object.subarray(start, end + 1));
+        }
+        case "DELETE":
+          objects.delete(req.url);
+          res.writeHead(204);
+          return res.end();
+        default:
+          return sendError(res, 405, "MethodNotAllowed");
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        endpoint: `http://127.0.0.1:${port}`,
+        objects,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+module.exports = { startS3Stub };
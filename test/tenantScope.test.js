@@ -0,0 +1,192 @@
+// test/tenantScope.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { useMemoryDb } = require("./support/memoryDb");
+const Instrument = require("../models/Instrument");
+const { runWithTenant } = require("../lib/tenantContext");
+
+const companyA = new mongoose.Types.ObjectId();
+const companyB = new mongoose.Types.ObjectId();
+
+// queries are lazy: await inside the context so they run as that company
+const asA = (fn) => runWithTenant(companyA, async () => await fn());
+const asB = (fn) => runWithTenant(companyB, async () => await fn());
+
+const crossTenant = {
+  name: "TenantError",
+  message: /companyId (cannot be changed|does not match the session)/,
+};
+const noTenant = { name: "TenantError", message: /outside a tenant/ };
+
+describe("tenantScope", () => {
+  let instrumentA;
+  let instrumentB;
+  let stored;
+
+  beforeEach(async () => {
+    stored = useMemoryDb(Instrument).get("Instrument");
+    instrumentA = await asA(() =>
+      Instrument.create({ serialNumber: "A-1", description: "Caliper" })
+    );
+    instrumentB = await asB(() =>
+      Instrument.create({ serialNumber: "B-1", description: "Gauge" })
+    );
+  });
+
+  it("stamps new documents with the current company", () => {
+    assert.equal(String(instrumentA.companyId), String(companyA));
+    assert.equal(String(instrumentB.companyId), String(companyB));
+  });
+
+  it("only finds the current company's documents", async () => {
+    await asA(async () => {
+      const all = await Instrument.find().lean();
+      assert.deepEqual(
+        all.map((i) => i.serialNumber),
+        ["A-1"]
+      );
+      assert.equal(await Instrument.countDocuments(), 1);
+      assert.equal(await Instrument.findById(instrumentB._id), null);
+      assert.equal(await Instrument.findOne({ serialNumber: "B-1" }), null);
+      assert.deepEqual(await Instrument.distinct("serialNumber"), ["A-1"]);
+    });
+  });
+
+  it("does not update another company's documents", async () => {
+    await asA(async () => {
+      const one = await Instrument.updateOne(
+        { _id: instrumentB._id },
+        { $set: { location: "moved" } }
+      );
+      const many = await Instrument.updateMany({}, { $set: { location: "A" } });
+      const found = await Instrument.findOneAndUpdate(
+        { _id: instrumentB._id },
+        { $set: { location: "moved" } },
+        { new: true }
+      );
+      assert.equal(one.matchedCount, 0);
+      assert.equal(many.matchedCount, 1);
+      assert.equal(found, null);
+    });
+    const b = stored.docs.find(
+      (d) => String(d._id) === String(instrumentB._id)
+    );
+    assert.equal(b.location, undefined);
+  });
+
+  it("does not delete another company's documents", async () => {
+    await asA(async () => {
+      const one = await Instrument.deleteOne({ _id: instrumentB._id });
+      const found = await Instrument.findOneAndDelete({ _id: instrumentB._id });
+      const many = await Instrument.deleteMany({});
+      assert.equal(one.deletedCount, 0);
+      assert.equal(found, null);
+      assert.equal(many.deletedCount, 1);
+    });
+    assert.deepEqual(
+      stored.docs.map((d) => d.serialNumber),
+      ["B-1"]
+    );
+  });
+
+  it("limits aggregates to the current company", async () => {
+    const [result] = await asB(() => Instrument.aggregate([{ $count: "n" }]));
+    assert.equal(result.n, 1);
+  });
+
+  it("stamps insertMany and rejects documents for another company", async () => {
+    await asA(() =>
+      Instrument.insertMany([{ serialNumber: "A-2", description: "Scale" }])
+    );
+    assert.equal(
+      String(stored.docs.find((d) => d.serialNumber === "A-2").companyId),
+      String(companyA)
+    );
+    await assert.rejects(
+      asA(() =>
+        Instrument.insertMany([
+          { serialNumber: "A-3", description: "Scale", companyId: companyB },
+        ])
+      ),
+      crossTenant
+    );
+  });
+
+  it("rejects moving a document to another company", async () => {
+    await assert.rejects(
+      asA(() =>
+        Instrument.updateOne(
+          { _id: instrumentA._id },
+          { $set: { companyId: companyB } }
+        )
+      ),
+      crossTenant
+    );
+    await assert.rejects(
+      asA(() =>
+        Instrument.findOneAndUpdate(
+          { _id: instrumentA._id },
+          { companyId: companyB }
+        )
+      ),
+      crossTenant
+    );
+    await assert.rejects(
+      asA(async () => {
+        const doc = await Instrument.findById(instrumentA._id);
+        doc.companyId = companyB;
+        await doc.save();
+      }),
+      crossTenant
+    );
+    await assert.rejects(
+      asA(() =>
+        Instrument.create({
+          serialNumber: "A-4",
+          description: "Scale",
+          companyId: companyB,
+        })
+      ),
+      crossTenant
+    );
+  });
+
+  describe("outside a tenant context", () => {
+    it("rejects queries, aggregates and inserts", async () => {
+      await assert.rejects(Instrument.find(), noTenant);
+      await assert.rejects(Instrument.findOne(), noTenant);
+      await assert.rejects(Instrument.countDocuments(), noTenant);
+      await assert.rejects(Instrument.updateMany({}, { x: 1 }), noTenant);
+      await assert.rejects(Instrument.deleteMany({}), noTenant);
+      await assert.rejects(Instrument.aggregate([{ $count: "n" }]), noTenant);
+      await assert.rejects(
+        Instrument.insertMany([{ serialNumber: "X", description: "X" }]),
+        noTenant
+      );
+      await assert.rejects(
+        Instrument.create({ serialNumber: "X", description: "X" }),
+        noTenant
+      );
+      assert.equal(stored.docs.length, 2);
+    });
+
+    it("runs unscoped with skipTenant", async () => {
+      const all = await Instrument.find().setOptions({ skipTenant: true });
+      const [count] = await Instrument.aggregate([{ $count: "n" }]).option({
+        skipTenant: true,
+      });
+      assert.equal(all.length, 2);
+      assert.equal(count.n, 2);
+    });
+
+    it("saves documents that carry their company", async () => {
+      const doc = await Instrument.create({
+        serialNumber: "C-1",
+        description: "Probe",
+        companyId: companyB,
+      });
+      assert.equal(String(doc.companyId), String(companyB));
+    });
+  });
+});
@@ -0,0 +1,120 @@
+// test/twoFactorThrottle.test.js
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcryptjs");
+const cookieParser = require("cookie-parser");
+const express = require("express");
+const mongoose = require("mongoose");
+const { useMemoryDb } = require("./support/memoryDb");
+const AuditEvent = require("../models/AuditEvent");
+const Company = require("../models/Company");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { createSession } = require("../lib/sessions");
+const { beginEnrollment } = require("../lib/twoFactor");
+const { hotp, currentStep } = require("../lib/totp");
+const {
+  MemoryThrottleStore,
+  setThrottleStore,
+} = require("../lib/loginThrottle");
+const authRoutes = require("../routes/auth");
+
+const PASSWORD = "correct horse";
+
+describe("2FA changes inside a session", () => {
+  let server;
+  let base;
+  let users;
+  let secret;
+  let cookie;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+    app.use("/auth", authRoutes);
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    base = `http://127.0.0.1:${server.address().port}/auth`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(async () => {
+    const db = useMemoryDb(AuditEvent, Company, Session, User);
+    users = db.get("User");
+    setThrottleStore(new MemoryThrottleStore());
+
+    const company = new mongoose.Types.ObjectId();
+    const user = {
+      _id: new mongoose.Types.ObjectId(),
+      email: "tech@example.com",
+      username: "tech",
+      role: "technician",
+      company,
+      passwordHash: await bcrypt.hash(PASSWORD, 4),
+    };
+    db.get("Company").docs.push({ _id: company, name: "Acme" });
+    users.docs.push(user);
+
+    ({ secret } = await beginEnrollment(user));
+    const stored = users.docs[0];
+    stored.twoFactor = {
+      enabled: true,
+      secret: stored.twoFactor.pendingSecret,
+      recoveryCodes: [],
+    };
+
+    const { accessToken } = await createSession(user, {
+      get: () => "test",
+      ip: "127.0.0.1",
+    });
+    cookie = `session=${accessToken}`;
+  });
+
+  const post = (path, body) =>
+    fetch(`${base}${path}`, {
+      method: "POST",
+      headers: { "content-type": "application/json", cookie },
+      body: JSON.stringify(body),
+    });
+
+  // fails until the throttle answers; returns that answer
+  async function guessUntilThrottled(path, body) {
+    for (let attempt = 1; attempt <= 10; attempt++) {
+      const res = await post(path, body);
+      if (res.status === 429) return { res, attempt };
+      assert.equal(res.status, 401);
+    }
+    assert.fail("never throttled");
+  }
+
+  it("throttles code guesses when regenerating recovery codes", async () => {
+    const { res, attempt } = await guessUntilThrottled("/2fa/recovery-codes", {
+      code: "000000",
+    });
+    assert.ok(attempt <= 4, `throttled after ${attempt} attempts`);
+    assert.ok(Number(res.headers.get("retry-after")) > 0);
+
+    // the right code is refused too while the account must wait
+    const valid = await post("/2fa/recovery-codes", {
+      code: hotp(secret, currentStep()),
+    });
+    assert.equal(valid.status, 429);
+  });
+
+  it("throttles password guesses when disabling 2FA", async () => {
+    const { res } = await guessUntilThrottled("/2fa/disable", {
+      password: "guess",
+      code: "000000",
+    });
+    assert.ok(Number(res.headers.get("retry-after")) > 0);
+
+    const valid = await post("/2fa/disable", {
+      password: PASSWORD,
+      code: hotp(secret, currentStep()),
+    });
+    assert.equal(valid.status, 429);
+    assert.equal(users.docs[0].twoFactor.enabled, true);
+  });
+});